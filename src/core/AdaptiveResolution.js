@@ -0,0 +1,66 @@
+const MIN_SCALE = 0.5;
+const MAX_SCALE = 1;
+const SCALE_DOWN_STEP = 0.1;
+const SCALE_UP_STEP = 0.05;
+const SAMPLE_WINDOW = 0.5;
+const SMOOTHING = 0.1;
+const SLOW_FRAME_MARGIN = 1.15;
+const FAST_FRAME_MARGIN = 1.05;
+// Waiting longer before going back up keeps the scale from bouncing between two steps.
+const SCALE_UP_COOLDOWN = 3;
+// Every display refreshes at least this fast, so the measured refresh rate only lowers targets above it.
+const MIN_REFRESH_INTERVAL = 1 / 60;
+
+// Keeps repeated steps from drifting off round values, e.g. 0.49999999 instead of 0.5.
+const roundScale = (scale) => Math.round(scale * 100) / 100;
+
+/**
+ * Watches frame times and picks a render scale between 0.5 and 1 that holds the target frame rate.
+ * Frame times are measured between animation frames, so at the display's refresh rate they sit right
+ * on target: the scale only goes up again once frames have stayed close to it for a while. A target
+ * above the display's refresh rate can never be met, so it is capped at the fastest rate seen.
+ */
+export class AdaptiveResolution {
+  constructor() {
+    this.scale = MAX_SCALE;
+    this.averageFrameTime = 0;
+    this.sampleTime = 0;
+    this.cooldown = 0;
+    this.shortestFrameTime = Infinity;
+  }
+
+  /**
+   * Feeds one frame's duration in seconds. Returns true when the scale changed.
+   */
+  update(frameTime, targetFps) {
+    this.averageFrameTime += (frameTime - this.averageFrameTime) * (this.averageFrameTime === 0 ? 1 : SMOOTHING);
+    this.sampleTime += frameTime;
+    this.cooldown = Math.max(0, this.cooldown - frameTime);
+
+    if (this.sampleTime < SAMPLE_WINDOW) {
+      return false;
+    }
+    this.sampleTime = 0;
+    // Taken from the smoothed average, since single frames jitter around the refresh interval.
+    this.shortestFrameTime = Math.min(this.shortestFrameTime, this.averageFrameTime);
+
+    const targetFrameTime = Math.max(1 / targetFps, Math.min(this.shortestFrameTime, MIN_REFRESH_INTERVAL));
+    const previousScale = this.scale;
+    if (this.averageFrameTime > targetFrameTime * SLOW_FRAME_MARGIN) {
+      this.scale = Math.max(MIN_SCALE, roundScale(this.scale - SCALE_DOWN_STEP));
+      this.cooldown = SCALE_UP_COOLDOWN;
+    } else if (this.averageFrameTime < targetFrameTime * FAST_FRAME_MARGIN && this.cooldown === 0) {
+      this.scale = Math.min(MAX_SCALE, roundScale(this.scale + SCALE_UP_STEP));
+    }
+
+    return this.scale !== previousScale;
+  }
+
+  reset() {
+    this.scale = MAX_SCALE;
+    this.averageFrameTime = 0;
+    this.sampleTime = 0;
+    this.cooldown = 0;
+    this.shortestFrameTime = Infinity;
+  }
+}
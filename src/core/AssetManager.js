@@ -14,6 +14,9 @@ export class AssetManager {
     this.gltfLoader.setDRACOLoader(this.dracoLoader);
 
     this.textureLoader = new THREE.TextureLoader(this.manager);
+    this.fileLoader = new THREE.FileLoader(this.manager);
+    this.fileLoader.setResponseType('json');
+    this.audioLoader = new THREE.AudioLoader(this.manager);
 
     this.cache = new Map();
   }
@@ -85,6 +88,35 @@ export class AssetManager {
     return texture;
   }
 
+  async loadJSON(path, options = {}) {
+    const cacheKey = this._buildCacheKey('json', path, options.cacheKey);
+
+    if (this.cache.has(cacheKey)) {
+      return structuredClone(this.cache.get(cacheKey));
+    }
+
+    const data = await this.fileLoader.loadAsync(path);
+    this.cache.set(cacheKey, data);
+
+    return structuredClone(data);
+  }
+
+  /**
+   * Decoded buffers are shared as-is: an `AudioBuffer` is never modified by playback.
+   */
+  async loadAudio(path, options = {}) {
+    const cacheKey = this._buildCacheKey('audio', path, options.cacheKey);
+
+    if (this.cache.has(cacheKey)) {
+      return this.cache.get(cacheKey);
+    }
+
+    const buffer = await this.audioLoader.loadAsync(path);
+    this.cache.set(cacheKey, buffer);
+
+    return buffer;
+  }
+
   clearCache() {
     this.cache.clear();
   }
@@ -0,0 +1,472 @@
+import * as THREE from 'three';
+import { readJSON, writeJSON } from './storage.js';
+import { synthesizeSound } from './soundSynth.js';
+
+const STORAGE_KEY = 'pourr-cursor:audio';
+const STORAGE_VERSION = 1;
+const AUDIO_ROOT = 'assets/audio/';
+const POSITIONAL_VOICES = 24;
+const FLAT_VOICES = 6;
+const LISTENER_HEIGHT = 2;
+const REF_DISTANCE = 8;
+const MAX_AUDIBLE_DISTANCE = 70;
+const VOLUME_SMOOTHING = 0.02;
+
+export const AudioChannel = Object.freeze({
+  MASTER: 'master',
+  SFX: 'sfx',
+  MUSIC: 'music',
+  UI: 'ui',
+});
+
+const DEFAULT_VOLUMES = {
+  [AudioChannel.MASTER]: 0.8,
+  [AudioChannel.SFX]: 0.9,
+  [AudioChannel.MUSIC]: 0.5,
+  [AudioChannel.UI]: 0.7,
+};
+
+/**
+ * Every sound the game plays. `file` is looked up under `assets/audio/`; when it cannot be loaded,
+ * `synth` (see {@link synthesizeSound}) renders a stand-in. `maxVoices` caps how many copies may
+ * overlap, `minInterval` drops repeats closer than that many seconds, and `priority` decides which
+ * voices are stolen first when the pool is full.
+ */
+export const SOUND_DEFINITIONS = {
+  shot: {
+    file: 'shot.ogg',
+    volume: 0.4,
+    maxVoices: 6,
+    minInterval: 0.03,
+    pitchVariance: 0.08,
+    synth: { duration: 0.12, wave: 'square', from: 900, to: 180, noise: 0.3, noiseTone: 0.7, decay: 26 },
+  },
+  heavyShot: {
+    file: 'heavy-shot.ogg',
+    volume: 0.55,
+    maxVoices: 3,
+    pitchVariance: 0.05,
+    priority: 2,
+    synth: { duration: 0.32, wave: 'saw', from: 220, to: 55, noise: 0.65, noiseTone: 0.35, decay: 11 },
+  },
+  launcher: {
+    file: 'launcher.ogg',
+    volume: 0.5,
+    maxVoices: 3,
+    priority: 2,
+    synth: { duration: 0.35, wave: 'saw', from: 160, to: 90, noise: 0.5, noiseTone: 0.2, attack: 0.02, decay: 8 },
+  },
+  enemyShot: {
+    file: 'enemy-shot.ogg',
+    volume: 0.35,
+    maxVoices: 5,
+    minInterval: 0.04,
+    pitchVariance: 0.1,
+    synth: { duration: 0.16, wave: 'triangle', from: 480, to: 1100, noise: 0.1, decay: 18 },
+  },
+  hit: {
+    file: 'hit.ogg',
+    volume: 0.35,
+    maxVoices: 6,
+    minInterval: 0.025,
+    pitchVariance: 0.15,
+    synth: { duration: 0.08, wave: 'triangle', from: 320, to: 140, noise: 0.25, noiseTone: 0.6, decay: 40 },
+  },
+  enemyDeath: {
+    file: 'enemy-death.ogg',
+    volume: 0.5,
+    maxVoices: 5,
+    pitchVariance: 0.12,
+    priority: 2,
+    synth: { duration: 0.45, wave: 'saw', from: 420, to: 50, noise: 0.3, noiseTone: 0.4, decay: 7 },
+  },
+  explosion: {
+    file: 'explosion.ogg',
+    volume: 0.7,
+    maxVoices: 4,
+    pitchVariance: 0.1,
+    priority: 3,
+    synth: { duration: 0.9, wave: 'sine', from: 90, to: 30, noise: 0.85, noiseTone: 0.08, attack: 0.005, decay: 5 },
+  },
+  playerHurt: {
+    file: 'player-hurt.ogg',
+    volume: 0.6,
+    maxVoices: 2,
+    minInterval: 0.12,
+    priority: 3,
+    synth: { duration: 0.25, wave: 'square', from: 190, to: 90, noise: 0.2, noiseTone: 0.3, decay: 10 },
+  },
+  pickup: {
+    file: 'pickup.ogg',
+    volume: 0.45,
+    maxVoices: 4,
+    minInterval: 0.05,
+    pitchVariance: 0.06,
+    priority: 2,
+    synth: { duration: 0.18, wave: 'sine', from: 660, to: 1320, decay: 14 },
+  },
+  powerUp: {
+    file: 'power-up.ogg',
+    volume: 0.5,
+    maxVoices: 2,
+    priority: 3,
+    synth: { duration: 0.42, wave: 'square', steps: [523, 659, 784, 1047], decay: 4 },
+  },
+  waveStart: {
+    file: 'wave-start.ogg',
+    positional: false,
+    volume: 0.55,
+    maxVoices: 1,
+    priority: 4,
+    synth: { duration: 0.9, wave: 'saw', steps: [220, 277, 330, 440], attack: 0.04, decay: 3 },
+  },
+  uiClick: {
+    file: 'ui-click.ogg',
+    channel: AudioChannel.UI,
+    positional: false,
+    volume: 0.4,
+    maxVoices: 2,
+    minInterval: 0.04,
+    synth: { duration: 0.05, wave: 'sine', from: 1200, to: 900, decay: 60 },
+  },
+  // No procedural stand-in for the soundtrack: without the file the game simply has no music.
+  music: {
+    file: 'music.ogg',
+    channel: AudioChannel.MUSIC,
+    positional: false,
+    volume: 0.6,
+  },
+};
+
+/**
+ * Owns the `AudioListener` and a fixed pool of voices. The listener rides above the player with the
+ * camera's orientation, so positional sounds pan with what is on screen rather than fading with
+ * the camera's height. Each voice is routed through the gain of its channel, and the master volume
+ * is the listener's own gain.
+ */
+export class AudioManager {
+  constructor({ scene, assetManager }) {
+    if (!scene) {
+      throw new Error('AudioManager requiert une scène Three.js.');
+    }
+    if (!assetManager) {
+      throw new Error('AudioManager requiert un gestionnaire de ressources.');
+    }
+
+    this.assetManager = assetManager;
+    this.listener = new THREE.AudioListener();
+    this.listener.name = 'AudioListener';
+    scene.add(this.listener);
+    this.context = this.listener.context;
+
+    this.volumes = { ...DEFAULT_VOLUMES };
+    this.channels = {};
+    [AudioChannel.SFX, AudioChannel.MUSIC, AudioChannel.UI].forEach((channel) => {
+      const gain = this.context.createGain();
+      gain.connect(this.listener.getInput());
+      this.channels[channel] = gain;
+    });
+
+    this.buffers = new Map();
+    this.lastPlayed = new Map();
+    this.isPaused = false;
+    this.isMuted = false;
+
+    this.positionalVoices = Array.from({ length: POSITIONAL_VOICES }, () => {
+      const audio = new THREE.PositionalAudio(this.listener);
+      audio.setDistanceModel('inverse');
+      audio.setRefDistance(REF_DISTANCE);
+      audio.setRolloffFactor(1);
+      scene.add(audio);
+      return this._createVoice(audio);
+    });
+    this.flatVoices = Array.from({ length: FLAT_VOICES }, () => this._createVoice(new THREE.Audio(this.listener)));
+    this.musicVoice = this._createVoice(new THREE.Audio(this.listener));
+    this.musicVoice.audio.setLoop(true);
+    this._route(this.musicVoice, AudioChannel.MUSIC);
+
+    this._load();
+    this._applyVolumes();
+
+    // Browsers keep the audio context suspended until the first user gesture.
+    this._unlock = this._unlock.bind(this);
+    window.addEventListener('pointerdown', this._unlock, true);
+    window.addEventListener('keydown', this._unlock, true);
+  }
+
+  /**
+   * Loads every sound file, synthesising stand-ins for the ones that are missing. Never throws: a
+   * game without sound files still plays, just with procedural sounds.
+   */
+  async init() {
+    const synthesized = [];
+
+    await Promise.all(
+      Object.entries(SOUND_DEFINITIONS).map(async ([id, definition]) => {
+        try {
+          this.buffers.set(id, await this.assetManager.loadAudio(`${AUDIO_ROOT}${definition.file}`, { cacheKey: id }));
+        } catch (error) {
+          if (definition.synth) {
+            this.buffers.set(id, synthesizeSound(this.context, definition.synth));
+            synthesized.push(id);
+          }
+        }
+      }),
+    );
+
+    if (synthesized.length > 0) {
+      console.warn(`Fichiers audio introuvables, sons de synthèse utilisés pour : ${synthesized.join(', ')}.`);
+    }
+  }
+
+  /**
+   * Plays a one-shot sound. With a `position` it is played in 3D (unless the sound is flagged
+   * `positional: false`); sounds too far from the listener are skipped. Returns the voice used, or
+   * `null` when the sound was dropped.
+   */
+  play(id, { position = null, volume = 1, pitch = 1 } = {}) {
+    const definition = SOUND_DEFINITIONS[id];
+    const buffer = this.buffers.get(id);
+    // Sounds requested while the context is suspended would all burst out at once on resume.
+    if (!definition || !buffer || this.isMuted || this.context.state !== 'running') {
+      return null;
+    }
+
+    const now = this.context.currentTime;
+    if (now - (this.lastPlayed.get(id) ?? -Infinity) < (definition.minInterval ?? 0)) {
+      return null;
+    }
+
+    const isPositional = Boolean(position) && definition.positional !== false;
+    if (isPositional && position.distanceTo(this.listener.position) > MAX_AUDIBLE_DISTANCE) {
+      return null;
+    }
+
+    const voice = this._acquireVoice(isPositional ? this.positionalVoices : this.flatVoices, id, definition);
+    if (!voice) {
+      return null;
+    }
+
+    const { audio } = voice;
+    if (audio.isPlaying) {
+      audio.stop();
+    }
+
+    this._route(voice, definition.channel ?? AudioChannel.SFX);
+    audio.setBuffer(buffer);
+    audio.setVolume((definition.volume ?? 1) * volume);
+    audio.setPlaybackRate(pitch * (1 + (Math.random() * 2 - 1) * (definition.pitchVariance ?? 0)));
+    if (isPositional) {
+      this._placeVoice(audio, position, now);
+    }
+    audio.play();
+
+    voice.soundId = id;
+    voice.priority = definition.priority ?? 1;
+    voice.startedAt = now;
+    this.lastPlayed.set(id, now);
+    return audio;
+  }
+
+  playMusic(id = 'music') {
+    const buffer = this.buffers.get(id);
+    const { audio } = this.musicVoice;
+    if (!buffer || (audio.isPlaying && audio.buffer === buffer)) {
+      return;
+    }
+
+    if (audio.isPlaying) {
+      audio.stop();
+    }
+    audio.setBuffer(buffer);
+    audio.setVolume(SOUND_DEFINITIONS[id]?.volume ?? 1);
+    audio.play();
+  }
+
+  stopMusic() {
+    if (this.musicVoice.audio.isPlaying) {
+      this.musicVoice.audio.stop();
+    }
+  }
+
+  /**
+   * Freezes every sound, music included, e.g. while the game is paused.
+   */
+  setPaused(isPaused) {
+    this.isPaused = isPaused;
+    if (isPaused) {
+      this.context.suspend();
+    } else {
+      this.context.resume();
+    }
+  }
+
+  /**
+   * Drops one-shot sounds while set; music keeps playing. Used while a replay skips ahead.
+   */
+  setMuted(isMuted) {
+    this.isMuted = isMuted;
+  }
+
+  /**
+   * Moves the listener above `position` and turns it like `camera`.
+   */
+  update(position, camera) {
+    if (position) {
+      this.listener.position.set(position.x, position.y + LISTENER_HEIGHT, position.z);
+    }
+    if (camera) {
+      this.listener.quaternion.copy(camera.quaternion);
+    }
+  }
+
+  getVolume(channel) {
+    return this.volumes[channel] ?? 0;
+  }
+
+  setVolume(channel, value) {
+    if (!(channel in DEFAULT_VOLUMES)) {
+      console.warn(`Canal audio inconnu : ${channel}`);
+      return;
+    }
+
+    this.volumes[channel] = THREE.MathUtils.clamp(Number(value) || 0, 0, 1);
+    this._applyVolumes();
+    this._save();
+  }
+
+  /**
+   * Stops every sound and closes the audio context. The manager cannot be used afterwards.
+   */
+  dispose() {
+    this._removeUnlockListeners();
+
+    [...this.positionalVoices, ...this.flatVoices, this.musicVoice].forEach(({ audio }) => {
+      if (audio.isPlaying) {
+        audio.stop();
+      }
+      audio.removeFromParent();
+    });
+    this.listener.removeFromParent();
+    this.buffers.clear();
+
+    // three.js hands the same context to every listener; the next one must get a fresh context.
+    if (THREE.AudioContext.getContext() === this.context) {
+      THREE.AudioContext.setContext(undefined);
+    }
+    this.context.close().catch((error) => console.warn('Impossible de fermer le contexte audio :', error));
+  }
+
+  _createVoice(audio) {
+    return { audio, channel: null, soundId: null, priority: 0, startedAt: 0 };
+  }
+
+  /**
+   * Returns a free voice, or the one to steal: the oldest copy of the same sound once it reached
+   * its `maxVoices`, otherwise the oldest voice of the lowest priority not above this sound's.
+   */
+  _acquireVoice(pool, id, definition) {
+    const priority = definition.priority ?? 1;
+    let free = null;
+    let oldestSame = null;
+    let sameCount = 0;
+    let victim = null;
+
+    pool.forEach((voice) => {
+      if (!voice.audio.isPlaying) {
+        free = free ?? voice;
+        return;
+      }
+
+      if (voice.soundId === id) {
+        sameCount += 1;
+        if (!oldestSame || voice.startedAt < oldestSame.startedAt) {
+          oldestSame = voice;
+        }
+      }
+
+      if (
+        voice.priority <= priority &&
+        (!victim ||
+          voice.priority < victim.priority ||
+          (voice.priority === victim.priority && voice.startedAt < victim.startedAt))
+      ) {
+        victim = voice;
+      }
+    });
+
+    if (sameCount >= (definition.maxVoices ?? pool.length)) {
+      return oldestSame;
+    }
+    return free ?? victim;
+  }
+
+  _route(voice, channel) {
+    if (voice.channel === channel) {
+      return;
+    }
+
+    voice.audio.gain.disconnect();
+    voice.audio.gain.connect(this.channels[channel]);
+    voice.channel = channel;
+  }
+
+  /**
+   * Sets the panner straight to `position`. Three.js only updates it while a sound plays, and then
+   * ramps from the previous spot, which would make a reused voice sweep across the stereo field.
+   */
+  _placeVoice(audio, position, now) {
+    audio.position.copy(position);
+
+    const { panner } = audio;
+    if (panner.positionX) {
+      panner.positionX.cancelScheduledValues(now).setValueAtTime(position.x, now);
+      panner.positionY.cancelScheduledValues(now).setValueAtTime(position.y, now);
+      panner.positionZ.cancelScheduledValues(now).setValueAtTime(position.z, now);
+    } else {
+      panner.setPosition(position.x, position.y, position.z);
+    }
+  }
+
+  _applyVolumes() {
+    const now = this.context.currentTime;
+    this.listener.gain.gain.setTargetAtTime(this.volumes[AudioChannel.MASTER], now, VOLUME_SMOOTHING);
+    Object.entries(this.channels).forEach(([channel, gain]) => {
+      gain.gain.setTargetAtTime(this.volumes[channel], now, VOLUME_SMOOTHING);
+    });
+  }
+
+  _unlock() {
+    if (this.isPaused) {
+      return;
+    }
+
+    this.context
+      .resume()
+      .then(() => this._removeUnlockListeners())
+      .catch((error) => console.warn('Impossible d’activer le son :', error));
+  }
+
+  _removeUnlockListeners() {
+    window.removeEventListener('pointerdown', this._unlock, true);
+    window.removeEventListener('keydown', this._unlock, true);
+  }
+
+  _load() {
+    const saved = readJSON(STORAGE_KEY);
+    if (saved?.version !== STORAGE_VERSION) {
+      return;
+    }
+
+    Object.keys(DEFAULT_VOLUMES).forEach((channel) => {
+      const value = saved.volumes?.[channel];
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        this.volumes[channel] = THREE.MathUtils.clamp(value, 0, 1);
+      }
+    });
+  }
+
+  _save() {
+    writeJSON(STORAGE_KEY, { version: STORAGE_VERSION, volumes: this.volumes });
+  }
+}
@@ -0,0 +1,232 @@
+import * as THREE from 'three';
+import { readJSON, writeJSON } from './storage.js';
+
+const STORAGE_KEY = 'pourr-cursor:camera';
+const STORAGE_VERSION = 1;
+
+const DEFAULT_CAMERA_HEIGHT = 28;
+const DEFAULT_CAMERA_TILT = 18;
+const MIN_CAMERA_HEIGHT = 18;
+const MAX_CAMERA_HEIGHT = 40;
+const ZOOM_STEP = 3;
+const ZOOM_SMOOTHNESS = 7;
+const CAMERA_LOOK_HEIGHT = 2.4;
+const CAMERA_POSITION_SMOOTHNESS = 6.2;
+const CAMERA_LOOK_SMOOTHNESS = 8.5;
+const LOOK_AHEAD_FACTOR = 0.3;
+const LOOK_AHEAD_MAX_DISTANCE = 6;
+const TRAUMA_DECAY = 1.6;
+const MAX_SHAKE_OFFSET = 1.1;
+const MAX_SHAKE_ROLL = 0.05;
+const SHAKE_FREQUENCY = 22;
+const MAX_HIT_STOP = 0.15;
+const HIT_STOP_TIME_SCALE = 0.05;
+
+export const CameraEffect = Object.freeze({
+  SHAKE: 'shake',
+  HIT_STOP: 'hitStop',
+  ZOOM: 'zoom',
+  LOOK_AHEAD: 'lookAhead',
+});
+
+const DEFAULT_INTENSITIES = {
+  [CameraEffect.SHAKE]: 1,
+  [CameraEffect.HIT_STOP]: 1,
+  [CameraEffect.ZOOM]: 1,
+  [CameraEffect.LOOK_AHEAD]: 1,
+};
+
+// Sum of two incommensurate sines: smooth, never repeats visibly, and needs no noise table.
+const shakeNoise = (time, seed) =>
+  Math.sin(time * SHAKE_FREQUENCY + seed) * 0.6 + Math.sin(time * SHAKE_FREQUENCY * 1.7 + seed * 2.1) * 0.4;
+
+/**
+ * Top-down follow camera with feedback effects layered on top: trauma-based screen shake, hit-stop,
+ * zoom between a minimum and maximum height, and a look-ahead towards the aim point.
+ *
+ * Every effect has an intensity between 0 and 1, persisted locally; 0 turns the effect off
+ * completely. Players whose system asks for reduced motion start with shake and hit-stop off.
+ */
+export class CameraRig {
+  constructor() {
+    this.camera = null;
+    this.intensities = { ...DEFAULT_INTENSITIES };
+
+    this.trauma = 0;
+    this.shakeTime = 0;
+    this.hitStopRemaining = 0;
+    this.zoomTarget = DEFAULT_CAMERA_HEIGHT;
+    this.height = DEFAULT_CAMERA_HEIGHT;
+
+    this.offset = new THREE.Vector3();
+    this.lookAhead = new THREE.Vector3();
+    this.desiredPosition = new THREE.Vector3();
+    this.currentPosition = new THREE.Vector3();
+    this.desiredLookAt = new THREE.Vector3();
+    this.currentLookAt = new THREE.Vector3(0, CAMERA_LOOK_HEIGHT, 0);
+    this.shakeOffset = new THREE.Vector3();
+    this.shakenLookAt = new THREE.Vector3();
+
+    this._load();
+  }
+
+  setCamera(camera) {
+    this.camera = camera;
+  }
+
+  /**
+   * Adds screen shake. Trauma accumulates up to 1 and the visible shake grows with its square, so
+   * small hits barely register while big ones stand out.
+   */
+  addTrauma(amount) {
+    if (this.intensities[CameraEffect.SHAKE] > 0) {
+      this.trauma = Math.min(1, this.trauma + amount);
+    }
+  }
+
+  /**
+   * Nearly freezes the simulation for `duration` seconds. Overlapping requests keep the longest one
+   * instead of adding up, so a multi-kill does not stall the game.
+   */
+  hitStop(duration) {
+    const scaled = Math.min(MAX_HIT_STOP, duration * this.intensities[CameraEffect.HIT_STOP]);
+    this.hitStopRemaining = Math.max(this.hitStopRemaining, scaled);
+  }
+
+  /**
+   * Advances the hit-stop timer in real time and returns `delta` as the simulation should see it.
+   */
+  scaleDelta(delta) {
+    if (this.hitStopRemaining <= 0) {
+      return delta;
+    }
+
+    this.hitStopRemaining = Math.max(0, this.hitStopRemaining - delta);
+    return delta * HIT_STOP_TIME_SCALE;
+  }
+
+  /**
+   * Steps the zoom by `direction` notches; positive values zoom out.
+   */
+  zoom(direction) {
+    const range = this._getZoomRange();
+    this.zoomTarget = THREE.MathUtils.clamp(this.zoomTarget + direction * ZOOM_STEP, range.min, range.max);
+  }
+
+  update(delta, { target, aimPoint = null }) {
+    if (!this.camera || !target) {
+      return;
+    }
+
+    this.height += (this.zoomTarget - this.height) * (1 - Math.exp(-delta * ZOOM_SMOOTHNESS));
+    this._computeDesired(target, aimPoint);
+
+    this.currentPosition.lerp(this.desiredPosition, 1 - Math.exp(-delta * CAMERA_POSITION_SMOOTHNESS));
+    this.currentLookAt.lerp(this.desiredLookAt, 1 - Math.exp(-delta * CAMERA_LOOK_SMOOTHNESS));
+
+    this.trauma = Math.max(0, this.trauma - TRAUMA_DECAY * delta);
+    this.shakeTime += delta;
+    const shake = this.trauma * this.trauma * this.intensities[CameraEffect.SHAKE];
+    this.shakeOffset.set(
+      shakeNoise(this.shakeTime, 0) * MAX_SHAKE_OFFSET * shake,
+      0,
+      shakeNoise(this.shakeTime, 4.7) * MAX_SHAKE_OFFSET * shake,
+    );
+
+    this.camera.position.copy(this.currentPosition).add(this.shakeOffset);
+    this.camera.lookAt(this.shakenLookAt.copy(this.currentLookAt).add(this.shakeOffset));
+    if (shake > 0) {
+      this.camera.rotateZ(shakeNoise(this.shakeTime, 9.1) * MAX_SHAKE_ROLL * shake);
+    }
+  }
+
+  /**
+   * Jumps straight to the follow position, e.g. when a run starts.
+   */
+  snap(target) {
+    if (!this.camera || !target) {
+      return;
+    }
+
+    this.height = this.zoomTarget;
+    this._computeDesired(target, null);
+    this.currentPosition.copy(this.desiredPosition);
+    this.currentLookAt.copy(this.desiredLookAt);
+    this.camera.position.copy(this.currentPosition);
+    this.camera.lookAt(this.currentLookAt);
+  }
+
+  reset() {
+    this.trauma = 0;
+    this.hitStopRemaining = 0;
+  }
+
+  getIntensity(effect) {
+    return this.intensities[effect] ?? 0;
+  }
+
+  setIntensity(effect, value) {
+    if (!(effect in DEFAULT_INTENSITIES)) {
+      console.warn(`Effet de caméra inconnu : ${effect}`);
+      return;
+    }
+
+    this.intensities[effect] = THREE.MathUtils.clamp(Number(value) || 0, 0, 1);
+    if (effect === CameraEffect.SHAKE && this.intensities[effect] === 0) {
+      this.trauma = 0;
+    }
+    if (effect === CameraEffect.HIT_STOP && this.intensities[effect] === 0) {
+      this.hitStopRemaining = 0;
+    }
+    if (effect === CameraEffect.ZOOM) {
+      // A narrower range pulls the current zoom back inside it.
+      this.zoom(0);
+    }
+    this._save();
+  }
+
+  _getZoomRange() {
+    const intensity = this.intensities[CameraEffect.ZOOM];
+    return {
+      min: DEFAULT_CAMERA_HEIGHT - (DEFAULT_CAMERA_HEIGHT - MIN_CAMERA_HEIGHT) * intensity,
+      max: DEFAULT_CAMERA_HEIGHT + (MAX_CAMERA_HEIGHT - DEFAULT_CAMERA_HEIGHT) * intensity,
+    };
+  }
+
+  _computeDesired(target, aimPoint) {
+    // The tilt scales with the height so zooming keeps the same viewing angle.
+    this.offset.set(0, this.height, DEFAULT_CAMERA_TILT * (this.height / DEFAULT_CAMERA_HEIGHT));
+
+    this.lookAhead.set(0, 0, 0);
+    const lookAheadIntensity = this.intensities[CameraEffect.LOOK_AHEAD];
+    if (aimPoint && lookAheadIntensity > 0) {
+      this.lookAhead.subVectors(aimPoint, target).setY(0).multiplyScalar(LOOK_AHEAD_FACTOR);
+      this.lookAhead.clampLength(0, LOOK_AHEAD_MAX_DISTANCE).multiplyScalar(lookAheadIntensity);
+    }
+
+    this.desiredPosition.copy(target).add(this.lookAhead).add(this.offset);
+    this.desiredLookAt.set(target.x, target.y + CAMERA_LOOK_HEIGHT, target.z).add(this.lookAhead);
+  }
+
+  _load() {
+    const saved = readJSON(STORAGE_KEY);
+    if (saved?.version !== STORAGE_VERSION) {
+      if (window.matchMedia?.('(prefers-reduced-motion: reduce)').matches) {
+        this.intensities[CameraEffect.SHAKE] = 0;
+        this.intensities[CameraEffect.HIT_STOP] = 0;
+      }
+      return;
+    }
+
+    Object.keys(DEFAULT_INTENSITIES).forEach((effect) => {
+      const value = saved.intensities?.[effect];
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        this.intensities[effect] = THREE.MathUtils.clamp(value, 0, 1);
+      }
+    });
+  }
+
+  _save() {
+    writeJSON(STORAGE_KEY, { version: STORAGE_VERSION, intensities: this.intensities });
+  }
+}
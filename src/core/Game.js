@@ -1,17 +1,51 @@
 import * as THREE from 'three';
 import { AssetManager } from './AssetManager.js';
-import { InputManager } from './InputManager.js';
-import { Player } from '../entities/Player.js';
+import { AdaptiveResolution } from './AdaptiveResolution.js';
+import { AudioManager } from './AudioManager.js';
+import { CameraRig } from './CameraRig.js';
+import { AimDevice, InputManager } from './InputManager.js';
+import { InputBindings } from './InputBindings.js';
+import { GameState, GameStateMachine } from './GameStateMachine.js';
+import { GraphicsSettings } from './GraphicsSettings.js';
+import { PostProcessing } from './PostProcessing.js';
+import { Random, createSeed } from './Random.js';
+import { ReplayPlayer, ReplayRecorder, REPLAY_SPEEDS, SIMULATION_ACTIONS, TickInput } from './Replay.js';
+import { RenderInterpolator } from './RenderInterpolator.js';
+import { DEFAULT_DASH_STATS, Player } from '../entities/Player.js';
+import { Arena, parseArenaLayouts } from '../systems/Arena.js';
 import { EnemyManager } from '../systems/EnemyManager.js';
-import { ProjectileSystem } from '../systems/ProjectileSystem.js';
+import { ModifierStack } from '../systems/ModifierStack.js';
+import { PickupSystem, PickupType } from '../systems/PickupSystem.js';
+import { ParticleSystem, parseEffectLibrary } from '../systems/ParticleSystem.js';
+import { POWER_UPS } from '../systems/PowerUps.js';
+import { Faction, ProjectileSystem } from '../systems/ProjectileSystem.js';
+import { WeaponInventory } from '../systems/WeaponInventory.js';
 import { HUDController } from '../ui/HUDController.js';
 import { FloatingTextManager } from '../ui/FloatingTextManager.js';
-
-const DEFAULT_CAMERA_HEIGHT = 28;
-const DEFAULT_CAMERA_TILT = 18;
-const CAMERA_LOOK_HEIGHT = 2.4;
-const CAMERA_POSITION_SMOOTHNESS = 6.2;
-const CAMERA_LOOK_SMOOTHNESS = 8.5;
+import { ReplayController } from '../ui/ReplayController.js';
+import { ShopController } from '../ui/ShopController.js';
+import { TouchControlsController } from '../ui/TouchControlsController.js';
+
+const WEAPON_SWITCH_DELAY = 0.18;
+const DRY_FIRE_DELAY = 0.35;
+const MAX_FRAME_DELTA = 0.1;
+export const TICK_RATE = 60;
+const FIXED_TIMESTEP = 1 / TICK_RATE;
+// Time spent per frame running ticks while a replay skips ahead, so the page stays responsive.
+const SEEK_FRAME_BUDGET_MS = 12;
+const STICK_AIM_DISTANCE = 10;
+const STARTING_WEAPONS = ['pistol'];
+const WAVE_SCRIPT_PATH = 'assets/data/waves.json';
+const ARENA_LAYOUT_PATH = 'assets/data/arenas.json';
+const EFFECTS_PATH = 'assets/data/effects.json';
+const PLAYER_COLLISION_RADIUS = 0.9;
+const MULTISHOT_FAN_ANGLE = 0.14;
+const KILL_HIT_STOP = 0.03;
+const HEAVY_KILL_TRAUMA = 0.4;
+const MAX_DAMAGE_TRAUMA = 0.6;
+const EXPLOSION_TRAUMA = 0.45;
+const EXPLOSION_SHAKE_RANGE = 12;
+const BOSS_PHASE_TRAUMA = 0.5;
 
 export class Game {
   constructor(options = {}) {
@@ -29,6 +63,14 @@ export class Game {
     this.scene.fog = new THREE.FogExp2(0x06070d, 0.035);
 
     this.clock = new THREE.Clock();
+    // The simulation advances in ticks of FIXED_TIMESTEP; frames draw in between them.
+    this.tickAccumulator = 0;
+    this.tickCount = 0;
+    this.interpolator = new RenderInterpolator();
+    this.interpolatedObjects = [];
+    this.random = new Random();
+    this.seed = this.random.seed;
+    this.stateMachine = new GameStateMachine();
     this.isRunning = false;
     this.shouldRender = true;
 
@@ -37,54 +79,76 @@ export class Game {
     this.world = {
       ground: null,
       environment: null,
+      arena: null,
     };
 
     this.loadingManager = new THREE.LoadingManager();
     this.assetManager = new AssetManager(this.loadingManager);
-    this.inputManager = new InputManager();
+    this.audio = new AudioManager({ scene: this.scene, assetManager: this.assetManager });
+    this.inputBindings = new InputBindings();
+    this.inputManager = new InputManager({ bindings: this.inputBindings });
+    // Gameplay reads input through `tickInput`, once per tick, so a replay can stand in for the devices.
+    this.tickInput = new TickInput();
+    this.pendingTickActions = [];
+    this.replayRecorder = null;
+    this.replayPlayer = null;
     this.player = null;
     this.enemyManager = null;
     this.projectileSystem = null;
+    this.pickupSystem = null;
     this.hud = new HUDController();
     this.floatingTextManager = new FloatingTextManager();
+    this.touchControls = new TouchControlsController({ input: this.inputManager });
+    this.shopController = new ShopController({
+      onPurchase: (item) => this._purchaseShopItem(item),
+      onClose: () => this.closeShop(),
+      isItemAvailable: (item) => this._isShopItemAvailable(item),
+    });
+    this.replayController = new ReplayController({
+      onTogglePlay: () => this.toggleReplayPlayback(),
+      onSpeedChange: (speed) => this.setReplaySpeed(speed),
+      onSeek: (tick) => this.seekReplay(tick),
+      onExit: () => this.quitToMenu(),
+    });
 
     this.score = 0;
-    this.isGameOver = false;
+    this.credits = 0;
     this.elapsedTime = 0;
-    this.playerStats = {
-      maxHealth: 140,
-      health: 140,
-      armor: 0,
-    };
-
-    this.weaponDefinitions = {
-      pistol: {
-        id: 'pistol',
-        name: 'Pistolet',
-        fireRate: 5.5,
-        damage: 22,
-        projectileSpeed: 62,
-        spread: 0.012,
-        color: 0xffe5a0,
-        maxDistance: 70,
-        ammo: Infinity,
-      },
-    };
+    this.playerStats = this._createPlayerStats();
+    this.modifiers = new ModifierStack();
+    this.weaponDefinitions = this._createWeaponDefinitions();
+    this.weaponInventory = new WeaponInventory();
+    this.weaponInventory.reset(STARTING_WEAPONS.map((id) => this.weaponDefinitions[id]));
     this.currentWeapon = this.weaponDefinitions.pistol;
     this.weaponCooldown = 0;
+    this.reloadState = {
+      active: false,
+      elapsed: 0,
+      duration: 0,
+    };
+    this.isDryFiring = false;
+    this.altFireState = {
+      charge: 0,
+      burstRemaining: 0,
+      burstTimer: 0,
+    };
 
     this.raycaster = new THREE.Raycaster();
     this.pointer = new THREE.Vector2();
     this.aimPoint = new THREE.Vector3(0, 0, 0);
     this.groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
 
-    this.cameraOffset = new THREE.Vector3(0, DEFAULT_CAMERA_HEIGHT, DEFAULT_CAMERA_TILT);
-    this.cameraDesiredPosition = new THREE.Vector3();
-    this.cameraCurrentPosition = new THREE.Vector3();
-    this.cameraDesiredLookAt = new THREE.Vector3();
-    this.cameraCurrentLookAt = new THREE.Vector3(0, CAMERA_LOOK_HEIGHT, 0);
+    this.cameraRig = new CameraRig();
+    this.postProcessing = new PostProcessing();
+    this.graphics = new GraphicsSettings();
+    this.adaptiveResolution = new AdaptiveResolution();
+    this.sceneFog = this.scene.fog;
+    this.keyLight = null;
+    this.litEnemies = [];
+    this.graphics.addListener((setting) => this._handleGraphicsChange(setting));
 
     this.tmpVector = new THREE.Vector3();
+    this.playerPreviousPosition = new THREE.Vector3();
     this.tmpVectorAlt = new THREE.Vector3();
     this.muzzleWorldPosition = new THREE.Vector3();
     this.shotDirection = new THREE.Vector3();
@@ -103,27 +167,126 @@ export class Game {
     };
 
     this.onResize = this.onResize.bind(this);
+    this._handleInputEvent = this._handleInputEvent.bind(this);
+    this._handleWindowBlur = this._handleWindowBlur.bind(this);
+    this._handleVisibilityChange = this._handleVisibilityChange.bind(this);
+
+    this._registerStateHooks();
   }
 
   async init() {
+    this.stateMachine.transition(GameState.LOADING);
+
     this._setupRenderer();
     this._setupCamera();
+    this.postProcessing.setup({ renderer: this.renderer, scene: this.scene, camera: this.camera });
     this._setupLights();
     this._setupGround();
+    await this._setupArena();
     await this._setupPlayer();
-    this._setupSystems();
+    await this._setupSystems();
+    await this.audio.init();
+    // Post-processing keeps its own saved toggles; only an explicit preset change overrides them.
+    this._applyGraphics({ includePostProcessing: false });
     this._snapCameraToPlayer();
     this._refreshHUD();
 
     window.addEventListener('resize', this.onResize);
+    window.addEventListener('blur', this._handleWindowBlur);
+    document.addEventListener('visibilitychange', this._handleVisibilityChange);
+    this.inputManager.addListener(this._handleInputEvent);
     this.onResize();
+
+    this.stateMachine.transition(GameState.MENU);
+  }
+
+  onStateEnter(state, callback) {
+    return this.stateMachine.onEnter(state, callback);
+  }
+
+  onStateExit(state, callback) {
+    return this.stateMachine.onExit(state, callback);
   }
 
-  start() {
-    if (this.isRunning && !this.isGameOver) {
+  /**
+   * Starts a run and records it. Every gameplay roll comes from `seed`, so the same seed and the same
+   * inputs play the run out identically.
+   */
+  start({ seed = createSeed() } = {}) {
+    if (!this.stateMachine.is(GameState.MENU, GameState.GAME_OVER)) {
       return;
     }
 
+    this._closeReplay();
+    this.replayRecorder = new ReplayRecorder({ seed: seed >>> 0, tickRate: TICK_RATE });
+    this._beginRun(seed);
+  }
+
+  /**
+   * Plays back a replay read by `parseReplay` in place of a live run.
+   */
+  playReplay(replay) {
+    if (!this.stateMachine.is(GameState.MENU, GameState.GAME_OVER)) {
+      return;
+    }
+
+    this.replayPlayer = new ReplayPlayer(replay);
+    this.replayController.show({ ticks: replay.ticks, tickRate: TICK_RATE, speed: this.replayPlayer.speed });
+    this._beginRun(replay.seed);
+  }
+
+  isReplaying() {
+    return this.replayPlayer !== null;
+  }
+
+  /**
+   * The replay of the last live run, still growing while that run goes on, or null before any run.
+   */
+  getRecordedReplay() {
+    return this.replayRecorder?.getReplay() ?? null;
+  }
+
+  toggleReplayPlayback() {
+    const replay = this.replayPlayer;
+    if (!replay) {
+      return;
+    }
+
+    // Pressing play at the end watches the run again from the start.
+    if (!replay.isPlaying && replay.isFinished(this.tickCount)) {
+      this.seekReplay(0);
+    }
+    replay.isPlaying = !replay.isPlaying;
+  }
+
+  setReplaySpeed(speed) {
+    if (this.replayPlayer && REPLAY_SPEEDS.includes(speed)) {
+      this.replayPlayer.speed = speed;
+    }
+  }
+
+  /**
+   * Jumps to `tick`. Ticks can only run forwards, so going back restarts the run from its seed; the
+   * ticks in between then run over the next frames without sound.
+   */
+  seekReplay(tick) {
+    const replay = this.replayPlayer;
+    if (!replay || !this.stateMachine.is(GameState.PLAYING, GameState.GAME_OVER)) {
+      return;
+    }
+
+    const target = THREE.MathUtils.clamp(Math.round(tick), 0, replay.getTickCount());
+    if (target < this.tickCount) {
+      this._resetGameState();
+      if (this.stateMachine.is(GameState.GAME_OVER)) {
+        this.stateMachine.transition(GameState.PLAYING);
+      }
+    }
+    replay.seekTarget = target;
+  }
+
+  _beginRun(seed) {
+    this.seed = seed >>> 0;
     this._resetGameState();
     this.clock.start();
 
@@ -131,6 +294,37 @@ export class Game {
       this.isRunning = true;
       this.renderer.setAnimationLoop(this._boundAnimate);
     }
+
+    this.stateMachine.transition(GameState.PLAYING);
+  }
+
+  pause() {
+    if (!this.stateMachine.is(GameState.PLAYING)) {
+      return false;
+    }
+
+    return this.stateMachine.transition(GameState.PAUSED);
+  }
+
+  resume() {
+    if (!this.stateMachine.is(GameState.PAUSED)) {
+      return false;
+    }
+
+    return this.stateMachine.transition(GameState.PLAYING);
+  }
+
+  togglePause() {
+    return this.stateMachine.is(GameState.PAUSED) ? this.resume() : this.pause();
+  }
+
+  quitToMenu() {
+    if (!this.stateMachine.can(GameState.MENU)) {
+      return false;
+    }
+
+    this._resetGameState();
+    return this.stateMachine.transition(GameState.MENU);
   }
 
   stop() {
@@ -145,7 +339,10 @@ export class Game {
   dispose() {
     this.stop();
     window.removeEventListener('resize', this.onResize);
+    window.removeEventListener('blur', this._handleWindowBlur);
+    document.removeEventListener('visibilitychange', this._handleVisibilityChange);
 
+    this.touchControls?.destroy();
     if (this.inputManager) {
       this.inputManager.destroy();
     }
@@ -156,7 +353,14 @@ export class Game {
 
     this.enemyManager?.reset();
     this.projectileSystem?.reset();
+    this.pickupSystem?.dispose();
+    this.particles?.dispose();
+    this.postProcessing.dispose();
+    this.audio.dispose();
     this.floatingTextManager?.clear();
+    this.shopController?.destroy();
+    this.replayController.destroy();
+    this.world.arena?.dispose();
 
     if (this.renderer) {
       this.renderer.dispose();
@@ -180,6 +384,206 @@ export class Game {
     });
   }
 
+  openShop(clearedWave) {
+    if (!this.stateMachine.is(GameState.PLAYING)) {
+      return;
+    }
+
+    this.stateMachine.transition(GameState.SHOP, { wave: clearedWave });
+  }
+
+  closeShop() {
+    if (!this.stateMachine.is(GameState.SHOP)) {
+      return;
+    }
+
+    this.stateMachine.transition(GameState.PLAYING);
+  }
+
+  _registerStateHooks() {
+    this.stateMachine.onEnter(GameState.PLAYING, () => {
+      // Drop the time spent outside of play so the next frame does not simulate it.
+      this.clock.getDelta();
+      this.pendingTickActions.length = 0;
+      this.audio.playMusic();
+    });
+
+    this.stateMachine.onEnter(GameState.PAUSED, () => this.audio.setPaused(true));
+    this.stateMachine.onExit(GameState.PAUSED, () => this.audio.setPaused(false));
+    this.stateMachine.onEnter(GameState.MENU, () => {
+      this.audio.stopMusic();
+      this._closeReplay();
+    });
+    this.stateMachine.onEnter(GameState.GAME_OVER, () => this.audio.stopMusic());
+
+    this.stateMachine.onExit(GameState.PLAYING, () => {
+      this._cancelAltFire();
+    });
+
+    this.stateMachine.onEnter(GameState.SHOP, ({ payload }) => {
+      this.shopController.open({ credits: this.credits, wave: payload.wave });
+    });
+
+    this.stateMachine.onExit(GameState.SHOP, () => {
+      this.shopController.close();
+    });
+  }
+
+  _handleWindowBlur() {
+    this.pause();
+  }
+
+  _handleVisibilityChange() {
+    if (document.visibilityState === 'hidden') {
+      this.pause();
+    }
+  }
+
+  _createPlayerStats() {
+    return {
+      maxHealth: 140,
+      health: 140,
+      armor: 0,
+      shield: 0,
+      maxShield: 50,
+      dash: { ...DEFAULT_DASH_STATS },
+    };
+  }
+
+  _createWeaponDefinitions() {
+    return {
+      pistol: {
+        id: 'pistol',
+        name: 'Pistolet',
+        slot: 1,
+        fireRate: 5.5,
+        damage: 22,
+        projectileSpeed: 62,
+        spread: 0.012,
+        color: 0xffe5a0,
+        maxDistance: 70,
+        magazineSize: 12,
+        reserveAmmo: Infinity,
+        reloadTime: 1.1,
+        altFire: {
+          type: 'burst',
+          name: 'Rafale',
+          count: 3,
+          interval: 0.07,
+          cooldown: 1.4,
+        },
+      },
+      shotgun: {
+        id: 'shotgun',
+        name: 'Fusil à pompe',
+        slot: 2,
+        sound: 'heavyShot',
+        fireRate: 1.35,
+        damage: 14,
+        pellets: 8,
+        projectileSpeed: 54,
+        spread: 0.34,
+        color: 0xffb36b,
+        maxDistance: 30,
+        magazineSize: 6,
+        reserveAmmo: 30,
+        reloadTime: 2.2,
+        ammoPack: 18,
+        altFire: {
+          type: 'burst',
+          name: 'Double détente',
+          count: 2,
+          interval: 0.12,
+          cooldown: 2.5,
+        },
+      },
+      smg: {
+        id: 'smg',
+        name: 'Mitraillette',
+        slot: 3,
+        fireRate: 13,
+        damage: 9,
+        projectileSpeed: 70,
+        spread: 0.09,
+        color: 0x8fe8ff,
+        maxDistance: 55,
+        magazineSize: 40,
+        reserveAmmo: 200,
+        reloadTime: 1.6,
+        ammoPack: 120,
+        altFire: {
+          type: 'grenade',
+          name: 'Grenade',
+          damage: 85,
+          radius: 5.5,
+          range: 24,
+          minRange: 4,
+          speed: 22,
+          arcHeight: 5,
+          scale: 2.4,
+          color: 0x9dff6b,
+          cooldown: 6,
+        },
+      },
+      rifle: {
+        id: 'rifle',
+        name: 'Fusil de précision',
+        slot: 4,
+        sound: 'heavyShot',
+        fireRate: 1.6,
+        damage: 80,
+        projectileSpeed: 110,
+        spread: 0,
+        color: 0xc49bff,
+        maxDistance: 110,
+        magazineSize: 5,
+        reserveAmmo: 30,
+        reloadTime: 2.4,
+        ammoPack: 15,
+        altFire: {
+          type: 'charge',
+          name: 'Tir chargé',
+          chargeTime: 1.2,
+          maxMultiplier: 3.5,
+          maxScale: 2.4,
+          speedMultiplier: 1.3,
+          cooldown: 2.5,
+        },
+      },
+      rocket: {
+        id: 'rocket',
+        name: 'Lance-roquettes',
+        slot: 5,
+        sound: 'launcher',
+        fireRate: 0.9,
+        damage: 90,
+        projectileSpeed: 30,
+        projectileScale: 2.2,
+        explosionRadius: 5,
+        spread: 0,
+        color: 0xff7043,
+        maxDistance: 60,
+        magazineSize: 1,
+        reserveAmmo: 8,
+        reloadTime: 1.8,
+        ammoPack: 4,
+        altFire: {
+          type: 'grenade',
+          name: 'Charge à fragmentation',
+          damage: 120,
+          radius: 7,
+          range: 20,
+          minRange: 4,
+          speed: 18,
+          arcHeight: 6,
+          scale: 2.8,
+          color: 0xff9f43,
+          cooldown: 9,
+        },
+      },
+    };
+  }
+
   _setupRenderer() {
     this.renderer = new THREE.WebGLRenderer({
       antialias: true,
@@ -204,8 +608,8 @@ export class Game {
   _setupCamera() {
     const aspect = this._getAspectRatio();
     this.camera = new THREE.PerspectiveCamera(52, aspect, 0.1, 1000);
-    this.camera.position.set(0, DEFAULT_CAMERA_HEIGHT, DEFAULT_CAMERA_TILT);
-    this.camera.lookAt(new THREE.Vector3(0, 0, 0));
+    this.cameraRig.setCamera(this.camera);
+    this.cameraRig.snap(new THREE.Vector3(0, 0, 0));
 
     this.scene.add(this.camera);
   }
@@ -217,8 +621,6 @@ export class Game {
     const keyLight = new THREE.DirectionalLight(0x9f8bff, 1.0);
     keyLight.position.set(16, 38, 22);
     keyLight.castShadow = true;
-    keyLight.shadow.mapSize.width = 2048;
-    keyLight.shadow.mapSize.height = 2048;
     keyLight.shadow.camera.near = 12;
     keyLight.shadow.camera.far = 120;
     keyLight.shadow.camera.left = -60;
@@ -226,6 +628,7 @@ export class Game {
     keyLight.shadow.camera.top = 60;
     keyLight.shadow.camera.bottom = -60;
     this.scene.add(keyLight);
+    this.keyLight = keyLight;
 
     const rimLight = new THREE.DirectionalLight(0x4de0ff, 0.45);
     rimLight.position.set(-20, 26, -24);
@@ -273,41 +676,86 @@ export class Game {
     this.world.ground = group;
   }
 
+  async _setupArena() {
+    const data = await this.assetManager.loadJSON(ARENA_LAYOUT_PATH).catch((error) => {
+      throw new Error(`Impossible de lire ${ARENA_LAYOUT_PATH} : ${error.message}`);
+    });
+    const { arenas, defaultArena } = parseArenaLayouts(data);
+
+    this.world.arena = new Arena({ scene: this.scene, layout: arenas[defaultArena] });
+    this.world.arena.build();
+  }
+
   async _setupPlayer() {
     this.player = new Player({
       scene: this.scene,
       assetManager: this.assetManager,
-      input: this.inputManager,
+      input: this.tickInput,
+      modifiers: this.modifiers,
     });
 
     await this.player.init();
   }
 
-  _setupSystems() {
+  async _setupSystems() {
+    const waveScript = await this.assetManager.loadJSON(WAVE_SCRIPT_PATH).catch((error) => {
+      throw new Error(`Impossible de lire ${WAVE_SCRIPT_PATH} : ${error.message}`);
+    });
+
+    const effectData = await this.assetManager.loadJSON(EFFECTS_PATH).catch((error) => {
+      throw new Error(`Impossible de lire ${EFFECTS_PATH} : ${error.message}`);
+    });
+
+    this.particles = new ParticleSystem({ scene: this.scene, library: parseEffectLibrary(effectData) });
     this.projectileSystem = new ProjectileSystem({ scene: this.scene });
+    this.pickupSystem = new PickupSystem({ scene: this.scene, arena: this.world.arena, random: this.random });
     this.enemyManager = new EnemyManager({
       scene: this.scene,
       assetManager: this.assetManager,
+      waveScript,
+      arena: this.world.arena,
+      random: this.random,
     });
   }
 
   _resetGameState() {
+    this.random.setSeed(this.seed);
+    this.tickAccumulator = 0;
+    this.tickCount = 0;
+    this.tickInput.reset();
+    this.replayPlayer?.rewind();
+    this.interpolator.clear();
     this.score = 0;
-    this.isGameOver = false;
+    this.credits = 0;
     this.elapsedTime = 0;
     this.weaponCooldown = 0;
+    this.isDryFiring = false;
+    this._cancelReload();
+    this._cancelAltFire();
 
-    this.currentWeapon = this.weaponDefinitions.pistol;
-    this.playerStats.health = this.playerStats.maxHealth;
+    this.playerStats = this._createPlayerStats();
+    this.modifiers.clear();
+    this.weaponDefinitions = this._createWeaponDefinitions();
+    this.weaponInventory.reset(STARTING_WEAPONS.map((id) => this.weaponDefinitions[id]));
+    this.currentWeapon = this.weaponInventory.getActive().definition;
+    this.shopController?.reset();
 
     if (this.player) {
       this.player.group.position.set(0, 0, 0);
-      this.player.velocity.set(0, 0, 0);
+      this.world.arena?.findOpenPosition(this.player.group.position, PLAYER_COLLISION_RADIUS);
+      this.player.resetPose();
+      this.player.dashStats = this.playerStats.dash;
+      this.player.resetDash();
     }
+    this.pendingTickActions.length = 0;
 
     this.enemyManager?.reset();
     this.projectileSystem?.reset();
+    this.pickupSystem?.reset();
+    this.particles?.reset();
     this.floatingTextManager?.clear();
+    this.cameraRig.reset();
+    this.postProcessing.reset();
 
     this._refreshHUD();
     this._snapCameraToPlayer();
@@ -318,46 +766,206 @@ export class Game {
       return;
     }
 
-    const delta = this.clock.getDelta();
-    this.update(delta);
+    const delta = Math.min(this.clock.getDelta(), MAX_FRAME_DELTA);
+    if (
+      this.graphics.adaptive &&
+      this.stateMachine.is(GameState.PLAYING) &&
+      this.adaptiveResolution.update(delta, this.graphics.targetFps)
+    ) {
+      this._applyPixelRatio();
+    }
+    this.inputManager.update();
+    if (this.stateMachine.is(GameState.PLAYING, GameState.GAME_OVER)) {
+      const frameDelta = this.cameraRig.scaleDelta(delta);
+      this._stepSimulation(frameDelta);
+      this._updatePresentation(frameDelta);
+    }
     this.render();
+    this.interpolator.restore();
+  }
+
+  /**
+   * Runs as many fixed ticks as the elapsed time covers; the remainder carries over to the next frame.
+   * Stops early if a tick leaves play, e.g. by opening the shop, or when a replay runs out of ticks.
+   */
+  _stepSimulation(frameDelta) {
+    const replay = this.replayPlayer;
+    if (replay && replay.seekTarget !== null) {
+      this._skipReplayAhead();
+      return;
+    }
+
+    if (!replay) {
+      this.tickAccumulator += frameDelta;
+    } else if (replay.isPlaying) {
+      this.tickAccumulator += frameDelta * replay.speed;
+    }
+
+    while (
+      this.tickAccumulator >= FIXED_TIMESTEP &&
+      this.stateMachine.is(GameState.PLAYING, GameState.GAME_OVER) &&
+      !replay?.isFinished(this.tickCount)
+    ) {
+      this.tickAccumulator -= FIXED_TIMESTEP;
+      this._runTick();
+    }
+
+    if (replay?.isFinished(this.tickCount)) {
+      replay.isPlaying = false;
+      this.tickAccumulator = 0;
+    }
+  }
+
+  _runTick() {
+    this.interpolator.capture(this._collectInterpolatedObjects());
+    this.update(FIXED_TIMESTEP);
+    this.tickCount += 1;
+
+    // The recorded purchases are made and the shop left before the next tick, as in the live run.
+    if (this.replayPlayer && this.stateMachine.is(GameState.SHOP)) {
+      this.replayPlayer.takePurchases(this.tickCount).forEach((itemId) => this.shopController.purchase(itemId));
+      this.closeShop();
+    }
+  }
+
+  _skipReplayAhead() {
+    const replay = this.replayPlayer;
+    const deadline = performance.now() + SEEK_FRAME_BUDGET_MS;
+
+    this.audio.setMuted(true);
+    this.floatingTextManager.setEnabled(false);
+    while (
+      this.tickCount < replay.seekTarget &&
+      this.stateMachine.is(GameState.PLAYING, GameState.GAME_OVER) &&
+      performance.now() < deadline
+    ) {
+      this._runTick();
+    }
+    this.audio.setMuted(false);
+    this.floatingTextManager.setEnabled(true);
+
+    if (this.tickCount >= replay.seekTarget || !this.stateMachine.is(GameState.PLAYING, GameState.GAME_OVER)) {
+      replay.seekTarget = null;
+      this.tickAccumulator = 0;
+      this.interpolator.clear();
+      this.particles?.reset();
+      this._snapCameraToPlayer();
+    }
+  }
+
+  _closeReplay() {
+    this.replayPlayer = null;
+    this.replayController.hide();
+  }
+
+  /**
+   * Everything that only affects what is drawn or heard runs once per frame, after the ticks, and
+   * never feeds back into the simulation.
+   */
+  _updatePresentation(delta) {
+    this.interpolator.apply(this.tickAccumulator / FIXED_TIMESTEP);
+    this.particles?.update(delta);
+    this._updateCamera(delta);
+    this.audio.update(this.player?.group.position, this.camera);
+    this.postProcessing.update(delta, { healthRatio: this.playerStats.health / this.playerStats.maxHealth });
+
+    if (this.replayPlayer) {
+      this.replayController.update({
+        tick: this.replayPlayer.seekTarget ?? this.tickCount,
+        isPlaying: this.replayPlayer.isPlaying,
+      });
+    }
+  }
+
+  _collectInterpolatedObjects() {
+    const objects = this.interpolatedObjects;
+    objects.length = 0;
+    if (this.player) {
+      objects.push(this.player.group);
+    }
+    this.enemyManager?.enemyEntries.forEach(({ enemy }) => objects.push(enemy.group));
+    this.projectileSystem?.projectiles.forEach((projectile) => objects.push(projectile.mesh));
+    this.pickupSystem?.pickups.forEach((pickup) => objects.push(pickup.mesh));
+    return objects;
   }
 
   update(delta) {
+    const isGameOver = this.stateMachine.is(GameState.GAME_OVER);
+
     this.elapsedTime += delta;
-    this._updateAimPoint();
+    this._readTickInput();
+
+    if (!isGameOver) {
+      this.modifiers.update(delta);
+    }
+    this.hud.setPowerUps(this.modifiers.getActive());
 
     if (this.player) {
+      this.playerPreviousPosition.copy(this.player.group.position);
       this.player.update(delta, {
         aimPoint: this.aimPoint,
-        movementLocked: this.isGameOver,
+        movementLocked: isGameOver,
+        dashStats: this.playerStats.dash,
       });
+      this.world.arena?.constrainMovement(
+        this.playerPreviousPosition,
+        this.player.group.position,
+        PLAYER_COLLISION_RADIUS,
+      );
+      this.hud.setDash(this.player.getDashState());
     }
 
-    if (!this.isGameOver) {
+    if (!isGameOver) {
+      this._applyTickActions();
       this._handleWeapons(delta);
     }
 
     if (this.enemyManager) {
       this.enemyManager.update(delta, {
         playerPosition: this.player?.group.position,
-        onPlayerDamaged: this.isGameOver
+        onPlayerDamaged: isGameOver
           ? undefined
           : (damage, enemy) => this._handlePlayerDamage(damage, enemy),
+        onWaveCleared: (wave) => this.openShop(wave),
+        onWaveStarted: () => this.audio.play('waveStart'),
+        onEnemySpawning: (type, position) => this.particles?.emit('spawnPortal', position),
+        onBossPhaseChange: (boss, phase) => this._handleBossPhaseChange(boss, phase),
+        onEnemyFire: (enemy, shot) => {
+          this.projectileSystem?.spawnProjectile({ ...shot, faction: Faction.ENEMY, source: enemy });
+          this.audio.play('enemyShot', { position: shot.position });
+        },
       });
+      this._refreshBossHUD();
+      this._applyLightBudget();
     }
 
     if (this.projectileSystem) {
-      this.projectileSystem.update(delta, this.enemyManager, {
-        onEnemyHit: (impact) => this._handleEnemyHit(impact),
-      });
+      this.projectileSystem.update(
+        delta,
+        { enemyManager: this.enemyManager, player: this.player, arena: this.world.arena },
+        {
+          onEnemyHit: (impact) => this._handleEnemyHit(impact),
+          onPlayerHit: (projectile) => this._handlePlayerDamage(projectile.damage, projectile.source),
+          onImpact: (projectile) =>
+            this.particles?.emit('impact', projectile.position, { color: projectile.mesh.material.color }),
+          onExplode: (projectile) => {
+            this._shakeFromExplosion(projectile);
+            this.particles?.emit('explosion', projectile.position);
+            this.audio.play('explosion', { position: projectile.position });
+          },
+        },
+      );
     }
 
-    this._updateCamera(delta);
+    this.pickupSystem?.update(delta, {
+      playerPosition: isGameOver ? null : this.player?.group.position,
+      isCollectible: (pickup) => this._canCollectPickup(pickup),
+      onCollect: (pickup) => this._applyPickup(pickup),
+    });
   }
 
   render() {
-    this.renderer.render(this.scene, this.camera);
+    this.postProcessing.render();
   }
 
   onResize() {
@@ -365,20 +973,165 @@ export class Game {
     this.camera.aspect = aspect;
     this.camera.updateProjectionMatrix();
 
+    this.renderer.setSize(window.innerWidth, window.innerHeight);
+    this._applyPixelRatio();
+  }
+
+  _handleGraphicsChange(setting) {
+    // Changes made before `init` finishes are picked up when it applies the settings.
+    if (!this.keyLight) {
+      return;
+    }
+
+    if (setting === 'preset') {
+      this._applyGraphics({ includePostProcessing: true });
+      return;
+    }
+
+    if (setting === 'adaptive' && !this.graphics.adaptive) {
+      this.adaptiveResolution.reset();
+    }
+    this._applyPixelRatio();
+  }
+
+  _applyGraphics({ includePostProcessing }) {
+    const preset = this.graphics.getPreset();
+
+    const { shadowMap } = this.renderer;
+    shadowMap.enabled = preset.shadows;
+    shadowMap.type = preset.shadowType;
+    this.keyLight.castShadow = preset.shadows;
+    this.keyLight.shadow.mapSize.set(preset.shadowMapSize, preset.shadowMapSize);
+    // The shadow map is reallocated at the new size on the next render.
+    this.keyLight.shadow.map?.dispose();
+    this.keyLight.shadow.map = null;
+
+    this.scene.fog = preset.fog ? this.sceneFog : null;
+    // Shadow and fog settings are compiled into the shaders, so every material must be rebuilt.
+    this.scene.traverse((child) => {
+      const materials = Array.isArray(child.material) ? child.material : [child.material];
+      materials.forEach((material) => {
+        if (material) {
+          material.needsUpdate = true;
+        }
+      });
+    });
+
+    if (includePostProcessing) {
+      this.postProcessing.setEnabled(preset.postProcessing);
+      this.postProcessing.setAntialias(preset.antialias);
+    }
+    this.particles?.setDensity(preset.particleDensity);
+    this._applyPixelRatio();
+  }
+
+  _applyPixelRatio() {
     const { innerWidth, innerHeight } = window;
-    this.renderer.setSize(innerWidth, innerHeight);
-    this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+    const renderScale = this.graphics.adaptive ? this.adaptiveResolution.scale : 1;
+    const pixelRatio = Math.min(window.devicePixelRatio, this.graphics.getPreset().maxPixelRatio) * renderScale;
+
+    this.renderer.setPixelRatio(pixelRatio);
+    this.particles?.setViewport(innerHeight * pixelRatio, this.camera);
+    this.postProcessing.setSize(innerWidth, innerHeight, pixelRatio);
+  }
+
+  /**
+   * Only the enemies nearest to the player keep their glow light. Lights are hidden rather than
+   * removed, and the count settles at the budget once enough enemies are alive, so shaders are not
+   * recompiled every frame.
+   */
+  _applyLightBudget() {
+    const budget = this.graphics.getPreset().pointLights;
+    const playerPosition = this.player?.group.position;
+
+    // Dying enemies stay in the scene until cleanup; their lights go out so kills do not exceed the budget.
+    this.litEnemies.length = 0;
+    this.enemyManager.enemyEntries.forEach(({ enemy }) => {
+      if (enemy.glowLight) {
+        enemy.glowLight.visible = false;
+        if (enemy.isAlive) {
+          this.litEnemies.push(enemy);
+        }
+      }
+    });
+
+    if (playerPosition && this.litEnemies.length > budget) {
+      this.litEnemies.sort(
+        (a, b) =>
+          a.group.position.distanceToSquared(playerPosition) - b.group.position.distanceToSquared(playerPosition),
+      );
+    }
+    const litCount = Math.min(budget, this.litEnemies.length);
+    for (let i = 0; i < litCount; i += 1) {
+      this.litEnemies[i].glowLight.visible = true;
+    }
   }
 
   _getAspectRatio() {
     return window.innerWidth / window.innerHeight;
   }
 
+  /**
+   * Fills `tickInput` for this tick, from the devices in a live run (recording it) or from the replay.
+   */
+  _readTickInput() {
+    if (this.replayPlayer) {
+      this.replayPlayer.readTick(this.tickCount, this.tickInput);
+    } else {
+      this._updateAimPoint();
+      this.tickInput.sample(this.inputManager, this.aimPoint, this.pendingTickActions);
+      this.pendingTickActions.length = 0;
+      if (this.stateMachine.is(GameState.PLAYING)) {
+        this.replayRecorder?.recordTick(this.tickCount, this.tickInput);
+      }
+    }
+
+    this.aimPoint.set(this.tickInput.aimX, 0, this.tickInput.aimZ);
+  }
+
+  _applyTickActions() {
+    this.tickInput.actions.forEach((action) => {
+      switch (action) {
+        case 'reload':
+          this._startReload();
+          break;
+        case 'weaponNext':
+          this._equipWeapon(() => this.weaponInventory.cycle(1));
+          break;
+        case 'weaponPrevious':
+          this._equipWeapon(() => this.weaponInventory.cycle(-1));
+          break;
+        default: {
+          const match = /^weaponSlot([1-9])$/.exec(action);
+          if (match) {
+            this._equipWeapon(() => this.weaponInventory.selectSlot(Number(match[1])));
+          }
+          break;
+        }
+      }
+    });
+  }
+
   _updateAimPoint() {
     if (!this.player) {
       return;
     }
 
+    if (this.inputManager.getAimDevice() !== AimDevice.MOUSE) {
+      // Twin-stick aiming, gamepad or on-screen: the aim point sits at a fixed distance from the player
+      // along the right stick.
+      const aim = this.inputManager.getAimVector();
+      const playerPosition = this.player.group.position;
+      if (aim) {
+        this.tmpVector.set(aim.x, 0, aim.z);
+      } else {
+        this.tmpVector.copy(this.player.lookDirection);
+      }
+      this.aimPoint.copy(playerPosition).addScaledVector(this.tmpVector, STICK_AIM_DISTANCE);
+      this.aimPoint.y = 0;
+      return;
+    }
+
     this.pointer.set(
       this.inputManager.mouse.normalizedX,
       this.inputManager.mouse.normalizedY,
@@ -395,26 +1148,7 @@ export class Game {
       return;
     }
 
-    const playerPosition = this.player.group.position;
-
-    this.cameraDesiredPosition.copy(playerPosition).add(this.cameraOffset);
-    this.cameraCurrentPosition.lerp(
-      this.cameraDesiredPosition,
-      1 - Math.exp(-delta * CAMERA_POSITION_SMOOTHNESS),
-    );
-    this.camera.position.copy(this.cameraCurrentPosition);
-
-    this.cameraDesiredLookAt.set(
-      playerPosition.x,
-      playerPosition.y + CAMERA_LOOK_HEIGHT,
-      playerPosition.z,
-    );
-
-    this.cameraCurrentLookAt.lerp(
-      this.cameraDesiredLookAt,
-      1 - Math.exp(-delta * CAMERA_LOOK_SMOOTHNESS),
-    );
-    this.camera.lookAt(this.cameraCurrentLookAt);
+    this.cameraRig.update(delta, { target: this.player.group.position, aimPoint: this.aimPoint });
   }
 
   _snapCameraToPlayer() {
@@ -422,57 +1156,403 @@ export class Game {
       return;
     }
 
-    const playerPosition = this.player.group.position;
-    this.cameraCurrentPosition.copy(playerPosition).add(this.cameraOffset);
-    this.camera.position.copy(this.cameraCurrentPosition);
-
-    this.cameraCurrentLookAt.set(
-      playerPosition.x,
-      playerPosition.y + CAMERA_LOOK_HEIGHT,
-      playerPosition.z,
-    );
-    this.camera.lookAt(this.cameraCurrentLookAt);
+    this.cameraRig.snap(this.player.group.position);
   }
 
   _refreshHUD() {
     this.hud.setScore(this.score);
+    this.hud.setCredits(this.credits);
     this.hud.setHealth(this.playerStats.health, this.playerStats.maxHealth);
+    this.hud.setShield(this.playerStats.shield, this.playerStats.maxShield);
+    this._refreshWeaponHUD();
+    this._refreshBossHUD();
+    this.hud.setPowerUps(this.modifiers.getActive());
+  }
+
+  _refreshBossHUD() {
+    const boss = this.enemyManager?.getActiveBoss();
+    if (!boss) {
+      this.hud.setBoss(null);
+      return;
+    }
+
+    this.hud.setBoss({
+      name: boss.name,
+      health: boss.health,
+      maxHealth: boss.config.maxHealth,
+      phase: boss.phaseIndex,
+      phaseCount: boss.getPhaseCount(),
+      thresholds: boss.getPhaseThresholds(),
+    });
+  }
+
+  _handleBossPhaseChange(boss, phase) {
+    this.cameraRig.addTrauma(BOSS_PHASE_TRAUMA);
+    const position = this.tmpVectorAlt.copy(boss.group.position);
+    position.y += boss.height + 1;
+    this.floatingTextManager.spawnFromWorldPosition(position, this.camera, {
+      text: `Phase ${phase + 1}`,
+      color: '#d9c8ff',
+      duration: 1600,
+    });
+  }
+
+  _shakeFromExplosion(projectile) {
+    if (!this.player) {
+      return;
+    }
+
+    const distance = projectile.position.distanceTo(this.player.group.position);
+    const falloff = 1 - distance / (projectile.explosionRadius + EXPLOSION_SHAKE_RANGE);
+    if (falloff > 0) {
+      this.cameraRig.addTrauma(EXPLOSION_TRAUMA * falloff);
+    }
+  }
+
+  _refreshWeaponHUD() {
+    const entry = this.weaponInventory.getActive();
+    let ammoState = 'ready';
+    if (this.reloadState.active) {
+      ammoState = 'reloading';
+    } else if (this.isDryFiring) {
+      ammoState = 'empty';
+    }
+
     this.hud.setWeapon({
       name: this.currentWeapon.name,
-      ammoDisplay: this._getAmmoDisplay(this.currentWeapon),
+      ammoDisplay: this._getAmmoDisplay(entry),
+      ammoState,
+      slots: this.weaponInventory.getOwned().map(({ definition }) => ({
+        id: definition.id,
+        slot: definition.slot,
+        name: definition.name,
+      })),
+      activeId: this.currentWeapon.id,
     });
   }
 
-  _getAmmoDisplay(weapon) {
-    if (!weapon) {
-      return '—';
+  _handleInputEvent({ type, action }) {
+    if (type !== 'action') {
+      return;
+    }
+
+    if (action === 'pause') {
+      if (this.stateMachine.is(GameState.SHOP)) {
+        this.closeShop();
+      } else if (this.replayPlayer && this.stateMachine.is(GameState.PLAYING, GameState.GAME_OVER)) {
+        this.toggleReplayPlayback();
+      } else {
+        this.togglePause();
+      }
+      return;
+    }
+
+    if (!this.stateMachine.is(GameState.PLAYING)) {
+      return;
+    }
+
+    switch (action) {
+      case 'zoomIn':
+        this.cameraRig.zoom(-1);
+        break;
+      case 'zoomOut':
+        this.cameraRig.zoom(1);
+        break;
+      default:
+        // Gameplay actions wait for the next tick; during a replay the recorded ones are used instead.
+        if (!this.replayPlayer && SIMULATION_ACTIONS.has(action)) {
+          this.pendingTickActions.push(action);
+        }
+        break;
     }
+  }
 
-    if (weapon.ammo === Infinity) {
-      return '∞';
+  _equipWeapon(selectWeapon) {
+    if (!selectWeapon()) {
+      return;
     }
 
-    return `${weapon.ammo}`;
+    this.currentWeapon = this.weaponInventory.getActive().definition;
+    this.weaponCooldown = Math.max(this.weaponCooldown, WEAPON_SWITCH_DELAY);
+    this.isDryFiring = false;
+    this._cancelReload();
+    this._cancelAltFire();
+    this._refreshWeaponHUD();
+  }
+
+  _getAmmoDisplay(entry) {
+    if (!entry) {
+      return '—';
+    }
+
+    const reserve = entry.reserve === Infinity ? '∞' : `${entry.reserve}`;
+    return `${entry.magazine} / ${reserve}`;
   }
 
   _handleWeapons(delta) {
-    if (!this.currentWeapon || !this.projectileSystem) {
+    const entry = this.weaponInventory.getActive();
+    if (!entry || !this.projectileSystem) {
       return;
     }
 
     this.weaponCooldown = Math.max(0, this.weaponCooldown - delta);
 
-    if (this.inputManager.isShootingPrimary() && this.weaponCooldown <= 0) {
-      this._fireCurrentWeapon();
+    const isAltFireBusy = this._handleAltFire(delta, entry);
+
+    if (this.reloadState.active) {
+      this._updateReload(delta, entry);
+      return;
+    }
+
+    if (isAltFireBusy) {
+      return;
+    }
+
+    if (entry.magazine <= 0 && entry.reserve > 0) {
+      this._startReload();
+      return;
+    }
+
+    const isTriggerHeld = this.tickInput.isShootingPrimary();
+    if (this.isDryFiring && !isTriggerHeld) {
+      this.isDryFiring = false;
+      this._refreshWeaponHUD();
+    }
+
+    if (!isTriggerHeld || this.weaponCooldown > 0) {
+      return;
+    }
+
+    if (entry.magazine <= 0) {
+      this.isDryFiring = true;
+      this.weaponCooldown = DRY_FIRE_DELAY;
+      this._refreshWeaponHUD();
+      return;
+    }
+
+    this._fireCurrentWeapon();
+  }
+
+  _startReload() {
+    const entry = this.weaponInventory.getActive();
+    if (!entry || this.reloadState.active || !this.stateMachine.is(GameState.PLAYING)) {
+      return false;
+    }
+
+    if (entry.magazine >= entry.definition.magazineSize || entry.reserve <= 0) {
+      return false;
+    }
+
+    this.reloadState.active = true;
+    this.reloadState.elapsed = 0;
+    this.reloadState.duration = entry.definition.reloadTime;
+    this.isDryFiring = false;
+    this._cancelAltFire();
+    this._refreshWeaponHUD();
+    this.hud.setReloadProgress(0);
+    return true;
+  }
+
+  _updateReload(delta, entry) {
+    this.reloadState.elapsed += delta;
+    const progress = Math.min(1, this.reloadState.elapsed / this.reloadState.duration);
+    this.hud.setReloadProgress(progress);
+
+    if (progress < 1) {
+      return;
+    }
+
+    const missing = entry.definition.magazineSize - entry.magazine;
+    const loaded = Math.min(missing, entry.reserve);
+    entry.magazine += loaded;
+    entry.reserve -= loaded;
+
+    this._cancelReload();
+    this._refreshWeaponHUD();
+  }
+
+  _cancelReload() {
+    this.reloadState.active = false;
+    this.reloadState.elapsed = 0;
+    this.reloadState.duration = 0;
+    this.hud.setReloadProgress(null);
+  }
+
+  _handleAltFire(delta, entry) {
+    this.weaponInventory.getOwned().forEach((owned) => {
+      owned.altCooldown = Math.max(0, owned.altCooldown - delta);
+    });
+
+    const altFire = entry.definition.altFire;
+    if (!altFire) {
+      this.hud.setAltFire(null);
+      return false;
+    }
+
+    const isHeld = this.tickInput.isShootingSecondary() && !this.reloadState.active;
+    let isBusy = false;
+
+    switch (altFire.type) {
+      case 'grenade':
+        if (isHeld && entry.altCooldown <= 0 && this.weaponCooldown <= 0) {
+          this._throwGrenade(altFire);
+          entry.altCooldown = altFire.cooldown;
+        }
+        break;
+      case 'charge':
+        isBusy = this._updateChargedShot(delta, entry, altFire, isHeld);
+        break;
+      case 'burst':
+        isBusy = this._updateBurst(delta, entry, altFire, isHeld);
+        break;
+      default:
+        break;
+    }
+
+    this._refreshAltFireHUD(entry);
+    return isBusy;
+  }
+
+  _updateChargedShot(delta, entry, altFire, isHeld) {
+    const state = this.altFireState;
+
+    if (isHeld && entry.altCooldown <= 0 && entry.magazine > 0) {
+      state.charge = Math.min(altFire.chargeTime, state.charge + delta);
+      return true;
     }
+
+    if (state.charge <= 0) {
+      return false;
+    }
+    // Like the primary fire, the charge waits out the weapon switch delay and the last shot.
+    if (this.weaponCooldown > 0) {
+      return true;
+    }
+
+    const weapon = entry.definition;
+    const ratio = state.charge / altFire.chargeTime;
+    state.charge = 0;
+
+    this._fireProjectiles(weapon, {
+      damage: weapon.damage * THREE.MathUtils.lerp(1, altFire.maxMultiplier, ratio),
+      scale: THREE.MathUtils.lerp(weapon.projectileScale ?? 1, altFire.maxScale, ratio),
+      speed: weapon.projectileSpeed * altFire.speedMultiplier,
+      spread: 0,
+    });
+
+    entry.magazine = Math.max(0, entry.magazine - 1);
+    entry.altCooldown = altFire.cooldown;
+    this.weaponCooldown = Math.max(this.weaponCooldown, 1 / this._getWeaponStat(weapon, 'fireRate'));
+    this._refreshWeaponHUD();
+    return false;
+  }
+
+  _updateBurst(delta, entry, altFire, isHeld) {
+    const state = this.altFireState;
+    const weapon = entry.definition;
+
+    if (state.burstRemaining === 0) {
+      if (!isHeld || entry.altCooldown > 0 || this.weaponCooldown > 0 || entry.magazine <= 0) {
+        return false;
+      }
+
+      state.burstRemaining = altFire.count;
+      state.burstTimer = 0;
+      entry.altCooldown = altFire.cooldown;
+    }
+
+    state.burstTimer -= delta;
+    if (state.burstTimer > 0) {
+      return true;
+    }
+
+    if (entry.magazine <= 0) {
+      state.burstRemaining = 0;
+      return false;
+    }
+
+    this._fireProjectiles(weapon);
+    entry.magazine -= 1;
+    state.burstRemaining -= 1;
+    state.burstTimer = altFire.interval;
+    this.weaponCooldown = Math.max(this.weaponCooldown, 1 / this._getWeaponStat(weapon, 'fireRate'));
+    this._refreshWeaponHUD();
+
+    return state.burstRemaining > 0;
+  }
+
+  _throwGrenade(altFire) {
+    if (!this.player) {
+      return;
+    }
+
+    this._computeShotDirection();
+
+    const targetDistance = Math.hypot(
+      this.aimPoint.x - this.muzzleWorldPosition.x,
+      this.aimPoint.z - this.muzzleWorldPosition.z,
+    );
+
+    this.projectileSystem.spawnProjectile({
+      position: this.muzzleWorldPosition,
+      direction: this.shotDirection,
+      speed: altFire.speed,
+      damage: this.modifiers.apply('damage', altFire.damage),
+      maxDistance: THREE.MathUtils.clamp(targetDistance, altFire.minRange ?? 0, altFire.range),
+      color: altFire.color,
+      scale: altFire.scale,
+      explosionRadius: altFire.radius,
+      arcHeight: altFire.arcHeight,
+      collides: false,
+    });
+    this.audio.play('launcher', { position: this.muzzleWorldPosition, pitch: 1.3 });
+  }
+
+  _cancelAltFire() {
+    this.altFireState.charge = 0;
+    this.altFireState.burstRemaining = 0;
+    this.altFireState.burstTimer = 0;
+  }
+
+  _refreshAltFireHUD(entry) {
+    const altFire = entry.definition.altFire;
+    if (!altFire) {
+      this.hud.setAltFire(null);
+      return;
+    }
+
+    if (this.altFireState.charge > 0) {
+      this.hud.setAltFire({
+        name: altFire.name,
+        progress: this.altFireState.charge / altFire.chargeTime,
+        state: 'charging',
+      });
+      return;
+    }
+
+    const isReady = entry.altCooldown <= 0;
+    this.hud.setAltFire({
+      name: altFire.name,
+      progress: isReady ? 1 : 1 - entry.altCooldown / altFire.cooldown,
+      state: isReady ? 'ready' : 'cooldown',
+    });
   }
 
   _fireCurrentWeapon() {
-    if (!this.player || !this.currentWeapon) {
+    const entry = this.weaponInventory.getActive();
+    if (!this.player || !entry) {
       return;
     }
 
-    const weapon = this.currentWeapon;
+    const weapon = entry.definition;
+    this._fireProjectiles(weapon);
+
+    this.weaponCooldown = 1 / this._getWeaponStat(weapon, 'fireRate');
+    entry.magazine = Math.max(0, entry.magazine - 1);
+    this._refreshWeaponHUD();
+  }
+
+  _computeShotDirection() {
     this.player.weaponMount.getWorldPosition(this.muzzleWorldPosition);
 
     this.shotDirection.subVectors(this.aimPoint, this.muzzleWorldPosition);
@@ -488,39 +1568,68 @@ export class Game {
     }
 
     this.shotDirection.normalize();
+  }
 
-    if (weapon.spread && weapon.spread > 0) {
-      const spreadOffset = THREE.MathUtils.randFloatSpread(weapon.spread);
-      this.spreadQuaternion.setFromAxisAngle(this.upVector, spreadOffset);
-      this.shotDirection.applyQuaternion(this.spreadQuaternion).normalize();
+  _fireProjectiles(weapon, overrides = {}) {
+    if (!this.player) {
+      return;
     }
 
-    this.projectileSystem.spawnProjectile({
-      position: this.muzzleWorldPosition,
+    this._computeShotDirection();
+
+    const spread = overrides.spread ?? weapon.spread;
+    const pellets = Math.max(1, weapon.pellets ?? 1);
+    const damage = this.modifiers.apply('damage', overrides.damage ?? weapon.damage);
+    const pierce = Math.round(this._getWeaponStat(weapon, 'pierce'));
+    // Multishot repeats the whole volley, fanned out evenly around the aim direction.
+    const volleys = 1 + Math.max(0, Math.round(this.modifiers.apply('multishot', 0)));
+
+    this.audio.play(weapon.sound ?? 'shot', { position: this.muzzleWorldPosition });
+    this.particles?.emit('muzzleFlash', this.muzzleWorldPosition, {
       direction: this.shotDirection,
-      speed: weapon.projectileSpeed,
-      damage: weapon.damage,
-      maxDistance: weapon.maxDistance,
       color: weapon.color,
     });
 
-    this.weaponCooldown = 1 / weapon.fireRate;
-
-    if (weapon.ammo !== Infinity) {
-      weapon.ammo = Math.max(0, weapon.ammo - 1);
-      this.hud.setWeapon({
-        name: weapon.name,
-        ammoDisplay: this._getAmmoDisplay(weapon),
-      });
+    for (let volley = 0; volley < volleys; volley += 1) {
+      const fanOffset = (volley - (volleys - 1) / 2) * MULTISHOT_FAN_ANGLE;
+
+      for (let i = 0; i < pellets; i += 1) {
+        this.tmpVector.copy(this.shotDirection);
+
+        const spreadOffset = spread && spread > 0 ? this.random.spread(spread) : 0;
+        if (spreadOffset + fanOffset !== 0) {
+          this.spreadQuaternion.setFromAxisAngle(this.upVector, spreadOffset + fanOffset);
+          this.tmpVector.applyQuaternion(this.spreadQuaternion).normalize();
+        }
+
+        this.projectileSystem.spawnProjectile({
+          position: this.muzzleWorldPosition,
+          direction: this.tmpVector,
+          speed: overrides.speed ?? weapon.projectileSpeed,
+          damage,
+          maxDistance: weapon.maxDistance,
+          color: weapon.color,
+          scale: overrides.scale ?? weapon.projectileScale,
+          explosionRadius: weapon.explosionRadius,
+          pierce,
+        });
+      }
     }
   }
 
+  /**
+   * Weapon stats are read through the active modifiers; the definitions themselves never change.
+   */
+  _getWeaponStat(weapon, stat) {
+    return this.modifiers.apply(stat, weapon[stat] ?? 0);
+  }
+
   _handleEnemyHit(impact) {
     if (!impact?.enemy) {
       return;
     }
 
-    const { enemy, wasFatal, reward, damage } = impact;
+    const { enemy, wasFatal, reward, credits, damage } = impact;
 
     const impactPosition = this.tmpVector.copy(enemy.group.position);
     impactPosition.y += enemy.height * 0.75;
@@ -537,16 +1646,187 @@ export class Game {
       this.score += reward;
       this.hud.setScore(this.score);
     }
+
+    if (wasFatal && credits > 0) {
+      this.credits += credits;
+      this.hud.setCredits(this.credits);
+    }
+
+    this.audio.play(wasFatal ? 'enemyDeath' : 'hit', { position: enemy.group.position });
+
+    const enemyColor = this.particles?.getEnemyColor(enemy.config.id);
+    if (wasFatal) {
+      // Bigger enemies freeze the action longer and kick the camera when they go down.
+      const { scale } = enemy.config;
+      this.cameraRig.hitStop(KILL_HIT_STOP * scale * scale);
+      this.cameraRig.addTrauma(Math.max(0, scale - 1) * HEAVY_KILL_TRAUMA);
+      impactPosition.y = enemy.group.position.y + enemy.height * 0.5;
+      this.particles?.emit('enemyDeath', impactPosition, { color: enemyColor, scale: enemy.height / 2.6 });
+    } else {
+      impactPosition.y = enemy.group.position.y + enemy.height * 0.6;
+      this.particles?.emit('hitBurst', impactPosition, { color: enemyColor });
+    }
+
+    if (wasFatal) {
+      this.pickupSystem?.spawnDrops(enemy.group.position, enemy.config.drops);
+    }
+  }
+
+  _canCollectPickup(pickup) {
+    switch (pickup.type) {
+      case PickupType.HEALTH:
+        return this.playerStats.health < this.playerStats.maxHealth;
+      case PickupType.ARMOR:
+        return this.playerStats.shield < this.playerStats.maxShield;
+      case PickupType.AMMO:
+        return this.weaponInventory.getOwned().some((entry) => entry.reserve !== Infinity);
+      default:
+        return true;
+    }
+  }
+
+  _applyPickup(pickup) {
+    const { type, value } = pickup;
+    let text = null;
+    let color = '#ffffff';
+
+    switch (type) {
+      case PickupType.HEALTH: {
+        const healed = Math.min(value, this.playerStats.maxHealth - this.playerStats.health);
+        this.playerStats.health += healed;
+        this.hud.setHealth(this.playerStats.health, this.playerStats.maxHealth);
+        text = `+${Math.round(healed)} santé`;
+        color = '#5cff9d';
+        break;
+      }
+      case PickupType.ARMOR: {
+        const gained = Math.min(value, this.playerStats.maxShield - this.playerStats.shield);
+        this.playerStats.shield += gained;
+        this.hud.setShield(this.playerStats.shield, this.playerStats.maxShield);
+        text = `+${Math.round(gained)} bouclier`;
+        color = '#7ad8ff';
+        break;
+      }
+      case PickupType.AMMO:
+        // Ammo values are a fraction of each weapon's shop ammo pack.
+        this.weaponInventory.getOwned().forEach((entry) => {
+          if (entry.reserve !== Infinity) {
+            entry.reserve += Math.ceil((entry.definition.ammoPack ?? 0) * value);
+          }
+        });
+        this._refreshWeaponHUD();
+        text = 'Munitions';
+        color = '#ffc75f';
+        break;
+      case PickupType.COIN:
+        this.credits += value;
+        this.hud.setCredits(this.credits);
+        text = `+${value} crédits`;
+        color = '#ffe27a';
+        break;
+      case PickupType.POWER_UP: {
+        const powerUp = POWER_UPS[value];
+        if (!powerUp) {
+          console.warn(`Bonus inconnu : ${value}`);
+          return;
+        }
+        const entry = this.modifiers.add(powerUp);
+        this.hud.setPowerUps(this.modifiers.getActive());
+        text = entry.stacks > 1 ? `${powerUp.name} ×${entry.stacks}` : powerUp.name;
+        color = '#ff8ae2';
+        break;
+      }
+      default:
+        console.warn(`Butin inconnu : ${type}`);
+        return;
+    }
+
+    this.audio.play(type === PickupType.POWER_UP ? 'powerUp' : 'pickup', { position: this.player.group.position });
+
+    const textPosition = this.tmpVectorAlt.copy(this.player.group.position);
+    textPosition.y += 2.6;
+    this.floatingTextManager.spawnFromWorldPosition(textPosition, this.camera, { text, color, duration: 900 });
+  }
+
+  _purchaseShopItem(item) {
+    if (!item || this.credits < item.cost || !this._isShopItemAvailable(item)) {
+      return false;
+    }
+
+    this._applyShopItem(item);
+    this.credits -= item.cost;
+    this._refreshHUD();
+    if (!this.replayPlayer) {
+      this.replayRecorder?.recordPurchase(this.tickCount, item.id);
+    }
+    return true;
+  }
+
+  _isShopItemAvailable(item) {
+    switch (item.type) {
+      case 'weapon':
+        return Boolean(this.weaponDefinitions[item.weaponId]) && !this.weaponInventory.has(item.weaponId);
+      case 'weaponUpgrade':
+        return Boolean(this.weaponDefinitions[item.weaponId]);
+      case 'ammo':
+        return this.weaponInventory.getOwned().some((entry) => entry.reserve !== Infinity);
+      default:
+        return true;
+    }
+  }
+
+  _applyShopItem(item) {
+    switch (item.type) {
+      case 'weapon':
+        this.weaponInventory.add(this.weaponDefinitions[item.weaponId]);
+        break;
+      case 'weaponUpgrade': {
+        const weapon = this.weaponDefinitions[item.weaponId];
+        weapon[item.stat] *= item.multiplier;
+        break;
+      }
+      case 'armor':
+        this.playerStats.armor += item.amount;
+        break;
+      case 'dashUpgrade': {
+        const dash = this.playerStats.dash;
+        if (item.amount) {
+          dash[item.stat] += item.amount;
+        }
+        if (item.multiplier) {
+          dash[item.stat] *= item.multiplier;
+        }
+        break;
+      }
+      case 'maxHealth':
+        this.playerStats.maxHealth += item.amount;
+        this.playerStats.health += item.amount;
+        break;
+      case 'ammo':
+        this.weaponInventory.getOwned().forEach((entry) => {
+          if (entry.reserve !== Infinity) {
+            entry.reserve += entry.definition.ammoPack ?? 0;
+          }
+        });
+        break;
+      default:
+        console.warn(`Article de boutique inconnu : ${item.type}`);
+        break;
+    }
   }
 
   _handlePlayerDamage(damage, enemy) {
-    if (this.isGameOver) {
+    if (!this.stateMachine.is(GameState.PLAYING) || this.player?.isInvulnerable()) {
       return;
     }
 
     const mitigatedDamage = Math.max(1, damage - this.playerStats.armor);
-    this.playerStats.health = Math.max(0, this.playerStats.health - mitigatedDamage);
+    // The shield from armor shards soaks up damage before health does.
+    const absorbed = Math.min(this.playerStats.shield, mitigatedDamage);
+    this.playerStats.shield -= absorbed;
+    this.playerStats.health = Math.max(0, this.playerStats.health - (mitigatedDamage - absorbed));
     this.hud.setHealth(this.playerStats.health, this.playerStats.maxHealth);
+    this.hud.setShield(this.playerStats.shield, this.playerStats.maxShield);
 
     const damagePosition = this.tmpVectorAlt.copy(this.player.group.position);
     damagePosition.y += 2.2;
@@ -554,6 +1834,9 @@ export class Game {
       text: `-${Math.round(mitigatedDamage)}`,
       color: '#ff5a85',
     });
+    this.audio.play('playerHurt', { position: this.player.group.position });
+    this.cameraRig.addTrauma(Math.min(MAX_DAMAGE_TRAUMA, mitigatedDamage / this.playerStats.maxHealth + 0.15));
+    this.postProcessing.pulseAberration(0.4 + (mitigatedDamage / this.playerStats.maxHealth) * 3);
 
     if (enemy) {
       this._addHitHighlight(enemy);
@@ -577,23 +1860,31 @@ export class Game {
   }
 
   _onPlayerDeath() {
-    if (this.isGameOver) {
+    if (!this.stateMachine.is(GameState.PLAYING)) {
       return;
     }
 
-    this.isGameOver = true;
     this.projectileSystem?.reset();
     this.hud.setHealth(0, this.playerStats.maxHealth);
 
-    const event = new CustomEvent('game:over', {
-      detail: {
-        score: this.score,
-        wavesCleared: Math.max(0, (this.enemyManager?.wave ?? 1) - 1),
-        timeSurvived: this.elapsedTime,
-      },
-    });
+    const wave = this.enemyManager?.wave ?? 1;
+    const summary = {
+      score: this.score,
+      wave,
+      wavesCleared: Math.max(0, wave - 1),
+      timeSurvived: this.elapsedTime,
+      weapon: this.currentWeapon?.name,
+      isReplay: this.isReplaying(),
+    };
 
-    window.dispatchEvent(event);
+    if (!summary.isReplay) {
+      this.replayRecorder?.finish({ score: this.score, wave, time: this.elapsedTime });
+    }
+    this.stateMachine.transition(GameState.GAME_OVER, summary);
+    // A replayed run already ended once; listeners only hear about live ones.
+    if (!summary.isReplay) {
+      window.dispatchEvent(new CustomEvent('game:over', { detail: summary }));
+    }
   }
 
   _disposeMaterial(material) {
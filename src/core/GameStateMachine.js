@@ -0,0 +1,80 @@
+export const GameState = Object.freeze({
+  LOADING: 'loading',
+  MENU: 'menu',
+  PLAYING: 'playing',
+  PAUSED: 'paused',
+  SHOP: 'shop',
+  GAME_OVER: 'gameover',
+});
+
+const TRANSITIONS = {
+  [GameState.LOADING]: [GameState.MENU],
+  [GameState.MENU]: [GameState.PLAYING],
+  [GameState.PLAYING]: [GameState.PAUSED, GameState.SHOP, GameState.GAME_OVER, GameState.MENU],
+  [GameState.PAUSED]: [GameState.PLAYING, GameState.MENU],
+  [GameState.SHOP]: [GameState.PLAYING],
+  [GameState.GAME_OVER]: [GameState.PLAYING, GameState.MENU],
+};
+
+export class GameStateMachine {
+  constructor() {
+    this.current = null;
+    this.enterHandlers = new Map();
+    this.exitHandlers = new Map();
+  }
+
+  is(...states) {
+    return states.includes(this.current);
+  }
+
+  can(state) {
+    if (this.current === null) {
+      return state === GameState.LOADING;
+    }
+
+    return TRANSITIONS[this.current]?.includes(state) ?? false;
+  }
+
+  transition(state, payload = {}) {
+    if (!this.can(state)) {
+      console.warn(`Transition d’état refusée : ${this.current} → ${state}`);
+      return false;
+    }
+
+    const from = this.current;
+    const change = { from, to: state, payload };
+
+    if (from) {
+      this._emit(this.exitHandlers, from, change);
+    }
+    this.current = state;
+    this._emit(this.enterHandlers, state, change);
+
+    return true;
+  }
+
+  onEnter(state, callback) {
+    return this._subscribe(this.enterHandlers, state, callback);
+  }
+
+  onExit(state, callback) {
+    return this._subscribe(this.exitHandlers, state, callback);
+  }
+
+  _subscribe(registry, state, callback) {
+    if (typeof callback !== 'function') {
+      return () => {};
+    }
+
+    if (!registry.has(state)) {
+      registry.set(state, new Set());
+    }
+
+    registry.get(state).add(callback);
+    return () => registry.get(state)?.delete(callback);
+  }
+
+  _emit(registry, state, change) {
+    registry.get(state)?.forEach((callback) => callback(change));
+  }
+}
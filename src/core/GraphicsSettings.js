@@ -0,0 +1,150 @@
+import * as THREE from 'three';
+import { AntialiasMode } from './PostProcessing.js';
+import { readJSON, writeJSON } from './storage.js';
+
+const STORAGE_KEY = 'pourr-cursor:graphics';
+const STORAGE_VERSION = 1;
+
+export const TARGET_FPS_OPTIONS = [30, 60, 120];
+
+/**
+ * `maxPixelRatio` caps the device pixel ratio, `pointLights` is how many enemies keep their glow
+ * light (nearest to the player first), and `particleDensity` scales particle counts.
+ */
+export const GRAPHICS_PRESETS = {
+  low: {
+    id: 'low',
+    name: 'Basse',
+    shadows: false,
+    shadowMapSize: 512,
+    shadowType: THREE.BasicShadowMap,
+    maxPixelRatio: 1,
+    pointLights: 0,
+    fog: false,
+    postProcessing: false,
+    antialias: AntialiasMode.OFF,
+    particleDensity: 0.4,
+  },
+  medium: {
+    id: 'medium',
+    name: 'Moyenne',
+    shadows: true,
+    shadowMapSize: 1024,
+    shadowType: THREE.PCFShadowMap,
+    maxPixelRatio: 1.25,
+    pointLights: 2,
+    fog: true,
+    postProcessing: true,
+    antialias: AntialiasMode.FXAA,
+    particleDensity: 0.7,
+  },
+  high: {
+    id: 'high',
+    name: 'Haute',
+    shadows: true,
+    shadowMapSize: 2048,
+    shadowType: THREE.PCFSoftShadowMap,
+    maxPixelRatio: 2,
+    pointLights: 6,
+    fog: true,
+    postProcessing: true,
+    antialias: AntialiasMode.SMAA,
+    particleDensity: 1,
+  },
+  ultra: {
+    id: 'ultra',
+    name: 'Ultra',
+    shadows: true,
+    shadowMapSize: 4096,
+    shadowType: THREE.PCFSoftShadowMap,
+    maxPixelRatio: 3,
+    pointLights: 16,
+    fog: true,
+    postProcessing: true,
+    antialias: AntialiasMode.SMAA,
+    particleDensity: 1,
+  },
+};
+
+const DEFAULT_PRESET_ID = 'high';
+
+/**
+ * The player's graphics choices: a quality preset, and whether adaptive resolution should lower the
+ * render scale to hold `targetFps`. Listeners receive the name of each setting that changes.
+ */
+export class GraphicsSettings {
+  constructor() {
+    this.presetId = DEFAULT_PRESET_ID;
+    this.adaptive = false;
+    this.targetFps = 60;
+    this.listeners = [];
+
+    this._load();
+  }
+
+  getPreset() {
+    return GRAPHICS_PRESETS[this.presetId];
+  }
+
+  setPreset(presetId) {
+    if (!GRAPHICS_PRESETS[presetId]) {
+      console.warn(`Préréglage graphique inconnu : ${presetId}`);
+      return;
+    }
+
+    this.presetId = presetId;
+    this._commit('preset');
+  }
+
+  setAdaptive(enabled) {
+    this.adaptive = Boolean(enabled);
+    this._commit('adaptive');
+  }
+
+  setTargetFps(fps) {
+    if (!TARGET_FPS_OPTIONS.includes(fps)) {
+      console.warn(`Cible d’images par seconde non prise en charge : ${fps}`);
+      return;
+    }
+
+    this.targetFps = fps;
+    this._commit('targetFps');
+  }
+
+  addListener(callback) {
+    if (typeof callback === 'function') {
+      this.listeners.push(callback);
+    }
+  }
+
+  _commit(setting) {
+    this._save();
+    this.listeners.forEach((listener) => listener(setting));
+  }
+
+  _load() {
+    const saved = readJSON(STORAGE_KEY);
+    if (saved?.version !== STORAGE_VERSION) {
+      return;
+    }
+
+    if (GRAPHICS_PRESETS[saved.presetId]) {
+      this.presetId = saved.presetId;
+    }
+    if (typeof saved.adaptive === 'boolean') {
+      this.adaptive = saved.adaptive;
+    }
+    if (TARGET_FPS_OPTIONS.includes(saved.targetFps)) {
+      this.targetFps = saved.targetFps;
+    }
+  }
+
+  _save() {
+    writeJSON(STORAGE_KEY, {
+      version: STORAGE_VERSION,
+      presetId: this.presetId,
+      adaptive: this.adaptive,
+      targetFps: this.targetFps,
+    });
+  }
+}
@@ -0,0 +1,369 @@
+import { readJSON, writeJSON } from './storage.js';
+
+const STORAGE_KEY = 'pourr-cursor:bindings';
+const STORAGE_VERSION = 1;
+
+export const BINDING_SLOTS = 3;
+
+export const INPUT_ACTIONS = [
+  { id: 'moveForward', label: 'Avancer' },
+  { id: 'moveBackward', label: 'Reculer' },
+  { id: 'moveLeft', label: 'Gauche' },
+  { id: 'moveRight', label: 'Droite' },
+  { id: 'fire', label: 'Tir principal' },
+  { id: 'altFire', label: 'Tir secondaire' },
+  { id: 'reload', label: 'Recharger', trigger: true },
+  { id: 'dash', label: 'Ruée', trigger: true },
+  { id: 'weaponNext', label: 'Arme suivante', trigger: true },
+  { id: 'weaponPrevious', label: 'Arme précédente', trigger: true },
+  { id: 'zoomIn', label: 'Zoom avant', trigger: true },
+  { id: 'zoomOut', label: 'Zoom arrière', trigger: true },
+  { id: 'pause', label: 'Pause', trigger: true },
+  ...Array.from({ length: 9 }, (_, index) => ({
+    id: `weaponSlot${index + 1}`,
+    label: `Arme ${index + 1}`,
+    trigger: true,
+  })),
+];
+
+export const TRIGGER_ACTIONS = new Set(INPUT_ACTIONS.filter(({ trigger }) => trigger).map(({ id }) => id));
+
+const SPECIAL_LABELS = {
+  Mouse0: 'Clic gauche',
+  Mouse1: 'Clic milieu',
+  Mouse2: 'Clic droit',
+  Mouse3: 'Bouton souris 4',
+  Mouse4: 'Bouton souris 5',
+  WheelUp: 'Molette ↑',
+  WheelDown: 'Molette ↓',
+  CtrlWheelUp: 'Ctrl + molette ↑',
+  CtrlWheelDown: 'Ctrl + molette ↓',
+  NumpadAdd: 'Pavé +',
+  NumpadSubtract: 'Pavé −',
+  Space: 'Espace',
+  ShiftLeft: 'Maj gauche',
+  ShiftRight: 'Maj droite',
+  ControlLeft: 'Ctrl gauche',
+  ControlRight: 'Ctrl droite',
+  AltLeft: 'Alt',
+  AltRight: 'Alt Gr',
+  Tab: 'Tab',
+  Enter: 'Entrée',
+  Escape: 'Échap',
+  Backspace: 'Retour',
+  CapsLock: 'Verr. Maj',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+};
+
+const createDefaultBindings = () => ({
+  moveForward: ['KeyW', 'ArrowUp'],
+  moveBackward: ['KeyS', 'ArrowDown'],
+  moveLeft: ['KeyA', 'ArrowLeft'],
+  moveRight: ['KeyD', 'ArrowRight'],
+  fire: ['Mouse0'],
+  altFire: ['Mouse2'],
+  reload: ['KeyR'],
+  dash: ['Space', 'ShiftLeft', 'ShiftRight'],
+  weaponNext: ['WheelDown', 'KeyE'],
+  weaponPrevious: ['WheelUp', 'KeyQ'],
+  zoomIn: ['CtrlWheelUp', 'Equal'],
+  zoomOut: ['CtrlWheelDown', 'Minus'],
+  pause: ['Escape', 'KeyP'],
+  ...Object.fromEntries(
+    Array.from({ length: 9 }, (_, index) => [`weaponSlot${index + 1}`, [`Digit${index + 1}`]]),
+  ),
+});
+
+/**
+ * Binding code for one wheel notch. Holding Control gives the wheel a second set of codes, so zoom can
+ * share it with weapon cycling. Returns null for horizontal scrolling.
+ */
+export const getWheelCode = (event) => {
+  if (event.deltaY === 0) {
+    return null;
+  }
+
+  const code = event.deltaY > 0 ? 'WheelDown' : 'WheelUp';
+  return event.ctrlKey ? `Ctrl${code}` : code;
+};
+
+// Dead zones and the trigger threshold, as fractions of full travel. They are saved with the bindings.
+export const DEFAULT_GAMEPAD_OPTIONS = {
+  moveDeadZone: 0.18,
+  aimDeadZone: 0.3,
+  triggerThreshold: 0.3,
+};
+// Below 1 so the travel left past a dead zone never shrinks to nothing.
+const MAX_GAMEPAD_OPTION = 0.9;
+
+// Standard-mapping button indices (https://w3c.github.io/gamepad/#remapping), stored as `Gamepad<index>` codes.
+export const GAMEPAD_BINDINGS = {
+  fire: ['Gamepad7'],
+  altFire: ['Gamepad6'],
+  reload: ['Gamepad2'],
+  dash: ['Gamepad0', 'Gamepad4'],
+  weaponNext: ['Gamepad5', 'Gamepad15'],
+  weaponPrevious: ['Gamepad3', 'Gamepad14'],
+  pause: ['Gamepad9'],
+};
+
+// Codes pressed by the on-screen controls in touch mode.
+export const TOUCH_BINDINGS = {
+  fire: ['TouchFire'],
+  reload: ['TouchReload'],
+  dash: ['TouchDash'],
+  weaponNext: ['TouchWeaponNext'],
+  pause: ['TouchPause'],
+};
+
+// Bindings store physical key codes, so one set of defaults fits every keyboard. The layout only
+// decides the labels shown for those keys when the browser cannot report the real layout.
+export const KEYBOARD_LAYOUTS = {
+  azerty: {
+    id: 'azerty',
+    name: 'AZERTY',
+    labels: {
+      KeyQ: 'A',
+      KeyW: 'Z',
+      KeyA: 'Q',
+      KeyZ: 'W',
+      Semicolon: 'M',
+      KeyM: ',',
+      Minus: ')',
+      Equal: '=',
+    },
+  },
+  qwerty: {
+    id: 'qwerty',
+    name: 'QWERTY',
+    labels: {
+      Minus: '-',
+      Equal: '=',
+    },
+  },
+};
+
+export class InputBindings {
+  constructor() {
+    this.layoutId = this._guessLayoutId();
+    this.bindings = createDefaultBindings();
+    this.gamepadOptions = { ...DEFAULT_GAMEPAD_OPTIONS };
+    this.layoutMap = null;
+    this.codeIndex = new Map();
+    this.listeners = [];
+
+    this._load();
+    this._rebuildIndex();
+  }
+
+  async detectLayout() {
+    if (!navigator.keyboard?.getLayoutMap) {
+      return;
+    }
+
+    try {
+      this.layoutMap = await navigator.keyboard.getLayoutMap();
+      this._notify();
+    } catch (error) {
+      console.warn('Disposition du clavier indisponible :', error);
+    }
+  }
+
+  /**
+   * Whether key labels come from the browser. Otherwise they follow the layout picked with `setLayout`.
+   */
+  hasDetectedLayout() {
+    return this.layoutMap !== null;
+  }
+
+  setLayout(layoutId) {
+    if (!KEYBOARD_LAYOUTS[layoutId]) {
+      console.warn(`Disposition de clavier inconnue : ${layoutId}`);
+      return;
+    }
+
+    this.layoutId = layoutId;
+    this._commit();
+  }
+
+  resetBindings() {
+    this.bindings = createDefaultBindings();
+    this._commit();
+  }
+
+  setBinding(actionId, slot, code) {
+    if (!this.bindings[actionId] || slot < 0 || slot >= BINDING_SLOTS) {
+      return;
+    }
+
+    // A key already in another slot of this action moves to the new slot.
+    const codes = this.bindings[actionId].map((existing) => (existing === code ? null : existing));
+    codes[slot] = code;
+    this.bindings[actionId] = codes.filter(Boolean);
+    this._commit();
+  }
+
+  clearBinding(actionId, slot) {
+    if (!this.bindings[actionId]) {
+      return;
+    }
+
+    this.bindings[actionId] = this.bindings[actionId].filter((_, index) => index !== slot);
+    this._commit();
+  }
+
+  getGamepadOptions() {
+    return this.gamepadOptions;
+  }
+
+  setGamepadOption(option, value) {
+    if (!(option in DEFAULT_GAMEPAD_OPTIONS)) {
+      console.warn(`Réglage de manette inconnu : ${option}`);
+      return;
+    }
+
+    this.gamepadOptions[option] = Math.min(Math.max(Number(value) || 0, 0), MAX_GAMEPAD_OPTION);
+    this._save();
+  }
+
+  resetGamepadOptions() {
+    this.gamepadOptions = { ...DEFAULT_GAMEPAD_OPTIONS };
+    this._save();
+  }
+
+  getCodes(actionId) {
+    return this.bindings[actionId] ?? [];
+  }
+
+  getActionsForCode(code) {
+    return this.codeIndex.get(code) ?? [];
+  }
+
+  getConflicts() {
+    const conflicts = new Map();
+    this.codeIndex.forEach((actions, code) => {
+      if (actions.length > 1) {
+        conflicts.set(code, actions);
+      }
+    });
+    return conflicts;
+  }
+
+  getKeyLabel(code) {
+    if (!code) {
+      return '—';
+    }
+
+    if (SPECIAL_LABELS[code]) {
+      return SPECIAL_LABELS[code];
+    }
+
+    const fromBrowser = this.layoutMap?.get(code);
+    if (fromBrowser) {
+      return fromBrowser.toUpperCase();
+    }
+
+    const fromLayout = KEYBOARD_LAYOUTS[this.layoutId]?.labels[code];
+    if (fromLayout) {
+      return fromLayout;
+    }
+
+    if (code.startsWith('Key')) {
+      return code.slice(3);
+    }
+
+    if (code.startsWith('Digit')) {
+      return code.slice(5);
+    }
+
+    if (code.startsWith('Numpad')) {
+      return `Pavé ${code.slice(6)}`;
+    }
+
+    return code;
+  }
+
+  getActionLabel(actionId, { separator = ' / ', limit = BINDING_SLOTS } = {}) {
+    const codes = this.getCodes(actionId).slice(0, limit);
+    if (codes.length === 0) {
+      return '—';
+    }
+
+    return codes.map((code) => this.getKeyLabel(code)).join(separator);
+  }
+
+  addListener(callback) {
+    if (typeof callback === 'function') {
+      this.listeners.push(callback);
+    }
+  }
+
+  _guessLayoutId() {
+    const language = navigator.language ?? '';
+    return /^fr(-(FR|BE))?$/i.test(language) ? 'azerty' : 'qwerty';
+  }
+
+  _load() {
+    const saved = readJSON(STORAGE_KEY);
+    if (saved?.version !== STORAGE_VERSION) {
+      return;
+    }
+
+    Object.keys(DEFAULT_GAMEPAD_OPTIONS).forEach((option) => {
+      const value = saved.gamepad?.[option];
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        this.gamepadOptions[option] = Math.min(Math.max(value, 0), MAX_GAMEPAD_OPTION);
+      }
+    });
+
+    // Older saves named the layout `presetId`.
+    const layoutId = saved.layoutId ?? saved.presetId;
+    if (KEYBOARD_LAYOUTS[layoutId]) {
+      this.layoutId = layoutId;
+    }
+
+    const defaults = createDefaultBindings();
+    INPUT_ACTIONS.forEach(({ id }) => {
+      const codes = saved.bindings?.[id];
+      this.bindings[id] = Array.isArray(codes)
+        ? codes
+            .filter((code, index) => typeof code === 'string' && codes.indexOf(code) === index)
+            .slice(0, BINDING_SLOTS)
+        : defaults[id];
+    });
+  }
+
+  _save() {
+    writeJSON(STORAGE_KEY, {
+      version: STORAGE_VERSION,
+      layoutId: this.layoutId,
+      bindings: this.bindings,
+      gamepad: this.gamepadOptions,
+    });
+  }
+
+  _commit() {
+    this._rebuildIndex();
+    this._save();
+    this._notify();
+  }
+
+  _rebuildIndex() {
+    this.codeIndex.clear();
+    INPUT_ACTIONS.forEach(({ id }) => {
+      this.getCodes(id).forEach((code) => {
+        if (!this.codeIndex.has(code)) {
+          this.codeIndex.set(code, []);
+        }
+        this.codeIndex.get(code).push(id);
+      });
+    });
+  }
+
+  _notify() {
+    this.listeners.forEach((listener) => listener(this));
+  }
+}
@@ -1,22 +1,49 @@
-const MOVEMENT_KEYS = {
-  KeyW: 'forward',
-  KeyS: 'backward',
-  KeyA: 'left',
-  KeyD: 'right',
-  ArrowUp: 'forward',
-  ArrowDown: 'backward',
-  ArrowLeft: 'left',
-  ArrowRight: 'right',
+import { GAMEPAD_BINDINGS, InputBindings, TOUCH_BINDINGS, TRIGGER_ACTIONS, getWheelCode } from './InputBindings.js';
+
+const WHEEL_TRIGGER_INTERVAL = 120;
+const SCROLL_KEYS = new Set(['Space', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight']);
+const POINTER_SWITCH_DISTANCE = 4;
+const ANALOG_TRIGGER_BUTTONS = new Set([6, 7]);
+
+// Gamepad and touch codes use fixed layouts that sit alongside the rebindable keyboard and mouse ones.
+const DEVICE_BINDINGS = [GAMEPAD_BINDINGS, TOUCH_BINDINGS];
+const DEVICE_ACTIONS = new Map();
+DEVICE_BINDINGS.forEach((deviceBindings) => {
+  Object.entries(deviceBindings).forEach(([action, codes]) => {
+    codes.forEach((code) => {
+      if (!DEVICE_ACTIONS.has(code)) {
+        DEVICE_ACTIONS.set(code, []);
+      }
+      DEVICE_ACTIONS.get(code).push(action);
+    });
+  });
+});
+
+export const AimDevice = Object.freeze({
+  MOUSE: 'mouse',
+  GAMEPAD: 'gamepad',
+  TOUCH: 'touch',
+});
+
+const applyRadialDeadZone = (x, y, deadZone, target) => {
+  const magnitude = Math.hypot(x, y);
+  if (magnitude <= deadZone) {
+    target.x = 0;
+    target.y = 0;
+    return 0;
+  }
+
+  // Rescale so the stick output starts at zero right past the dead zone instead of jumping.
+  const scaled = Math.min((magnitude - deadZone) / (1 - deadZone), 1);
+  target.x = (x / magnitude) * scaled;
+  target.y = (y / magnitude) * scaled;
+  return scaled;
 };
 
 export class InputManager {
-  constructor() {
-    this.movementState = {
-      forward: false,
-      backward: false,
-      left: false,
-      right: false,
-    };
+  constructor({ bindings = new InputBindings() } = {}) {
+    this.bindings = bindings;
+    this.pressedInputs = new Set();
 
     this.mouse = {
       x: 0,
@@ -30,6 +57,15 @@ export class InputManager {
       wheelDeltaY: 0,
     };
 
+    this.gamepadIndex = null;
+    this.moveStick = { x: 0, y: 0 };
+    this.aimStick = { x: 0, y: 0 };
+    this.aimVector = null;
+    this.aimDevice = AimDevice.MOUSE;
+    this.touchMode = false;
+    this.touchMoveStick = { x: 0, y: 0 };
+
+    this.lastWheelTriggerTime = -Infinity;
     this.listeners = [];
 
     this._handleKeyDown = this._handleKeyDown.bind(this);
@@ -38,6 +74,10 @@ export class InputManager {
     this._handlePointerDown = this._handlePointerDown.bind(this);
     this._handlePointerUp = this._handlePointerUp.bind(this);
     this._handleWheel = this._handleWheel.bind(this);
+    this._handleContextMenu = this._handleContextMenu.bind(this);
+    this._handleBlur = this._handleBlur.bind(this);
+    this._handleGamepadConnected = this._handleGamepadConnected.bind(this);
+    this._handleGamepadDisconnected = this._handleGamepadDisconnected.bind(this);
 
     this._attachEvents();
   }
@@ -49,22 +89,150 @@ export class InputManager {
     window.removeEventListener('pointerdown', this._handlePointerDown);
     window.removeEventListener('pointerup', this._handlePointerUp);
     window.removeEventListener('wheel', this._handleWheel);
+    window.removeEventListener('contextmenu', this._handleContextMenu);
+    window.removeEventListener('blur', this._handleBlur);
+    window.removeEventListener('gamepadconnected', this._handleGamepadConnected);
+    window.removeEventListener('gamepaddisconnected', this._handleGamepadDisconnected);
 
     this.listeners = [];
   }
 
+  /**
+   * Polls the connected gamepad. The Gamepad API has no input events, so this runs once per frame,
+   * including while paused so the Start button can resume the game.
+   */
+  update() {
+    if (this.gamepadIndex === null) {
+      return;
+    }
+
+    const gamepad = navigator.getGamepads?.()[this.gamepadIndex];
+    if (!gamepad?.connected) {
+      return;
+    }
+
+    const { moveDeadZone, aimDeadZone, triggerThreshold } = this.bindings.getGamepadOptions();
+    const [leftX = 0, leftY = 0, rightX = 0, rightY = 0] = gamepad.axes;
+    let isActive = applyRadialDeadZone(leftX, leftY, moveDeadZone, this.moveStick) > 0;
+
+    if (applyRadialDeadZone(rightX, rightY, aimDeadZone, this.aimStick) > 0) {
+      const length = Math.hypot(this.aimStick.x, this.aimStick.y);
+      this.aimVector = { x: this.aimStick.x / length, z: this.aimStick.y / length };
+      isActive = true;
+    }
+
+    gamepad.buttons.forEach((button, index) => {
+      const code = `Gamepad${index}`;
+      const isDown = ANALOG_TRIGGER_BUTTONS.has(index) ? button.value > triggerThreshold : button.pressed;
+
+      if (isDown) {
+        isActive = true;
+        this._press(code);
+      } else {
+        this._release(code);
+      }
+    });
+
+    if (isActive) {
+      this.aimDevice = AimDevice.GAMEPAD;
+    }
+  }
+
+  hasGamepad() {
+    return this.gamepadIndex !== null;
+  }
+
+  /**
+   * In touch mode, touch pointers belong to the on-screen controls and no longer drive the mouse state.
+   */
+  setTouchMode(enabled) {
+    this.touchMode = Boolean(enabled);
+    if (this.touchMode) {
+      return;
+    }
+
+    this._releaseTouch();
+    if (this.aimDevice === AimDevice.TOUCH) {
+      this.aimDevice = AimDevice.MOUSE;
+    }
+  }
+
+  isTouchMode() {
+    return this.touchMode;
+  }
+
+  /**
+   * Feeds a virtual joystick. `x`/`y` follow screen axes and are expected within the unit circle.
+   */
+  setTouchStick(stick, x, y) {
+    if (stick === 'move') {
+      this.touchMoveStick.x = x;
+      this.touchMoveStick.y = y;
+      return;
+    }
+
+    const length = Math.hypot(x, y);
+    if (stick === 'aim' && length > 0) {
+      this.aimVector = { x: x / length, z: y / length };
+      this.aimDevice = AimDevice.TOUCH;
+    }
+  }
+
+  pressTouch(code) {
+    this._press(code);
+  }
+
+  releaseTouch(code) {
+    this._release(code);
+  }
+
+  getAimDevice() {
+    return this.aimDevice;
+  }
+
+  /**
+   * Last right-stick direction on the ground plane (x right, z toward the camera), or null before the
+   * stick has been used. It is kept once the stick is released so the player keeps facing that way.
+   */
+  getAimVector() {
+    return this.aimVector;
+  }
+
+  /**
+   * Movement intent on the ground plane, with a magnitude of at most 1. Keys are digital and the left
+   * stick is analog, so a half-tilted stick yields a half-length vector. Forward is +z.
+   */
   getAxis() {
-    const x = (this.movementState.right ? 1 : 0) - (this.movementState.left ? 1 : 0);
-    const z = (this.movementState.forward ? 1 : 0) - (this.movementState.backward ? 1 : 0);
+    let x = (this.isActionActive('moveRight') ? 1 : 0) - (this.isActionActive('moveLeft') ? 1 : 0);
+    let z = (this.isActionActive('moveForward') ? 1 : 0) - (this.isActionActive('moveBackward') ? 1 : 0);
+
+    // Sticks report up as negative y; pushing up moves forward like the forward key.
+    x += this.moveStick.x + this.touchMoveStick.x;
+    z -= this.moveStick.y + this.touchMoveStick.y;
+
+    const length = Math.hypot(x, z);
+    if (length > 1) {
+      x /= length;
+      z /= length;
+    }
+
     return { x, z };
   }
 
+  isActionActive(action) {
+    const isCodePressed = (code) => this.pressedInputs.has(code);
+    return (
+      this.bindings.getCodes(action).some(isCodePressed) ||
+      DEVICE_BINDINGS.some((deviceBindings) => deviceBindings[action]?.some(isCodePressed))
+    );
+  }
+
   isShootingPrimary() {
-    return this.mouse.buttons.left;
+    return this.isActionActive('fire');
   }
 
   isShootingSecondary() {
-    return this.mouse.buttons.right;
+    return this.isActionActive('altFire');
   }
 
   addListener(callback) {
@@ -83,28 +251,67 @@ export class InputManager {
     window.addEventListener('pointermove', this._handlePointerMove);
     window.addEventListener('pointerdown', this._handlePointerDown);
     window.addEventListener('pointerup', this._handlePointerUp);
-    window.addEventListener('wheel', this._handleWheel, { passive: true });
+    window.addEventListener('wheel', this._handleWheel, { passive: false });
+    window.addEventListener('contextmenu', this._handleContextMenu);
+    window.addEventListener('blur', this._handleBlur);
+    window.addEventListener('gamepadconnected', this._handleGamepadConnected);
+    window.addEventListener('gamepaddisconnected', this._handleGamepadDisconnected);
+  }
+
+  _press(code, event) {
+    const isRepeat = this.pressedInputs.has(code);
+    this.pressedInputs.add(code);
+
+    if (!isRepeat) {
+      this._triggerActions(code, event);
+    }
+  }
+
+  _release(code) {
+    this.pressedInputs.delete(code);
+  }
+
+  _getActionsForCode(code) {
+    return DEVICE_ACTIONS.get(code) ?? this.bindings.getActionsForCode(code);
+  }
+
+  _triggerActions(code, event) {
+    this._getActionsForCode(code).forEach((action) => {
+      if (!TRIGGER_ACTIONS.has(action)) {
+        return;
+      }
+
+      this._notify({ type: 'action', action, event });
+    });
   }
 
   _handleKeyDown(event) {
-    const action = MOVEMENT_KEYS[event.code];
-    if (action) {
-      this.movementState[action] = true;
+    if (SCROLL_KEYS.has(event.code) && this.bindings.getActionsForCode(event.code).length > 0) {
+      event.preventDefault();
     }
 
+    this._press(event.code, event);
     this._notify({ type: 'keydown', event });
   }
 
   _handleKeyUp(event) {
-    const action = MOVEMENT_KEYS[event.code];
-    if (action) {
-      this.movementState[action] = false;
-    }
-
+    this._release(event.code);
     this._notify({ type: 'keyup', event });
   }
 
+  _isTouchControlled(event) {
+    return this.touchMode && event.pointerType === 'touch';
+  }
+
   _handlePointerMove(event) {
+    if (this._isTouchControlled(event)) {
+      return;
+    }
+
+    if (Math.hypot(event.clientX - this.mouse.x, event.clientY - this.mouse.y) >= POINTER_SWITCH_DISTANCE) {
+      this.aimDevice = AimDevice.MOUSE;
+    }
+
     this.mouse.x = event.clientX;
     this.mouse.y = event.clientY;
     this.mouse.normalizedX = (event.clientX / window.innerWidth) * 2 - 1;
@@ -114,6 +321,10 @@ export class InputManager {
   }
 
   _handlePointerDown(event) {
+    if (this._isTouchControlled(event)) {
+      return;
+    }
+
     if (event.button === 0) {
       this.mouse.buttons.left = true;
     }
@@ -121,10 +332,15 @@ export class InputManager {
       this.mouse.buttons.right = true;
     }
 
+    this._press(`Mouse${event.button}`, event);
     this._notify({ type: 'pointerdown', event });
   }
 
   _handlePointerUp(event) {
+    if (this._isTouchControlled(event)) {
+      return;
+    }
+
     if (event.button === 0) {
       this.mouse.buttons.left = false;
     }
@@ -132,14 +348,89 @@ export class InputManager {
       this.mouse.buttons.right = false;
     }
 
+    this._release(`Mouse${event.button}`);
     this._notify({ type: 'pointerup', event });
   }
 
   _handleWheel(event) {
     this.mouse.wheelDeltaY = event.deltaY;
+
+    // Ctrl + wheel zooms the camera; over the canvas it must not zoom the page as well.
+    if (event.ctrlKey && event.target instanceof HTMLCanvasElement) {
+      event.preventDefault();
+    }
+
+    // Trackpads emit bursts of wheel events; one notch should trigger its action once.
+    const code = getWheelCode(event);
+    if (code && event.timeStamp - this.lastWheelTriggerTime >= WHEEL_TRIGGER_INTERVAL) {
+      this.lastWheelTriggerTime = event.timeStamp;
+      this._triggerActions(code, event);
+    }
+
     this._notify({ type: 'wheel', event });
   }
 
+  _handleContextMenu(event) {
+    // Right click drives the alternate fire, so the browser menu must not open over the game.
+    if (event.target instanceof HTMLCanvasElement) {
+      event.preventDefault();
+    }
+  }
+
+  _handleGamepadConnected(event) {
+    if (this.gamepadIndex !== null) {
+      return;
+    }
+
+    this.gamepadIndex = event.gamepad.index;
+    this._notify({ type: 'gamepadconnected', gamepad: event.gamepad });
+  }
+
+  _handleGamepadDisconnected(event) {
+    if (event.gamepad.index !== this.gamepadIndex) {
+      return;
+    }
+
+    this._releaseGamepad();
+    this.gamepadIndex = null;
+
+    // Another pad may still be plugged in; adopt it instead of waiting for a new connection event.
+    const fallback = Array.from(navigator.getGamepads?.() ?? []).find((gamepad) => gamepad?.connected);
+    if (fallback) {
+      this.gamepadIndex = fallback.index;
+    }
+
+    this._notify({ type: 'gamepaddisconnected', gamepad: event.gamepad });
+  }
+
+  _releaseGamepad() {
+    Array.from(this.pressedInputs)
+      .filter((code) => code.startsWith('Gamepad'))
+      .forEach((code) => this._release(code));
+    this.moveStick.x = 0;
+    this.moveStick.y = 0;
+    if (this.aimDevice === AimDevice.GAMEPAD) {
+      this.aimVector = null;
+      this.aimDevice = AimDevice.MOUSE;
+    }
+  }
+
+  _releaseTouch() {
+    Array.from(this.pressedInputs)
+      .filter((code) => code.startsWith('Touch'))
+      .forEach((code) => this._release(code));
+    this.touchMoveStick.x = 0;
+    this.touchMoveStick.y = 0;
+  }
+
+  _handleBlur() {
+    // Key and button releases are lost while the window is unfocused.
+    this.pressedInputs.clear();
+    this.mouse.buttons.left = false;
+    this.mouse.buttons.right = false;
+    this.mouse.wheelDeltaY = 0;
+  }
+
   _notify(payload) {
     this.listeners.forEach((listener) => listener(payload));
   }
@@ -0,0 +1,211 @@
+import { readJSON, writeJSON } from './storage.js';
+import { Validator, isPlainObject } from './Validator.js';
+
+const STORAGE_KEY = 'pourr-cursor:leaderboard';
+const STORAGE_VERSION = 1;
+const EXPORT_FORMAT = 'pourr-cursor-leaderboard';
+const MAX_HISTORY = 20;
+const MAX_NAME_LENGTH = 16;
+
+export const MAX_LEADERBOARD_ENTRIES = 10;
+export const DEFAULT_PLAYER_NAME = 'Joueur';
+
+const ENTRY_KEYS = ['id', 'name', 'score', 'wave', 'time', 'weapon', 'date'];
+
+const sanitizeName = (name) => {
+  const trimmed = typeof name === 'string' ? name.trim().slice(0, MAX_NAME_LENGTH) : '';
+  return trimmed || DEFAULT_PLAYER_NAME;
+};
+
+const createRunId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Best score first; ties go to the run that got further, then to the one that happened first.
+const compareRuns = (a, b) => b.score - a.score || b.wave - a.wave || a.date.localeCompare(b.date);
+
+const parseEntry = (validator, value, path) => {
+  if (!validator.object(value, path)) {
+    return null;
+  }
+
+  validator.unknownKeys(value, path, ENTRY_KEYS);
+  const date = validator.string(value.date, `${path}.date`);
+  if (date && Number.isNaN(Date.parse(date))) {
+    validator.fail(`${path}.date`, `date invalide « ${date} »`);
+  }
+
+  return {
+    id: validator.string(value.id, `${path}.id`),
+    name: sanitizeName(validator.string(value.name, `${path}.name`, { fallback: DEFAULT_PLAYER_NAME })),
+    score: validator.number(value.score, `${path}.score`, { min: 0, integer: true }),
+    wave: validator.number(value.wave, `${path}.wave`, { min: 1, integer: true }),
+    time: validator.number(value.time, `${path}.time`, { min: 0 }),
+    weapon: validator.string(value.weapon, `${path}.weapon`, { fallback: '—' }),
+    date,
+  };
+};
+
+const parseEntryList = (validator, value, path) => {
+  if (value === undefined) {
+    return [];
+  }
+  if (!Array.isArray(value)) {
+    validator.fail(path, 'liste attendue');
+    return [];
+  }
+  return value.map((entry, index) => parseEntry(validator, entry, `${path}[${index}]`)).filter(Boolean);
+};
+
+/**
+ * Local high-score table plus a short history of the latest runs, both kept in localStorage. The
+ * same `{ entries, history }` shape is used for exports, so a table can be moved between browsers.
+ */
+export class Leaderboard {
+  constructor({ maxEntries = MAX_LEADERBOARD_ENTRIES } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = [];
+    this.history = [];
+    this.playerName = DEFAULT_PLAYER_NAME;
+
+    this._load();
+  }
+
+  getEntries() {
+    return [...this.entries];
+  }
+
+  getHistory() {
+    return [...this.history];
+  }
+
+  /**
+   * Returns the 1-based position of a run in the table, or `null` when it did not make the cut.
+   */
+  getRank(id) {
+    const index = this.entries.findIndex((entry) => entry.id === id);
+    return index === -1 ? null : index + 1;
+  }
+
+  /**
+   * Stores a finished run under the current player name and returns the new entry with its rank.
+   */
+  recordRun({ score = 0, wave = 1, time = 0, weapon = '—' }) {
+    const entry = {
+      id: createRunId(),
+      name: this.playerName,
+      score: Math.max(0, Math.floor(score)),
+      wave: Math.max(1, Math.floor(wave)),
+      time: Math.max(0, time),
+      weapon: weapon || '—',
+      date: new Date().toISOString(),
+    };
+
+    this.history = [entry, ...this.history].slice(0, MAX_HISTORY);
+    this.entries = [...this.entries, entry].sort(compareRuns).slice(0, this.maxEntries);
+    this._save();
+
+    return { entry, rank: this.getRank(entry.id) };
+  }
+
+  /**
+   * Renames a recorded run, e.g. when the player types their name on the game-over screen after the
+   * run was already saved. The name is also remembered for the next runs.
+   */
+  renameRun(id, name) {
+    this.playerName = sanitizeName(name);
+    [this.entries, this.history].forEach((list) => {
+      const entry = list.find((candidate) => candidate.id === id);
+      if (entry) {
+        entry.name = this.playerName;
+      }
+    });
+    this._save();
+  }
+
+  exportJSON() {
+    return JSON.stringify(
+      {
+        format: EXPORT_FORMAT,
+        version: STORAGE_VERSION,
+        exportedAt: new Date().toISOString(),
+        entries: this.entries,
+        history: this.history,
+      },
+      null,
+      2,
+    );
+  }
+
+  /**
+   * Merges an exported table into this one. Runs already present (same id) are skipped. Returns
+   * how many runs were added; throws with every problem found when the file is not a valid export.
+   */
+  importJSON(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Fichier de scores illisible : ${error.message}`);
+    }
+
+    const validator = new Validator();
+    if (!validator.object(data, 'scores')) {
+      validator.assertValid('Scores invalides');
+    }
+    if (data.format !== EXPORT_FORMAT) {
+      validator.fail('scores.format', `format « ${data.format} » inconnu (attendu : ${EXPORT_FORMAT})`);
+    }
+    validator.number(data.version, 'scores.version', { min: 1, max: STORAGE_VERSION, integer: true });
+    const entries = parseEntryList(validator, data.entries, 'scores.entries');
+    const history = parseEntryList(validator, data.history, 'scores.history');
+    validator.assertValid('Scores invalides');
+
+    const knownIds = new Set([...this.entries, ...this.history].map(({ id }) => id));
+    const added = new Set();
+    const isNew = (entry) => !knownIds.has(entry.id);
+
+    entries.filter(isNew).forEach((entry) => added.add(entry.id));
+    history.filter(isNew).forEach((entry) => added.add(entry.id));
+
+    this.entries = [...this.entries, ...entries.filter(isNew)].sort(compareRuns).slice(0, this.maxEntries);
+    this.history = [...this.history, ...history.filter(isNew)]
+      .sort((a, b) => b.date.localeCompare(a.date))
+      .slice(0, MAX_HISTORY);
+    this._save();
+
+    return added.size;
+  }
+
+  clear() {
+    this.entries = [];
+    this.history = [];
+    this._save();
+  }
+
+  _load() {
+    const saved = readJSON(STORAGE_KEY);
+    if (!isPlainObject(saved) || saved.version !== STORAGE_VERSION) {
+      return;
+    }
+
+    const validator = new Validator();
+    const entries = parseEntryList(validator, saved.entries, 'entries');
+    const history = parseEntryList(validator, saved.history, 'history');
+    if (validator.errors.length > 0) {
+      console.warn('Tableau des scores local corrompu, il est ignoré :', validator.errors);
+      return;
+    }
+
+    this.entries = entries.sort(compareRuns).slice(0, this.maxEntries);
+    this.history = history.slice(0, MAX_HISTORY);
+    this.playerName = sanitizeName(saved.playerName);
+  }
+
+  _save() {
+    writeJSON(STORAGE_KEY, {
+      version: STORAGE_VERSION,
+      playerName: this.playerName,
+      entries: this.entries,
+      history: this.history,
+    });
+  }
+}
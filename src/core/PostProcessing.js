@@ -0,0 +1,276 @@
+import * as THREE from 'three';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { SMAAPass } from 'three/addons/postprocessing/SMAAPass.js';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { FXAAShader } from 'three/addons/shaders/FXAAShader.js';
+import { readJSON, writeJSON } from './storage.js';
+
+const STORAGE_KEY = 'pourr-cursor:post-processing';
+const STORAGE_VERSION = 1;
+
+export const BLOOM_LAYER = 1;
+
+export const AntialiasMode = Object.freeze({
+  OFF: 'off',
+  FXAA: 'fxaa',
+  SMAA: 'smaa',
+});
+
+const BLOOM_STRENGTH = 1.15;
+const BLOOM_RADIUS = 0.45;
+const BLOOM_THRESHOLD = 0.05;
+const VIGNETTE_STRENGTH = 0.35;
+const LOW_HEALTH_RATIO = 0.35;
+const DANGER_PULSE_SPEED = 5.5;
+const ABERRATION_DECAY = 3;
+const MAX_ABERRATION = 0.025;
+
+/**
+ * Adds `object` and all its current descendants to the bloom layer, so they glow when post-processing
+ * is on. They stay on the default layer and render normally otherwise.
+ */
+export const enableBloom = (object) => {
+  object.traverse((child) => child.layers.enable(BLOOM_LAYER));
+  return object;
+};
+
+// Adds the bloom, splits the colour channels outwards from the centre and darkens the edges. The
+// edges turn red with `danger`, which the caller pulses while the player is low on health.
+const CompositeShader = {
+  uniforms: {
+    tDiffuse: { value: null },
+    tBloom: { value: null },
+    vignette: { value: VIGNETTE_STRENGTH },
+    danger: { value: 0 },
+    aberration: { value: 0 },
+  },
+  vertexShader: /* glsl */ `
+    varying vec2 vUv;
+
+    void main() {
+      vUv = uv;
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+  `,
+  fragmentShader: /* glsl */ `
+    uniform sampler2D tDiffuse;
+    uniform sampler2D tBloom;
+    uniform float vignette;
+    uniform float danger;
+    uniform float aberration;
+    varying vec2 vUv;
+
+    vec3 sampleScene(vec2 uv) {
+      return texture2D(tDiffuse, uv).rgb + texture2D(tBloom, uv).rgb;
+    }
+
+    void main() {
+      vec2 fromCenter = vUv - 0.5;
+      vec2 offset = fromCenter * aberration;
+      vec3 color = vec3(
+        sampleScene(vUv + offset).r,
+        sampleScene(vUv).g,
+        sampleScene(vUv - offset).b
+      );
+
+      float edge = smoothstep(0.25, 0.75, length(fromCenter) * 1.3);
+      color *= 1.0 - edge * vignette;
+      color = mix(color, vec3(0.6, 0.02, 0.06), edge * danger);
+
+      gl_FragColor = vec4(color, 1.0);
+    }
+  `,
+};
+
+/**
+ * Optional EffectComposer pipeline: selective bloom on objects in {@link BLOOM_LAYER}, a vignette
+ * that pulses red at low health, chromatic aberration when the player is hit, and FXAA or SMAA in
+ * place of the multisampling lost when rendering off-screen. When disabled, or if the pipeline
+ * cannot be built, `render` falls back to a plain `renderer.render`.
+ */
+export class PostProcessing {
+  constructor() {
+    this.settings = { enabled: true, antialias: AntialiasMode.SMAA };
+    this.renderer = null;
+    this.scene = null;
+    this.camera = null;
+    this.bloomComposer = null;
+    this.composer = null;
+
+    this.danger = 0;
+    this.aberration = 0;
+    this.elapsed = 0;
+
+    this._load();
+  }
+
+  setup({ renderer, scene, camera }) {
+    this.renderer = renderer;
+    this.scene = scene;
+    this.camera = camera;
+
+    try {
+      this._createComposers();
+    } catch (error) {
+      console.warn('Post-traitement indisponible, rendu simple utilisé :', error);
+      this.dispose();
+    }
+  }
+
+  isAvailable() {
+    return this.composer !== null;
+  }
+
+  isEnabled() {
+    return this.settings.enabled;
+  }
+
+  setEnabled(enabled) {
+    this.settings.enabled = Boolean(enabled);
+    this._save();
+  }
+
+  getAntialias() {
+    return this.settings.antialias;
+  }
+
+  setAntialias(mode) {
+    if (!Object.values(AntialiasMode).includes(mode)) {
+      console.warn(`Anticrénelage inconnu : ${mode}`);
+      return;
+    }
+
+    this.settings.antialias = mode;
+    this._applyAntialias();
+    this._save();
+  }
+
+  /**
+   * Briefly splits the colour channels; repeated hits keep the strongest pulse.
+   */
+  pulseAberration(strength = 1) {
+    this.aberration = Math.max(this.aberration, THREE.MathUtils.clamp(strength, 0, 1));
+  }
+
+  update(delta, { healthRatio = 1 } = {}) {
+    this.elapsed += delta;
+    this.aberration = Math.max(0, this.aberration - ABERRATION_DECAY * delta);
+
+    const lowHealth = THREE.MathUtils.clamp(1 - healthRatio / LOW_HEALTH_RATIO, 0, 1);
+    const pulse = 0.65 + 0.35 * Math.sin(this.elapsed * DANGER_PULSE_SPEED);
+    this.danger = healthRatio > 0 ? lowHealth * pulse : 0;
+  }
+
+  reset() {
+    this.danger = 0;
+    this.aberration = 0;
+  }
+
+  setSize(width, height, pixelRatio) {
+    if (!this.composer) {
+      return;
+    }
+
+    [this.bloomComposer, this.composer].forEach((composer) => {
+      composer.setPixelRatio(pixelRatio);
+      composer.setSize(width, height);
+    });
+    this.fxaaPass.material.uniforms.resolution.value.set(1 / (width * pixelRatio), 1 / (height * pixelRatio));
+  }
+
+  render() {
+    if (!this.settings.enabled || !this.composer) {
+      this.renderer.render(this.scene, this.camera);
+      return;
+    }
+
+    this._renderBloom();
+
+    const { uniforms } = this.compositePass;
+    uniforms.tBloom.value = this.bloomComposer.renderTarget2.texture;
+    uniforms.danger.value = this.danger;
+    uniforms.aberration.value = this.aberration * MAX_ABERRATION;
+    this.composer.render();
+  }
+
+  /**
+   * Frees the passes, with their materials and render targets, then the composers' own targets.
+   */
+  dispose() {
+    [this.bloomComposer, this.composer].forEach((composer) => {
+      composer?.passes.forEach((pass) => pass.dispose());
+      composer?.dispose();
+    });
+    this.bloomComposer = null;
+    this.composer = null;
+  }
+
+  _createComposers() {
+    const size = this.renderer.getSize(new THREE.Vector2());
+
+    this.bloomComposer = new EffectComposer(this.renderer);
+    this.bloomComposer.renderToScreen = false;
+    this.bloomComposer.addPass(new RenderPass(this.scene, this.camera));
+    this.bloomComposer.addPass(new UnrealBloomPass(size, BLOOM_STRENGTH, BLOOM_RADIUS, BLOOM_THRESHOLD));
+
+    this.compositePass = new ShaderPass(CompositeShader);
+    this.fxaaPass = new ShaderPass(FXAAShader);
+    this.smaaPass = new SMAAPass(size.x, size.y);
+
+    this.composer = new EffectComposer(this.renderer);
+    this.composer.addPass(new RenderPass(this.scene, this.camera));
+    this.composer.addPass(this.compositePass);
+    // Tone mapping and colour space conversion happen here; the anti-aliasing passes expect sRGB input.
+    this.composer.addPass(new OutputPass());
+    this.composer.addPass(this.fxaaPass);
+    this.composer.addPass(this.smaaPass);
+
+    this._applyAntialias();
+  }
+
+  _applyAntialias() {
+    if (!this.composer) {
+      return;
+    }
+
+    this.fxaaPass.enabled = this.settings.antialias === AntialiasMode.FXAA;
+    this.smaaPass.enabled = this.settings.antialias === AntialiasMode.SMAA;
+  }
+
+  /**
+   * Renders only the bloom layer, unlit and on a transparent background, so just emissive and
+   * unlit surfaces feed the bloom. Nothing occludes them in this pass, which is acceptable from the
+   * high top-down camera where glowing objects are rarely hidden.
+   */
+  _renderBloom() {
+    const { background } = this.scene;
+    const layerMask = this.camera.layers.mask;
+
+    this.scene.background = null;
+    this.camera.layers.set(BLOOM_LAYER);
+    this.bloomComposer.render();
+    this.camera.layers.mask = layerMask;
+    this.scene.background = background;
+  }
+
+  _load() {
+    const saved = readJSON(STORAGE_KEY);
+    if (saved?.version !== STORAGE_VERSION) {
+      return;
+    }
+
+    if (typeof saved.enabled === 'boolean') {
+      this.settings.enabled = saved.enabled;
+    }
+    if (Object.values(AntialiasMode).includes(saved.antialias)) {
+      this.settings.antialias = saved.antialias;
+    }
+  }
+
+  _save() {
+    writeJSON(STORAGE_KEY, { version: STORAGE_VERSION, ...this.settings });
+  }
+}
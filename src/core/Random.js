@@ -0,0 +1,55 @@
+/**
+ * Returns a fresh 32-bit seed. This is the one place gameplay may use `Math.random`.
+ */
+export const createSeed = () => Math.floor(Math.random() * 2 ** 32) >>> 0;
+
+/**
+ * Seedable pseudo-random generator (mulberry32). Every gameplay roll goes through the instance owned
+ * by `Game`, so a run replays identically from its seed and inputs. Cosmetic randomness (particles,
+ * sound pitch) stays on `Math.random` on purpose: it depends on graphics and audio settings and must
+ * not shift the gameplay sequence.
+ */
+export class Random {
+  constructor(seed = createSeed()) {
+    this.setSeed(seed);
+  }
+
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * Uniform float in [0, 1).
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Uniform float in [-range / 2, range / 2], like `THREE.MathUtils.randFloatSpread`.
+   */
+  spread(range) {
+    return range * (0.5 - this.next());
+  }
+
+  angle() {
+    return this.next() * Math.PI * 2;
+  }
+
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  pick(items) {
+    return items[Math.floor(this.next() * items.length)];
+  }
+}
@@ -0,0 +1,70 @@
+import * as THREE from 'three';
+
+// Anything that moved further in one tick was teleported (respawned, reused from a pool) and is drawn
+// where it landed instead of gliding across.
+const MAX_INTERPOLATED_STEP = 5;
+
+/**
+ * Smooths motion between fixed simulation ticks. The positions of the tracked objects are recorded
+ * before each tick; when drawing, each object is placed between its last two tick positions, then
+ * moved back so the simulation never sees the blended value.
+ */
+export class RenderInterpolator {
+  constructor() {
+    this.entries = new Map();
+    this.tick = 0;
+    this.isApplied = false;
+  }
+
+  /**
+   * Records the current position of every object in `objects`. Objects that are no longer passed in
+   * are forgotten.
+   */
+  capture(objects) {
+    this.tick += 1;
+    objects.forEach((object) => {
+      let entry = this.entries.get(object);
+      if (!entry) {
+        entry = { previous: new THREE.Vector3(), current: new THREE.Vector3(), tick: 0 };
+        this.entries.set(object, entry);
+      }
+      entry.previous.copy(object.position);
+      entry.tick = this.tick;
+    });
+
+    this.entries.forEach((entry, object) => {
+      if (entry.tick !== this.tick) {
+        this.entries.delete(object);
+      }
+    });
+  }
+
+  /**
+   * Moves every object `alpha` (0–1) of the way from its previous tick position to its current one.
+   */
+  apply(alpha) {
+    this.entries.forEach((entry, object) => {
+      entry.current.copy(object.position);
+      if (entry.previous.distanceToSquared(entry.current) <= MAX_INTERPOLATED_STEP ** 2) {
+        object.position.lerpVectors(entry.previous, entry.current, alpha);
+      }
+    });
+    this.isApplied = true;
+  }
+
+  restore() {
+    if (!this.isApplied) {
+      return;
+    }
+
+    this.entries.forEach((entry, object) => object.position.copy(entry.current));
+    this.isApplied = false;
+  }
+
+  /**
+   * Drops the recorded positions, e.g. after objects were teleported, so nothing glides across.
+   */
+  clear() {
+    this.entries.clear();
+  }
+}
@@ -0,0 +1,305 @@
+import { TRIGGER_ACTIONS } from './InputBindings.js';
+import { Validator } from './Validator.js';
+
+export const REPLAY_FORMAT = 'pourr-cursor-replay';
+export const REPLAY_VERSION = 1;
+export const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+
+// Zoom and pause only change what is shown, so they stay out of the recording.
+export const SIMULATION_ACTIONS = new Set(
+  [...TRIGGER_ACTIONS].filter((action) => !['pause', 'zoomIn', 'zoomOut'].includes(action)),
+);
+
+export const InputButton = Object.freeze({
+  FIRE: 1,
+  ALT_FIRE: 2,
+});
+
+const ALL_BUTTONS = InputButton.FIRE | InputButton.ALT_FIRE;
+const MAX_SEED = 2 ** 32 - 1;
+const REPLAY_KEYS = [
+  'format',
+  'version',
+  'seed',
+  'tickRate',
+  'ticks',
+  'recordedAt',
+  'summary',
+  'inputs',
+  'actions',
+  'purchases',
+];
+const SUMMARY_KEYS = ['score', 'wave', 'time'];
+
+// Live input is rounded before the simulation sees it, so the rounded values written to the file
+// replay exactly. Coarser values also keep the log small: most ticks repeat the previous state.
+const AXIS_PRECISION = 1000;
+const AIM_PRECISION = 100;
+const quantize = (value, precision) => Math.round(value * precision) / precision;
+
+/**
+ * The input the simulation reads during one tick, either sampled from the devices or read back from
+ * a replay. It stands in for the InputManager wherever gameplay code polls input.
+ */
+export class TickInput {
+  constructor() {
+    this.axis = { x: 0, z: 0 };
+    this.aimX = 0;
+    this.aimZ = 0;
+    this.buttons = 0;
+    this.actions = [];
+  }
+
+  reset() {
+    this.axis.x = 0;
+    this.axis.z = 0;
+    this.aimX = 0;
+    this.aimZ = 0;
+    this.buttons = 0;
+    this.actions.length = 0;
+  }
+
+  /**
+   * Takes the current device state, the aim point on the ground and the actions triggered since the
+   * previous tick.
+   */
+  sample(inputManager, aimPoint, actions) {
+    const axis = inputManager.getAxis();
+    this.axis.x = quantize(axis.x, AXIS_PRECISION);
+    this.axis.z = quantize(axis.z, AXIS_PRECISION);
+    this.aimX = quantize(aimPoint.x, AIM_PRECISION);
+    this.aimZ = quantize(aimPoint.z, AIM_PRECISION);
+    this.buttons =
+      (inputManager.isShootingPrimary() ? InputButton.FIRE : 0) |
+      (inputManager.isShootingSecondary() ? InputButton.ALT_FIRE : 0);
+    this.actions.length = 0;
+    this.actions.push(...actions);
+  }
+
+  getAxis() {
+    return this.axis;
+  }
+
+  consumeAction(action) {
+    const index = this.actions.indexOf(action);
+    if (index === -1) {
+      return false;
+    }
+
+    this.actions.splice(index, 1);
+    return true;
+  }
+
+  isShootingPrimary() {
+    return (this.buttons & InputButton.FIRE) !== 0;
+  }
+
+  isShootingSecondary() {
+    return (this.buttons & InputButton.ALT_FIRE) !== 0;
+  }
+}
+
+/**
+ * Builds the replay of a live run. Device state is stored only on the ticks where it changes, as
+ * `[tick, axisX, axisZ, aimX, aimZ, buttons]`; actions and shop purchases are stored as
+ * `[tick, id]`. A purchase is filed under the tick that follows the shop opening.
+ */
+export class ReplayRecorder {
+  constructor({ seed, tickRate }) {
+    this.replay = {
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      seed,
+      tickRate,
+      ticks: 0,
+      recordedAt: new Date().toISOString(),
+      summary: null,
+      inputs: [],
+      actions: [],
+      purchases: [],
+    };
+    this.lastInput = null;
+  }
+
+  recordTick(tick, input) {
+    const { axis, aimX, aimZ, buttons } = input;
+    const last = this.lastInput;
+    if (
+      !last ||
+      last[1] !== axis.x ||
+      last[2] !== axis.z ||
+      last[3] !== aimX ||
+      last[4] !== aimZ ||
+      last[5] !== buttons
+    ) {
+      this.lastInput = [tick, axis.x, axis.z, aimX, aimZ, buttons];
+      this.replay.inputs.push(this.lastInput);
+    }
+
+    input.actions.forEach((action) => this.replay.actions.push([tick, action]));
+    this.replay.ticks = tick + 1;
+  }
+
+  recordPurchase(tick, itemId) {
+    this.replay.purchases.push([tick, itemId]);
+  }
+
+  finish({ score, wave, time }) {
+    this.replay.summary = { score, wave, time };
+  }
+
+  getReplay() {
+    return this.replay;
+  }
+}
+
+/**
+ * Feeds a recorded run back one tick at a time. Ticks are read in order; `rewind` starts over for
+ * seeking backwards.
+ */
+export class ReplayPlayer {
+  constructor(replay) {
+    this.replay = replay;
+    this.speed = 1;
+    this.isPlaying = true;
+    this.seekTarget = null;
+    this.rewind();
+  }
+
+  rewind() {
+    this.inputIndex = 0;
+    this.actionIndex = 0;
+    this.purchaseIndex = 0;
+  }
+
+  getTickCount() {
+    return this.replay.ticks;
+  }
+
+  isFinished(tick) {
+    return tick >= this.replay.ticks;
+  }
+
+  readTick(tick, input) {
+    const { inputs, actions } = this.replay;
+    while (this.inputIndex < inputs.length && inputs[this.inputIndex][0] <= tick) {
+      const [, axisX, axisZ, aimX, aimZ, buttons] = inputs[this.inputIndex];
+      input.axis.x = axisX;
+      input.axis.z = axisZ;
+      input.aimX = aimX;
+      input.aimZ = aimZ;
+      input.buttons = buttons;
+      this.inputIndex += 1;
+    }
+
+    input.actions.length = 0;
+    while (this.actionIndex < actions.length && actions[this.actionIndex][0] <= tick) {
+      input.actions.push(actions[this.actionIndex][1]);
+      this.actionIndex += 1;
+    }
+  }
+
+  /**
+   * Returns the ids of the items bought while the shop was open before `tick`.
+   */
+  takePurchases(tick) {
+    const { purchases } = this.replay;
+    const itemIds = [];
+    while (this.purchaseIndex < purchases.length && purchases[this.purchaseIndex][0] <= tick) {
+      itemIds.push(purchases[this.purchaseIndex][1]);
+      this.purchaseIndex += 1;
+    }
+    return itemIds;
+  }
+}
+
+export const serializeReplay = (replay) => JSON.stringify(replay);
+
+// Entries are tuples whose first item is a tick; ticks must never go backwards.
+const parseEntries = (validator, value, path, { ticks, parseFields }) => {
+  if (!Array.isArray(value)) {
+    validator.fail(path, 'liste attendue');
+    return [];
+  }
+
+  let previousTick = 0;
+  return value.map((entry, index) => {
+    const entryPath = `${path}[${index}]`;
+    if (!Array.isArray(entry)) {
+      validator.fail(entryPath, 'liste attendue');
+      return [0];
+    }
+
+    const tick = validator.number(entry[0], `${entryPath}[0]`, { min: previousTick, max: ticks, integer: true });
+    previousTick = tick;
+    return [tick, ...parseFields(entry, entryPath)];
+  });
+};
+
+/**
+ * Reads a replay file. Throws with every problem found when the file is not a valid replay, or was
+ * recorded at another tick rate than `tickRate`.
+ */
+export const parseReplay = (text, { tickRate }) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Fichier de rediffusion illisible : ${error.message}`);
+  }
+
+  const validator = new Validator();
+  if (!validator.object(data, 'rediffusion')) {
+    validator.assertValid('Rediffusion invalide');
+  }
+  validator.unknownKeys(data, 'rediffusion', REPLAY_KEYS);
+  if (data.format !== REPLAY_FORMAT) {
+    validator.fail('rediffusion.format', `format « ${data.format} » inconnu (attendu : ${REPLAY_FORMAT})`);
+  }
+  validator.number(data.version, 'rediffusion.version', { min: 1, max: REPLAY_VERSION, integer: true });
+  if (data.tickRate !== tickRate) {
+    validator.fail('rediffusion.tickRate', `enregistrée à ${data.tickRate} ticks/s, ce jeu tourne à ${tickRate}`);
+  }
+
+  const ticks = validator.number(data.ticks, 'rediffusion.ticks', { min: 0, integer: true });
+  let summary = null;
+  if (data.summary !== undefined && data.summary !== null && validator.object(data.summary, 'rediffusion.summary')) {
+    validator.unknownKeys(data.summary, 'rediffusion.summary', SUMMARY_KEYS);
+    summary = {
+      score: validator.number(data.summary.score, 'rediffusion.summary.score', { min: 0, integer: true }),
+      wave: validator.number(data.summary.wave, 'rediffusion.summary.wave', { min: 1, integer: true }),
+      time: validator.number(data.summary.time, 'rediffusion.summary.time', { min: 0 }),
+    };
+  }
+
+  const replay = {
+    format: REPLAY_FORMAT,
+    version: REPLAY_VERSION,
+    seed: validator.number(data.seed, 'rediffusion.seed', { min: 0, max: MAX_SEED, integer: true }),
+    tickRate,
+    ticks,
+    recordedAt: validator.string(data.recordedAt, 'rediffusion.recordedAt', { fallback: '' }),
+    summary,
+    inputs: parseEntries(validator, data.inputs, 'rediffusion.inputs', {
+      ticks,
+      parseFields: (entry, path) => [
+        validator.number(entry[1], `${path}[1]`, { min: -1, max: 1 }),
+        validator.number(entry[2], `${path}[2]`, { min: -1, max: 1 }),
+        validator.number(entry[3], `${path}[3]`),
+        validator.number(entry[4], `${path}[4]`),
+        validator.number(entry[5], `${path}[5]`, { min: 0, max: ALL_BUTTONS, integer: true }),
+      ],
+    }),
+    actions: parseEntries(validator, data.actions, 'rediffusion.actions', {
+      ticks,
+      parseFields: (entry, path) => [validator.oneOf(entry[1], `${path}[1]`, [...SIMULATION_ACTIONS])],
+    }),
+    purchases: parseEntries(validator, data.purchases, 'rediffusion.purchases', {
+      ticks,
+      parseFields: (entry, path) => [validator.string(entry[1], `${path}[1]`)],
+    }),
+  };
+  validator.assertValid('Rediffusion invalide');
+
+  return replay;
+};
@@ -0,0 +1,90 @@
+export const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Collects every problem found in a data file so designers can fix it in one pass instead of
+ * discovering errors one reload at a time. Each error is prefixed with its JSON path.
+ */
+export class Validator {
+  constructor() {
+    this.errors = [];
+  }
+
+  fail(path, message) {
+    this.errors.push(`${path} : ${message}`);
+  }
+
+  /**
+   * Throws a single error listing every collected problem, if any.
+   */
+  assertValid(title) {
+    if (this.errors.length > 0) {
+      throw new Error(`${title} :\n- ${this.errors.join('\n- ')}`);
+    }
+  }
+
+  object(value, path) {
+    if (!isPlainObject(value)) {
+      this.fail(path, 'objet attendu');
+      return false;
+    }
+    return true;
+  }
+
+  number(value, path, { fallback, min = -Infinity, max = Infinity, integer = false, exclusiveMin = false } = {}) {
+    if (value === undefined && fallback !== undefined) {
+      return fallback;
+    }
+
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      this.fail(path, `nombre attendu, reçu ${JSON.stringify(value)}`);
+      return fallback ?? 0;
+    }
+
+    if (integer && !Number.isInteger(value)) {
+      this.fail(path, `entier attendu, reçu ${value}`);
+    }
+
+    const belowMin = exclusiveMin ? value <= min : value < min;
+    if (belowMin || value > max) {
+      const lower = exclusiveMin ? `> ${min}` : `≥ ${min}`;
+      const upper = Number.isFinite(max) ? ` et ≤ ${max}` : '';
+      this.fail(path, `doit être ${lower}${upper}, reçu ${value}`);
+    }
+
+    return value;
+  }
+
+  string(value, path, { fallback } = {}) {
+    if (value === undefined && fallback !== undefined) {
+      return fallback;
+    }
+
+    if (typeof value !== 'string' || value.trim() === '') {
+      this.fail(path, `texte non vide attendu, reçu ${JSON.stringify(value)}`);
+      return fallback ?? '';
+    }
+
+    return value;
+  }
+
+  oneOf(value, path, allowed, fallback) {
+    if (value === undefined && fallback !== undefined) {
+      return fallback;
+    }
+
+    if (!allowed.includes(value)) {
+      this.fail(path, `valeur « ${value} » inconnue (attendu : ${allowed.join(', ')})`);
+      return fallback ?? allowed[0];
+    }
+
+    return value;
+  }
+
+  unknownKeys(value, path, allowed) {
+    Object.keys(value).forEach((key) => {
+      if (!allowed.includes(key)) {
+        this.fail(`${path}.${key}`, 'propriété inconnue');
+      }
+    });
+  }
+}
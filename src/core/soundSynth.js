@@ -0,0 +1,70 @@
+const TWO_PI = Math.PI * 2;
+const FADE_OUT = 0.005;
+
+const WAVEFORMS = {
+  sine: (phase) => Math.sin(phase),
+  square: (phase) => (Math.sin(phase) >= 0 ? 1 : -1),
+  saw: (phase) => ((phase / TWO_PI) % 1) * 2 - 1,
+  triangle: (phase) => 1 - 4 * Math.abs(((phase / TWO_PI) % 1) - 0.5),
+};
+
+/**
+ * Renders a short procedural sound into an `AudioBuffer`, used when a sound file is missing.
+ *
+ * A recipe is `{ duration, wave, from, to, steps, noise, noiseTone, attack, decay }`: the tone sweeps
+ * exponentially from `from` to `to` Hz (or jumps through the `steps` frequencies in turn), `noise`
+ * (0–1) blends in white noise smoothed by `noiseTone` (0 = muffled, 1 = bright), and the envelope
+ * rises over `attack` seconds then decays exponentially at rate `decay`.
+ */
+export const synthesizeSound = (context, recipe) => {
+  const {
+    duration = 0.2,
+    wave = 'sine',
+    from = 440,
+    to = from,
+    steps = null,
+    noise = 0,
+    noiseTone = 0.5,
+    attack = 0.003,
+    decay = 10,
+  } = recipe;
+
+  const sampleRate = context.sampleRate;
+  const length = Math.max(1, Math.floor(duration * sampleRate));
+  const buffer = context.createBuffer(1, length, sampleRate);
+  const data = buffer.getChannelData(0);
+  const oscillator = WAVEFORMS[wave] ?? WAVEFORMS.sine;
+
+  let phase = 0;
+  let filteredNoise = 0;
+  let peak = 0;
+
+  for (let i = 0; i < length; i += 1) {
+    const time = i / sampleRate;
+    const progress = i / length;
+
+    const frequency = steps
+      ? steps[Math.min(steps.length - 1, Math.floor(progress * steps.length))]
+      : from * (to / from) ** progress;
+    phase = (phase + (TWO_PI * frequency) / sampleRate) % TWO_PI;
+
+    filteredNoise += (Math.random() * 2 - 1 - filteredNoise) * noiseTone;
+    // The short fade at the end avoids a click when a slow decay is cut off by `duration`.
+    const release = Math.min(1, (length - i) / (sampleRate * FADE_OUT));
+    const envelope = Math.min(1, time / attack) * Math.exp(-decay * time) * release;
+    const sample = (oscillator(phase) * (1 - noise) + filteredNoise * noise) * envelope;
+
+    data[i] = sample;
+    peak = Math.max(peak, Math.abs(sample));
+  }
+
+  // Normalise so every recipe plays at a comparable level before channel volumes apply.
+  if (peak > 0) {
+    const gain = 0.9 / peak;
+    for (let i = 0; i < length; i += 1) {
+      data[i] *= gain;
+    }
+  }
+
+  return buffer;
+};
@@ -0,0 +1,37 @@
+const getLocalStorage = () => {
+  try {
+    return window.localStorage;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const readJSON = (key) => {
+  const storage = getLocalStorage();
+  if (!storage) {
+    return null;
+  }
+
+  try {
+    const raw = storage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    console.warn(`Données locales illisibles pour ${key} :`, error);
+    return null;
+  }
+};
+
+export const writeJSON = (key, value) => {
+  const storage = getLocalStorage();
+  if (!storage) {
+    return false;
+  }
+
+  try {
+    storage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (error) {
+    console.warn(`Impossible de sauvegarder ${key} :`, error);
+    return false;
+  }
+};
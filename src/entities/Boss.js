@@ -0,0 +1,303 @@
+import * as THREE from 'three';
+import { enableBloom } from '../core/PostProcessing.js';
+import { Enemy } from './Enemy.js';
+
+const PHASE_ABILITY_DELAY = 1.2;
+const SLAM_FLASH_DURATION = 0.3;
+const CHARGE_TELEGRAPH_WIDTH = 2.2;
+const TELEGRAPH_HEIGHT = 0.06;
+
+export class Boss extends Enemy {
+  constructor(options) {
+    super(options);
+
+    this.isBoss = true;
+    this.name = this.config.name ?? this.config.id;
+    this.baseSpeed = this.config.speed;
+    this.phases = [...(this.config.phases ?? [{ threshold: 1, abilities: [] }])].sort(
+      (a, b) => b.threshold - a.threshold,
+    );
+    this.phaseIndex = -1;
+    this.cooldowns = {};
+    this.ability = null;
+    this.slamFlashTimer = 0;
+
+    this.chargeDirection = new THREE.Vector3();
+    this.toPlayer = new THREE.Vector3();
+
+    this.slamTelegraph = this._createTelegraph(new THREE.RingGeometry(0.9, 1, 48), 0xff6b3d);
+    this.chargeTelegraph = this._createTelegraph(new THREE.PlaneGeometry(CHARGE_TELEGRAPH_WIDTH, 1), 0xff3d6b);
+    this.chargeTelegraph.geometry.translate(0, 0.5, 0);
+
+    this._enterPhase(0);
+  }
+
+  async init() {
+    this.scene.add(this.slamTelegraph, this.chargeTelegraph);
+    await super.init();
+  }
+
+  getPhaseCount() {
+    return this.phases.length;
+  }
+
+  getPhaseThresholds() {
+    return this.phases.slice(1).map(({ threshold }) => threshold);
+  }
+
+  update(delta, context = {}) {
+    this._updateSlamFlash(delta);
+
+    const { playerPosition } = context;
+    if (!this.isAlive || !playerPosition) {
+      this._hideTelegraphs();
+      super.update(delta, context);
+      return;
+    }
+
+    this._updatePhase(context);
+    Object.keys(this.cooldowns).forEach((id) => {
+      this.cooldowns[id] = Math.max(0, this.cooldowns[id] - delta);
+    });
+
+    if (this.ability || this._tryStartAbility(playerPosition)) {
+      this.timeSinceLastAttack += delta;
+      this._updateAbility(delta, context);
+      this._updateModel(delta);
+      return;
+    }
+
+    super.update(delta, context);
+  }
+
+  dispose() {
+    super.dispose();
+
+    [this.slamTelegraph, this.chargeTelegraph].forEach((telegraph) => {
+      telegraph.parent?.remove(telegraph);
+      telegraph.geometry.dispose();
+      telegraph.material.dispose();
+    });
+  }
+
+  _updatePhase(context) {
+    const healthRatio = this.health / this.config.maxHealth;
+    let nextIndex = this.phaseIndex;
+    while (nextIndex + 1 < this.phases.length && healthRatio <= this.phases[nextIndex + 1].threshold) {
+      nextIndex += 1;
+    }
+
+    if (nextIndex !== this.phaseIndex) {
+      this._enterPhase(nextIndex);
+      context.onPhaseChange?.(this, nextIndex);
+    }
+  }
+
+  _enterPhase(index) {
+    this.phaseIndex = index;
+    const phase = this.phases[index];
+    this.config.speed = this.baseSpeed * (phase.speedMultiplier ?? 1);
+
+    // Abilities unlocked by the new phase come online shortly after the transition rather than instantly.
+    (phase.abilities ?? []).forEach((id) => {
+      if (!(id in this.cooldowns) || this.cooldowns[id] > PHASE_ABILITY_DELAY) {
+        this.cooldowns[id] = PHASE_ABILITY_DELAY;
+      }
+    });
+  }
+
+  _tryStartAbility(playerPosition) {
+    const phase = this.phases[this.phaseIndex];
+    this.toPlayer.subVectors(playerPosition, this.group.position).setY(0);
+    const distance = this.toPlayer.length();
+
+    const id = (phase.abilities ?? []).find((abilityId) => {
+      const settings = this.config.abilities?.[abilityId];
+      if (!settings || this.cooldowns[abilityId] > 0) {
+        return false;
+      }
+
+      switch (abilityId) {
+        case 'charge':
+          return distance >= (settings.minRange ?? 0);
+        case 'slam':
+          return distance <= (settings.triggerRange ?? settings.radius);
+        default:
+          return true;
+      }
+    });
+
+    if (!id) {
+      return false;
+    }
+
+    const settings = this.config.abilities[id];
+    this.cooldowns[id] = settings.cooldown * (phase.cooldownMultiplier ?? 1);
+    this.ability = { id, settings, stage: 'windup', timer: settings.windup ?? 0, hasHit: false };
+
+    if (id === 'charge') {
+      this.chargeDirection.copy(this.toPlayer);
+      if (this.chargeDirection.lengthSq() < 0.0001) {
+        this.chargeDirection.set(0, 0, 1);
+      }
+      this.chargeDirection.normalize();
+    }
+
+    this._playAction('attack');
+    return true;
+  }
+
+  _updateAbility(delta, context) {
+    const { playerPosition } = context;
+    const { id, settings } = this.ability;
+    this.ability.timer -= delta;
+
+    if (this.ability.stage === 'windup') {
+      const progress = 1 - Math.max(0, this.ability.timer) / Math.max(settings.windup ?? 0, 0.0001);
+      this._showTelegraph(id, settings, progress);
+
+      if (id !== 'charge') {
+        this._faceTowards(playerPosition);
+      }
+
+      if (this.ability.timer > 0) {
+        return;
+      }
+
+      this._hideTelegraphs();
+      if (id === 'charge') {
+        this.ability.stage = 'active';
+        this.ability.timer = settings.duration;
+        this._playAction('run');
+        return;
+      }
+
+      this._resolveAbility(id, settings, context);
+      this.ability = null;
+      return;
+    }
+
+    // Only the charge has an active stage: the boss barrels along the locked direction.
+    this.group.position.addScaledVector(this.chargeDirection, settings.speed * delta);
+    this.lookTarget.copy(this.group.position).add(this.chargeDirection);
+    this._faceTowards(this.lookTarget);
+
+    const hitDistance = this.config.attackRange + 0.5;
+    if (!this.ability.hasHit && this.group.position.distanceTo(playerPosition) <= hitDistance) {
+      this.ability.hasHit = true;
+      context.onAttack?.(this, settings.damage);
+    }
+
+    if (this.ability.timer <= 0) {
+      this.ability = null;
+    }
+  }
+
+  _resolveAbility(id, settings, context) {
+    if (id === 'slam') {
+      this.slamFlashTimer = SLAM_FLASH_DURATION;
+      this._showTelegraph('slam', settings, 1);
+      if (this.group.position.distanceTo(context.playerPosition) <= settings.radius) {
+        context.onAttack?.(this, settings.damage);
+      }
+      return;
+    }
+
+    if (id === 'summon') {
+      context.onSummon?.(this, settings);
+    }
+  }
+
+  _showTelegraph(id, settings, progress) {
+    const { x, z } = this.group.position;
+
+    if (id === 'slam' || id === 'summon') {
+      const radius = settings.radius ?? 4;
+      this.slamTelegraph.visible = true;
+      this.slamTelegraph.position.set(x, TELEGRAPH_HEIGHT, z);
+      this.slamTelegraph.scale.setScalar(Math.max(0.01, radius * progress));
+      this.slamTelegraph.material.opacity = 0.25 + 0.5 * progress;
+      return;
+    }
+
+    if (id === 'charge') {
+      const length = settings.speed * settings.duration;
+      this.chargeTelegraph.visible = true;
+      this.chargeTelegraph.position.set(x, TELEGRAPH_HEIGHT, z);
+      const heading = Math.atan2(-this.chargeDirection.x, -this.chargeDirection.z);
+      this.chargeTelegraph.rotation.set(-Math.PI / 2, 0, heading);
+      this.chargeTelegraph.scale.set(1, Math.max(0.01, length * progress), 1);
+      this.chargeTelegraph.material.opacity = 0.2 + 0.45 * progress;
+    }
+  }
+
+  _updateSlamFlash(delta) {
+    if (this.slamFlashTimer <= 0) {
+      return;
+    }
+
+    this.slamFlashTimer = Math.max(0, this.slamFlashTimer - delta);
+    this.slamTelegraph.material.opacity = (this.slamFlashTimer / SLAM_FLASH_DURATION) * 0.9;
+    if (this.slamFlashTimer === 0) {
+      this.slamTelegraph.visible = false;
+    }
+  }
+
+  _hideTelegraphs() {
+    if (this.slamFlashTimer <= 0) {
+      this.slamTelegraph.visible = false;
+    }
+    this.chargeTelegraph.visible = false;
+  }
+
+  _createTelegraph(geometry, color) {
+    const material = new THREE.MeshBasicMaterial({
+      color,
+      transparent: true,
+      opacity: 0,
+      depthWrite: false,
+      side: THREE.DoubleSide,
+    });
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.rotation.x = -Math.PI / 2;
+    mesh.visible = false;
+    mesh.renderOrder = 1;
+    return mesh;
+  }
+
+  _createFallbackModel() {
+    const group = new THREE.Group();
+
+    const material = new THREE.MeshStandardMaterial({
+      color: 0x8b5cff,
+      emissive: 0x5a1dff,
+      emissiveIntensity: 1.1,
+      roughness: 0.35,
+      metalness: 0.7,
+    });
+
+    const body = new THREE.Mesh(new THREE.IcosahedronGeometry(1, 0), material);
+    body.castShadow = true;
+    body.receiveShadow = true;
+    body.position.y = 1;
+    group.add(body);
+
+    const spikeGeometry = new THREE.ConeGeometry(0.22, 0.9, 6);
+    const spikeMaterial = new THREE.MeshBasicMaterial({ color: 0xffc36b });
+    for (let i = 0; i < 6; i += 1) {
+      const angle = (i / 6) * Math.PI * 2;
+      const spike = new THREE.Mesh(spikeGeometry, spikeMaterial);
+      spike.position.set(Math.cos(angle) * 0.9, 1.6, Math.sin(angle) * 0.9);
+      spike.rotation.z = -Math.cos(angle) * 0.5;
+      spike.rotation.x = Math.sin(angle) * 0.5;
+      group.add(enableBloom(spike));
+    }
+
+    const glow = new THREE.PointLight(0x8b5cff, 2, 22, 2);
+    glow.position.set(0, 1.4, 0);
+    group.add(glow);
+    this.glowLight = glow;
+
+    return group;
+  }
+}
@@ -1,16 +1,23 @@
 import * as THREE from 'three';
+import { enableBloom } from '../core/PostProcessing.js';
+import { Random } from '../core/Random.js';
 
 const DEFAULT_ATTACK_COOLDOWN = 1.2;
 const DEFAULT_ATTACK_RANGE = 1.8;
+const ARRIVAL_RADIUS = 3;
+const MIN_ARRIVAL_SPEED = 0.35;
+// Sight checks use a thinner body than the collision radius; arena collisions slide enemies off corners.
+const SIGHT_RADIUS_FACTOR = 0.5;
 
 export class Enemy {
-  constructor({ scene, assetManager, config }) {
+  constructor({ scene, assetManager, config, random = new Random() }) {
     if (!scene) {
       throw new Error('Enemy requiert une scène Three.js.');
     }
 
     this.scene = scene;
     this.assetManager = assetManager;
+    this.random = random;
     this.config = {
       id: 'grunt',
       modelPath: 'assets/models/enemies/grunt.glb',
@@ -20,6 +27,7 @@ export class Enemy {
       attackRange: DEFAULT_ATTACK_RANGE,
       attackCooldown: DEFAULT_ATTACK_COOLDOWN,
       reward: 50,
+      credits: 10,
       scale: 1,
       ...config,
     };
@@ -29,21 +37,31 @@ export class Enemy {
     this.group.position.copy(this.config.spawnPosition ?? new THREE.Vector3());
 
     this.model = null;
+    // Fallback models carry a point light; the graphics settings decide how many stay lit.
+    this.glowLight = null;
     this.mixer = null;
     this.actions = {};
     this.currentAction = null;
 
     this.health = this.config.maxHealth;
     this.isAlive = true;
+    this.isDisposed = false;
     this.timeSinceLastAttack = 0;
 
     this.velocity = new THREE.Vector3();
     this.direction = new THREE.Vector3();
+    // Filled by CrowdSteering each frame and blended into the seek direction.
+    this.steering = new THREE.Vector3();
+    this.crowdIndex = 0;
+    this.heading = new THREE.Vector3();
+    this.headingTarget = new THREE.Vector3();
     this.lookTarget = new THREE.Vector3();
     this.targetQuaternion = new THREE.Quaternion();
     this.lookMatrix = new THREE.Matrix4();
     this.upVector = new THREE.Vector3(0, 1, 0);
 
+    // Body size comes from the config rather than the loaded model, so collisions do not depend on
+    // whether or when the model finished loading.
     this.boundingRadius = 1.2 * this.config.scale;
     this.height = 2.6 * this.config.scale;
   }
@@ -57,6 +75,10 @@ export class Enemy {
         center: true,
         centerAxis: 'y',
       });
+      // Spawning does not wait for the model, so the enemy may have died and been cleaned up meanwhile.
+      if (this.isDisposed) {
+        return;
+      }
 
       this.model = asset.scene;
       this.model.name = `EnemyModel_${this.config.id}`;
@@ -79,13 +101,11 @@ export class Enemy {
 
         this._playAction('idle');
       }
-
-      const box = new THREE.Box3().setFromObject(this.model);
-      const size = new THREE.Vector3();
-      box.getSize(size);
-      this.boundingRadius = Math.max(size.x, size.z) * 0.35;
-      this.height = size.y;
     } catch (error) {
+      if (this.isDisposed) {
+        return;
+      }
+
       console.warn(
         `Impossible de charger le modèle pour l’ennemi ${this.config.id}. Utilisation d’une silhouette alternative.`,
         error,
@@ -104,7 +124,7 @@ export class Enemy {
       return;
     }
 
-    const { playerPosition, onAttack } = context;
+    const { playerPosition, onAttack, navigation } = context;
     if (!playerPosition) {
       return;
     }
@@ -117,9 +137,23 @@ export class Enemy {
       this.direction.normalize();
     }
 
+    let facingTarget = playerPosition;
     if (distance > this.config.attackRange) {
-      const moveDistance = this.config.speed * delta;
-      this.group.position.addScaledVector(this.direction, moveDistance);
+      const inSight = this._updateHeading(playerPosition, navigation);
+      // Arrival: ease off while closing the last few metres so the crowd does not pile into the player.
+      const arrival = inSight
+        ? THREE.MathUtils.clamp((distance - this.config.attackRange) / ARRIVAL_RADIUS, MIN_ARRIVAL_SPEED, 1)
+        : 1;
+      if (!inSight) {
+        facingTarget = this.headingTarget.copy(this.group.position).add(this.heading);
+      }
+
+      this.velocity.copy(this.heading).add(this.steering).setY(0);
+      if (this.velocity.lengthSq() > 1) {
+        this.velocity.normalize();
+      }
+
+      this.group.position.addScaledVector(this.velocity, this.config.speed * arrival * delta);
       this._playAction('run');
     } else {
       this._playAction('attack');
@@ -129,18 +163,8 @@ export class Enemy {
       }
     }
 
-    this.lookTarget.copy(playerPosition);
-    this.lookTarget.y = this.group.position.y;
-
-    this.lookMatrix.lookAt(this.group.position, this.lookTarget, this.upVector);
-    this.targetQuaternion.setFromRotationMatrix(this.lookMatrix);
-    this.group.quaternion.slerp(this.targetQuaternion, 0.18);
-
-    if (this.mixer) {
-      this.mixer.update(delta);
-    } else if (this.model) {
-      this.model.rotation.y += delta * 0.5;
-    }
+    this._faceTowards(facingTarget);
+    this._updateModel(delta);
   }
 
   takeDamage(amount) {
@@ -160,6 +184,7 @@ export class Enemy {
   }
 
   dispose() {
+    this.isDisposed = true;
     if (this.group && this.group.parent) {
       this.group.parent.remove(this.group);
     }
@@ -184,6 +209,40 @@ export class Enemy {
     });
   }
 
+  /**
+   * Sets `heading` to the direction to move in this frame: straight at `target` while it is in
+   * sight, otherwise along the navigation route. Expects `direction` to already point at `target`.
+   * Returns whether the target is in sight.
+   */
+  _updateHeading(target, navigation) {
+    const position = this.group.position;
+    const sightRadius = this.boundingRadius * SIGHT_RADIUS_FACTOR;
+    const inSight = !navigation || navigation.hasLineOfSight(position, target, sightRadius);
+
+    if (inSight || !navigation.getRouteDirection(position, this.heading, sightRadius)) {
+      this.heading.copy(this.direction).setY(0);
+    }
+
+    return inSight;
+  }
+
+  _faceTowards(target) {
+    this.lookTarget.copy(target);
+    this.lookTarget.y = this.group.position.y;
+
+    this.lookMatrix.lookAt(this.group.position, this.lookTarget, this.upVector);
+    this.targetQuaternion.setFromRotationMatrix(this.lookMatrix);
+    this.group.quaternion.slerp(this.targetQuaternion, 0.18);
+  }
+
+  _updateModel(delta) {
+    if (this.mixer) {
+      this.mixer.update(delta);
+    } else if (this.model) {
+      this.model.rotation.y += delta * 0.5;
+    }
+  }
+
   _playAction(name) {
     if (!this.actions[name]) {
       return;
@@ -226,11 +285,12 @@ export class Enemy {
     const crownMaterial = new THREE.MeshBasicMaterial({ color: 0xff9aa6 });
     const crown = new THREE.Mesh(crownGeometry, crownMaterial);
     crown.position.y = 1.1;
-    group.add(crown);
+    group.add(enableBloom(crown));
 
     const glow = new THREE.PointLight(0xff385f, 1, 14, 2.1);
     glow.position.set(0, 0.6, 0);
     group.add(glow);
+    this.glowLight = glow;
 
     group.scale.setScalar(0.95);
 
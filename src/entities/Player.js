@@ -1,12 +1,23 @@
 import * as THREE from 'three';
+import { enableBloom } from '../core/PostProcessing.js';
 
 const DEFAULT_SPEED = 12;
 const DEFAULT_ACCELERATION = 42;
 const DEFAULT_DRAG = 14;
 const AIM_HEIGHT_OFFSET = 1.2;
+const AFTERIMAGE_INTERVAL = 0.035;
+const AFTERIMAGE_LIFETIME = 0.28;
+// Starting dash stats. Game copies them into each run's player stats, where shop upgrades change them.
+export const DEFAULT_DASH_STATS = Object.freeze({
+  charges: 1,
+  cooldown: 1.6,
+  speed: 38,
+  duration: 0.16,
+  invulnerability: 0.3,
+});
 
 export class Player {
-  constructor({ scene, assetManager, input }) {
+  constructor({ scene, assetManager, input, modifiers = null }) {
     if (!scene) {
       throw new Error('Player requiert une scène Three.js.');
     }
@@ -20,6 +31,7 @@ export class Player {
     this.scene = scene;
     this.assetManager = assetManager;
     this.input = input;
+    this.modifiers = modifiers;
 
     this.group = new THREE.Group();
     this.group.name = 'PlayerRoot';
@@ -46,7 +58,21 @@ export class Player {
 
     this.state = {
       isMoving: false,
+      isDashing: false,
     };
+
+    this.dashStats = { ...DEFAULT_DASH_STATS };
+    this.dashCharges = this.dashStats.charges;
+    this.dashRechargeTimer = 0;
+    this.dashTimer = 0;
+    this.invulnerabilityTimer = 0;
+    this.dashDirection = new THREE.Vector3();
+
+    this.afterimageGeometry = new THREE.CapsuleGeometry(0.42, 1.2, 6, 12);
+    this.afterimageGeometry.translate(0, 1.05, 0);
+    this.afterimages = [];
+    this.afterimagePool = [];
+    this.afterimageTimer = 0;
   }
 
   async init({ modelPath = 'assets/models/player.glb' } = {}) {
@@ -89,33 +115,158 @@ export class Player {
   }
 
   update(delta, context = {}) {
+    if (context.dashStats) {
+      this.dashStats = context.dashStats;
+    }
+
+    this._updateDashTimers(delta);
+
     if (context.movementLocked) {
       this.velocity.x = 0;
       this.velocity.z = 0;
       this.state.isMoving = false;
+      this.state.isDashing = false;
+      this.dashTimer = 0;
     } else {
       this._updateMovement(delta);
     }
 
     this._updateAim(context.aimPoint);
     this._updateAnimation(delta);
+    this._updateAfterimages(delta);
+  }
+
+  isInvulnerable() {
+    return this.invulnerabilityTimer > 0 || Boolean(this.modifiers?.has('invulnerable'));
+  }
+
+  getMoveSpeed() {
+    return this.modifiers ? this.modifiers.apply('moveSpeed', this.speed) : this.speed;
+  }
+
+  getDashState() {
+    const maxCharges = this.dashStats.charges;
+    return {
+      charges: this.dashCharges,
+      maxCharges,
+      progress: this.dashCharges >= maxCharges ? 1 : this.dashRechargeTimer / this.dashStats.cooldown,
+    };
+  }
+
+  /**
+   * Puts the player back at rest, facing +z, as on a fresh load. Position is left to the caller.
+   */
+  resetPose() {
+    this.velocity.set(0, 0, 0);
+    this.direction.set(0, 0, 0);
+    this.lookDirection.set(0, 0, 1);
+    this.group.quaternion.identity();
+    this.targetQuaternion.identity();
+    this.aimTarget.set(0, 0, 0);
+    this.state.isMoving = false;
+  }
+
+  resetDash() {
+    this.dashCharges = this.dashStats.charges;
+    this.dashRechargeTimer = 0;
+    this.dashTimer = 0;
+    this.invulnerabilityTimer = 0;
+    this.state.isDashing = false;
+
+    while (this.afterimages.length > 0) {
+      this._recycleAfterimage(this.afterimages.length - 1);
+    }
+  }
+
+  _updateDashTimers(delta) {
+    this.invulnerabilityTimer = Math.max(0, this.invulnerabilityTimer - delta);
+
+    if (this.dashCharges > this.dashStats.charges) {
+      this.dashCharges = this.dashStats.charges;
+    }
+
+    if (this.dashCharges < this.dashStats.charges) {
+      this.dashRechargeTimer += delta;
+      if (this.dashRechargeTimer >= this.dashStats.cooldown) {
+        this.dashRechargeTimer = 0;
+        this.dashCharges += 1;
+      }
+    } else {
+      this.dashRechargeTimer = 0;
+    }
+  }
+
+  _tryStartDash() {
+    if (this.state.isDashing || this.dashCharges <= 0) {
+      return;
+    }
+
+    if (this.direction.lengthSq() > 0) {
+      this.dashDirection.copy(this.direction);
+    } else {
+      this.dashDirection.copy(this.lookDirection);
+    }
+
+    this.dashDirection.y = 0;
+    if (this.dashDirection.lengthSq() < 0.0001) {
+      this.dashDirection.set(0, 0, 1);
+    }
+    this.dashDirection.normalize();
+
+    this.dashCharges -= 1;
+    this.dashTimer = this.dashStats.duration;
+    this.invulnerabilityTimer = Math.max(this.invulnerabilityTimer, this.dashStats.invulnerability);
+    this.afterimageTimer = 0;
+    this.state.isDashing = true;
   }
 
   _updateMovement(delta) {
     const axis = this.input.getAxis();
     this.direction.set(axis.x, 0, axis.z);
 
-    if (this.direction.lengthSq() > 0) {
+    // Analog sticks report partial tilts; the throttle scales both acceleration and top speed.
+    const throttle = Math.min(this.direction.length(), 1);
+    if (throttle > 0) {
       this.direction.normalize();
-      this.velocity.x += this.direction.x * this.acceleration * delta;
-      this.velocity.z += this.direction.z * this.acceleration * delta;
+    }
+
+    if (this.input.consumeAction('dash')) {
+      this._tryStartDash();
+    }
+
+    if (this.state.isDashing) {
+      this.dashTimer -= delta;
+      this.velocity.copy(this.dashDirection).multiplyScalar(this.dashStats.speed);
+      this.state.isMoving = true;
+
+      this.afterimageTimer -= delta;
+      if (this.afterimageTimer <= 0) {
+        this.afterimageTimer = AFTERIMAGE_INTERVAL;
+        this._spawnAfterimage();
+      }
+
+      if (this.dashTimer <= 0) {
+        this.state.isDashing = false;
+        this.velocity.setLength(this.getMoveSpeed());
+      }
+
+      this.group.position.addScaledVector(this.velocity, delta);
+      return;
+    }
+
+    // Speed buffs raise acceleration by the same ratio so the player still reaches top speed quickly.
+    const moveSpeed = this.getMoveSpeed();
+    const acceleration = this.acceleration * (moveSpeed / this.speed);
+    if (this.direction.lengthSq() > 0) {
+      this.velocity.x += this.direction.x * acceleration * throttle * delta;
+      this.velocity.z += this.direction.z * acceleration * throttle * delta;
       this.state.isMoving = true;
     } else {
       this.state.isMoving = this.velocity.lengthSq() > 0.0001;
     }
 
     const speed = this.velocity.length();
-    const maxSpeed = this.speed;
+    const maxSpeed = throttle > 0 ? moveSpeed * throttle : moveSpeed;
     if (speed > maxSpeed) {
       this.velocity.multiplyScalar(maxSpeed / speed);
     }
@@ -166,6 +317,53 @@ export class Player {
     }
   }
 
+  _spawnAfterimage() {
+    const mesh =
+      this.afterimagePool.pop() ??
+      new THREE.Mesh(
+        this.afterimageGeometry,
+        new THREE.MeshBasicMaterial({
+          color: 0x8ea6ff,
+          transparent: true,
+          opacity: 0.45,
+          blending: THREE.AdditiveBlending,
+          depthWrite: false,
+        }),
+      );
+
+    mesh.position.copy(this.group.position);
+    mesh.quaternion.copy(this.group.quaternion);
+    mesh.material.opacity = 0.45;
+    mesh.userData.age = 0;
+    this.scene.add(mesh);
+    this.afterimages.push(mesh);
+  }
+
+  _updateAfterimages(delta) {
+    for (let i = this.afterimages.length - 1; i >= 0; i -= 1) {
+      const mesh = this.afterimages[i];
+      mesh.userData.age += delta;
+
+      const remaining = 1 - mesh.userData.age / AFTERIMAGE_LIFETIME;
+      if (remaining <= 0) {
+        this._recycleAfterimage(i);
+        continue;
+      }
+
+      mesh.material.opacity = 0.45 * remaining;
+    }
+  }
+
+  _recycleAfterimage(index) {
+    const mesh = this.afterimages[index];
+    if (mesh.parent) {
+      mesh.parent.remove(mesh);
+    }
+
+    this.afterimages.splice(index, 1);
+    this.afterimagePool.push(mesh);
+  }
+
   _playAction(actionName) {
     if (!this.actions[actionName]) {
       return;
@@ -231,7 +429,7 @@ export class Player {
     const halo = new THREE.Mesh(haloGeometry, haloMaterial);
     halo.position.y = 3.8;
     halo.rotation.x = Math.PI / 2;
-    root.add(halo);
+    root.add(enableBloom(halo));
 
     const accentMaterial = new THREE.MeshStandardMaterial({
       color: 0xff8abf,
@@ -243,7 +441,7 @@ export class Player {
     const accentGeometry = new THREE.SphereGeometry(0.35, 32, 32);
     const accent = new THREE.Mesh(accentGeometry, accentMaterial);
     accent.position.set(0, 2.25, 0.55);
-    root.add(accent);
+    root.add(enableBloom(accent));
 
     const glow = new THREE.PointLight(0x6686ff, 0.9, 18, 2.2);
     glow.position.set(0, 2.2, 0.35);
@@ -0,0 +1,207 @@
+import * as THREE from 'three';
+import { Enemy } from './Enemy.js';
+
+const MUZZLE_HEIGHT = 1.2;
+const STRAFE_SWITCH_MIN = 1.4;
+const STRAFE_SWITCH_MAX = 3.2;
+const LASER_LOCK_TIME = 0.3;
+
+export class RangedEnemy extends Enemy {
+  constructor(options) {
+    super(options);
+
+    this.config = {
+      preferredRange: 14,
+      rangeTolerance: 3,
+      fireRange: 24,
+      strafeSpeed: 0.6,
+      aimTime: 0,
+      spread: 0,
+      projectile: { speed: 16, damage: 8, maxDistance: 30, scale: 1.6, color: 0x9dff5c },
+      ...this.config,
+    };
+
+    this.strafeSign = this.random.chance(0.5) ? -1 : 1;
+    this.strafeTimer = this.random.range(STRAFE_SWITCH_MIN, STRAFE_SWITCH_MAX);
+    this.aimTimer = 0;
+    this.isAiming = false;
+    // Stagger the first shot so a freshly spawned group does not fire in unison.
+    this.timeSinceLastAttack = this.random.range(0, this.config.attackCooldown * 0.5);
+
+    this.muzzlePosition = new THREE.Vector3();
+    this.aimDirection = new THREE.Vector3();
+    this.strafeDirection = new THREE.Vector3();
+    this.shotDirection = new THREE.Vector3();
+    this.shotAxis = new THREE.Vector3(0, 1, 0);
+
+    this.laser = this.config.aimTime > 0 ? this._createLaser() : null;
+  }
+
+  async init() {
+    // Added before the model loads: the enemy may already be firing, or gone, by the time it arrives.
+    if (this.laser) {
+      this.scene.add(this.laser);
+    }
+    await super.init();
+  }
+
+  update(delta, context = {}) {
+    const { playerPosition, navigation } = context;
+    if (!this.isAlive || !playerPosition) {
+      this._setLaserVisible(false);
+      super.update(delta, context);
+      return;
+    }
+
+    this.timeSinceLastAttack += delta;
+    this.direction.subVectors(playerPosition, this.group.position).setY(0);
+    const distance = this.direction.length();
+    if (distance > 0.0001) {
+      this.direction.divideScalar(distance);
+    }
+
+    this.muzzlePosition.copy(this.group.position);
+    this.muzzlePosition.y += MUZZLE_HEIGHT * this.config.scale;
+
+    let facingTarget = playerPosition;
+    if (this.isAiming) {
+      this._updateAiming(delta, distance, context);
+    } else {
+      const inSight = this._updateHeading(playerPosition, navigation);
+      this._updateMovement(delta, distance, inSight);
+      if (!inSight) {
+        facingTarget = this.headingTarget.copy(this.group.position).add(this.heading);
+      } else if (this.timeSinceLastAttack >= this.config.attackCooldown && distance <= this.config.fireRange) {
+        this._beginAttack(distance, context);
+      }
+    }
+
+    this._faceTowards(facingTarget);
+    this._updateModel(delta);
+  }
+
+  dispose() {
+    super.dispose();
+
+    if (this.laser) {
+      this.laser.parent?.remove(this.laser);
+      this.laser.geometry.dispose();
+      this.laser.material.dispose();
+    }
+  }
+
+  _updateMovement(delta, distance, inSight) {
+    const { preferredRange, rangeTolerance, strafeSpeed, speed } = this.config;
+
+    this.strafeTimer -= delta;
+    if (this.strafeTimer <= 0) {
+      this.strafeSign *= -1;
+      this.strafeTimer = this.random.range(STRAFE_SWITCH_MIN, STRAFE_SWITCH_MAX);
+    }
+
+    let approach = 0;
+    if (distance > preferredRange + rangeTolerance) {
+      approach = 1;
+    } else if (distance < preferredRange - rangeTolerance) {
+      approach = -1;
+    }
+
+    if (inSight) {
+      // Circle around the player while holding range, drifting back in or out when pushed off it.
+      this.strafeDirection.set(-this.direction.z, 0, this.direction.x).multiplyScalar(this.strafeSign * strafeSpeed);
+      this.velocity.copy(this.direction).multiplyScalar(approach).add(this.strafeDirection).add(this.steering);
+    } else {
+      // No clear shot: follow the route until the player comes back into view.
+      this.velocity.copy(this.heading).add(this.steering);
+    }
+
+    if (this.velocity.lengthSq() > 1) {
+      this.velocity.normalize();
+    }
+
+    this.group.position.addScaledVector(this.velocity, speed * delta);
+    this._playAction(this.velocity.lengthSq() > 0.01 ? 'run' : 'idle');
+  }
+
+  _beginAttack(distance, context) {
+    if (this.config.aimTime > 0) {
+      this.isAiming = true;
+      this.aimTimer = this.config.aimTime;
+      this.aimDirection.copy(this.direction);
+      this._playAction('idle');
+      return;
+    }
+
+    this._fire(this.direction, context);
+  }
+
+  _updateAiming(delta, distance, context) {
+    this.aimTimer -= delta;
+
+    // The laser tracks the player until just before the shot, then locks so the shot can be dodged.
+    if (this.aimTimer > LASER_LOCK_TIME) {
+      this.aimDirection.copy(this.direction);
+    }
+
+    const progress = 1 - Math.max(0, this.aimTimer) / this.config.aimTime;
+    this._updateLaser(progress);
+
+    if (this.aimTimer <= 0) {
+      this.isAiming = false;
+      this._setLaserVisible(false);
+      this._fire(this.aimDirection, context);
+    }
+  }
+
+  _fire(direction, context) {
+    this.timeSinceLastAttack = 0;
+    this._playAction('attack');
+
+    this.shotDirection.copy(direction);
+    if (this.config.spread > 0) {
+      this.shotDirection.applyAxisAngle(this.shotAxis, this.random.spread(this.config.spread));
+    }
+
+    context.onFire?.(this, {
+      ...this.config.projectile,
+      position: this.muzzlePosition,
+      direction: this.shotDirection,
+    });
+  }
+
+  _createLaser() {
+    const geometry = new THREE.CylinderGeometry(0.035, 0.035, 1, 6, 1, true);
+    geometry.translate(0, 0.5, 0);
+    const material = new THREE.MeshBasicMaterial({
+      color: this.config.projectile?.color ?? 0xff2d55,
+      transparent: true,
+      opacity: 0,
+      depthWrite: false,
+      blending: THREE.AdditiveBlending,
+    });
+
+    const laser = new THREE.Mesh(geometry, material);
+    laser.visible = false;
+    return laser;
+  }
+
+  _updateLaser(progress) {
+    if (!this.laser) {
+      return;
+    }
+
+    this.laser.visible = true;
+    this.laser.position.copy(this.muzzlePosition);
+    this.laser.quaternion.setFromUnitVectors(this.shotAxis, this.aimDirection);
+    this.laser.scale.set(1 + progress, this.config.fireRange, 1 + progress);
+
+    const isLocked = this.aimTimer <= LASER_LOCK_TIME;
+    this.laser.material.opacity = isLocked ? 0.95 : 0.25 + 0.35 * progress;
+  }
+
+  _setLaserVisible(isVisible) {
+    if (this.laser) {
+      this.laser.visible = isVisible;
+    }
+  }
+}
@@ -1,20 +1,69 @@
-import { Game } from './core/Game.js';
+import { Game, TICK_RATE } from './core/Game.js';
+import { GameState } from './core/GameStateMachine.js';
+import { Leaderboard } from './core/Leaderboard.js';
+import { parseReplay, serializeReplay } from './core/Replay.js';
+import { ControlsMenuController } from './ui/ControlsMenuController.js';
+import { downloadTextFile } from './ui/files.js';
+import { formatTime } from './ui/format.js';
+import { LeaderboardController } from './ui/LeaderboardController.js';
 
 const container = document.getElementById('app');
 const statusOverlay = document.getElementById('status-overlay');
 const statusTitle = document.getElementById('status-title');
 const statusDescription = document.getElementById('status-description');
 const startButton = document.getElementById('start-game');
+const pauseOverlay = document.getElementById('pause-overlay');
+const resumeButton = document.getElementById('resume-game');
+const quitButton = document.getElementById('quit-game');
+const pauseHint = document.getElementById('pause-hint');
+const openControlsButton = document.getElementById('open-controls');
+const pauseControlsButton = document.getElementById('pause-controls');
+const openScoresButton = document.getElementById('open-scores');
+const volumeSliders = document.querySelectorAll('[data-volume-channel]');
+const cameraSliders = document.querySelectorAll('[data-camera-effect]');
+const settingsInputs = document.querySelectorAll('.settings__slider, .settings__select');
+const graphicsPresetSelect = document.getElementById('graphics-preset');
+const adaptiveResolutionToggle = document.getElementById('adaptive-resolution');
+const targetFpsSelect = document.getElementById('target-fps');
+const postProcessingToggle = document.getElementById('post-processing-toggle');
+const antialiasSelect = document.getElementById('antialias-mode');
+const replayDownloadButton = document.getElementById('replay-download');
+const pauseReplayDownloadButton = document.getElementById('pause-replay-download');
+const replayLoadButton = document.getElementById('replay-load');
+const replayFileInput = document.getElementById('replay-file');
+const replayStatus = document.getElementById('replay-status');
 
 const game = new Game({ container });
+const bindings = game.inputBindings;
+const controlsMenu = new ControlsMenuController({ bindings });
+const leaderboardController = new LeaderboardController({ leaderboard: new Leaderboard() });
+let initFailed = false;
 
-const formatTime = (seconds) => {
-  const totalSeconds = Math.max(0, Math.floor(seconds));
-  const minutes = Math.floor(totalSeconds / 60)
-    .toString()
-    .padStart(2, '0');
-  const secs = (totalSeconds % 60).toString().padStart(2, '0');
-  return `${minutes}:${secs}`;
+const describeControls = () => {
+  if (game.inputManager.isTouchMode()) {
+    return 'Pouce gauche pour bouger · Pouce droit pour viser et tirer · Boutons pour la ruée, le rechargement et l’arme suivante';
+  }
+
+  const label = (action) => bindings.getActionLabel(action, { separator: ' ou ' });
+  const firstKey = (action) => bindings.getActionLabel(action, { limit: 1 });
+  const movement = ['moveForward', 'moveLeft', 'moveBackward', 'moveRight'].map(firstKey).join('');
+
+  const gamepadHint = game.inputManager.hasGamepad()
+    ? ['Manette : stick gauche pour bouger, stick droit pour viser, gâchettes pour tirer']
+    : [];
+
+  return [
+    `${movement} pour bouger`,
+    'Souris pour viser',
+    `${label('fire')} pour tirer`,
+    `${label('altFire')} pour le tir secondaire`,
+    `${label('reload')} pour recharger`,
+    `${label('dash')} pour la ruée`,
+    `${label('weaponNext')} / ${label('weaponPrevious')} pour changer d’arme`,
+    `${firstKey('zoomIn')} / ${firstKey('zoomOut')} pour zoomer`,
+    `${firstKey('pause')} pour la pause`,
+    ...gamepadHint,
+  ].join(' · ');
 };
 
 const showStatusOverlay = (title, description, options = {}) => {
@@ -27,6 +76,16 @@ const showStatusOverlay = (title, description, options = {}) => {
   if (options.buttonLabel && startButton) {
     startButton.textContent = options.buttonLabel;
   }
+  if (startButton) {
+    startButton.hidden = Boolean(options.hideButton);
+  }
+  if (replayLoadButton) {
+    replayLoadButton.hidden = Boolean(options.hideButton);
+  }
+  if (replayDownloadButton) {
+    replayDownloadButton.hidden = options.hideButton || !game.getRecordedReplay();
+  }
+  setReplayStatus('');
   statusOverlay.classList.remove('overlay--hidden');
 };
 
@@ -38,33 +97,179 @@ const hideStatusOverlay = () => {
   statusOverlay.classList.add('overlay--hidden');
 };
 
-game
-  .init()
-  .then(() => {
-    showStatusOverlay('Prêt à jouer', 'ZQSD / WASD pour bouger · Souris pour viser · Clic gauche pour tirer', {
-      buttonLabel: 'Lancer la partie',
-    });
-
-    if (startButton) {
-      startButton.addEventListener('click', () => {
-        hideStatusOverlay();
-        game.start();
-      });
-    } else {
-      game.start();
-    }
-  })
-  .catch((error) => {
-    console.error('Échec de l’initialisation du jeu :', error);
-    showStatusOverlay(
-      'Erreur de chargement',
-      'Impossible de démarrer le jeu. Vérifie la console pour plus de détails.',
-      { buttonLabel: 'Réessayer' },
-    );
-  });
+const setOverlayVisible = (overlay, isVisible) => {
+  overlay?.classList.toggle('overlay--hidden', !isVisible);
+};
+
+const setReplayStatus = (message) => {
+  if (replayStatus) {
+    replayStatus.textContent = message;
+  }
+};
+
+const downloadReplay = () => {
+  const replay = game.getRecordedReplay();
+  if (!replay) {
+    return;
+  }
+
+  // e.g. rediffusion-2024-05-01-21-37.json
+  const stamp = replay.recordedAt.slice(0, 16).replace(/[T:]/g, '-');
+  downloadTextFile(`rediffusion-${stamp}.json`, serializeReplay(replay));
+};
+
+const loadReplayFile = async () => {
+  const file = replayFileInput.files?.[0];
+  // Clear the input so loading the same file twice still fires `change`.
+  replayFileInput.value = '';
+  if (!file) {
+    return;
+  }
+
+  try {
+    game.playReplay(parseReplay(await file.text(), { tickRate: TICK_RATE }));
+  } catch (error) {
+    console.warn(error);
+    const [title, firstProblem] = error.message.split('\n- ');
+    setReplayStatus(firstProblem ? `${title} ${firstProblem}` : title);
+  }
+};
+
+game.onStateEnter(GameState.LOADING, () => {
+  showStatusOverlay('Chargement…', 'Préparation de l’arène', { hideButton: true });
+});
+
+game.onStateEnter(GameState.MENU, () => {
+  if (!startButton) {
+    game.start();
+    return;
+  }
+
+  showStatusOverlay('Prêt à jouer', describeControls(), { buttonLabel: 'Lancer la partie' });
+});
+game.onStateExit(GameState.MENU, hideStatusOverlay);
+
+game.onStateEnter(GameState.PAUSED, () => {
+  if (pauseHint) {
+    pauseHint.textContent = `${bindings.getActionLabel('pause', { limit: 1 })} pour reprendre`;
+  }
+  if (pauseReplayDownloadButton) {
+    pauseReplayDownloadButton.hidden = game.isReplaying() || !game.getRecordedReplay();
+  }
+  setOverlayVisible(pauseOverlay, true);
+});
+game.onStateExit(GameState.PAUSED, () => {
+  controlsMenu.close();
+  setOverlayVisible(pauseOverlay, false);
+});
+
+game.onStateEnter(GameState.GAME_OVER, ({ payload }) => {
+  const { score = 0, wave = 1, wavesCleared = 0, timeSurvived = 0, weapon, isReplay = false } = payload;
+  // A replay stays on screen with its playback bar, so it can be rewound; it never enters the leaderboard.
+  if (isReplay) {
+    return;
+  }
 
-window.addEventListener('game:over', (event) => {
-  const { score = 0, wavesCleared = 0, timeSurvived = 0 } = event.detail || {};
   const summary = `Score ${score} · Vagues ${wavesCleared} · Temps ${formatTime(timeSurvived)}`;
+  leaderboardController.showRun({ score, wave, timeSurvived, weapon });
   showStatusOverlay('Combat terminé', summary, { buttonLabel: 'Rejouer' });
 });
+game.onStateExit(GameState.GAME_OVER, () => {
+  leaderboardController.hideRun();
+  hideStatusOverlay();
+});
+
+startButton?.addEventListener('click', () => {
+  if (initFailed) {
+    window.location.reload();
+    return;
+  }
+
+  game.start();
+});
+resumeButton?.addEventListener('click', () => game.resume());
+quitButton?.addEventListener('click', () => game.quitToMenu());
+openControlsButton?.addEventListener('click', () => controlsMenu.open());
+pauseControlsButton?.addEventListener('click', () => controlsMenu.open());
+openScoresButton?.addEventListener('click', () => leaderboardController.open());
+replayDownloadButton?.addEventListener('click', downloadReplay);
+pauseReplayDownloadButton?.addEventListener('click', downloadReplay);
+replayLoadButton?.addEventListener('click', () => replayFileInput?.click());
+replayFileInput?.addEventListener('change', loadReplayFile);
+
+volumeSliders.forEach((slider) => {
+  const { volumeChannel } = slider.dataset;
+  slider.value = `${game.audio.getVolume(volumeChannel)}`;
+  slider.addEventListener('input', () => game.audio.setVolume(volumeChannel, Number(slider.value)));
+});
+cameraSliders.forEach((slider) => {
+  const { cameraEffect } = slider.dataset;
+  slider.value = `${game.cameraRig.getIntensity(cameraEffect)}`;
+  slider.addEventListener('input', () => game.cameraRig.setIntensity(cameraEffect, Number(slider.value)));
+});
+const syncGraphicsControls = () => {
+  const { graphics, postProcessing } = game;
+  if (graphicsPresetSelect) {
+    graphicsPresetSelect.value = graphics.presetId;
+  }
+  if (adaptiveResolutionToggle) {
+    adaptiveResolutionToggle.checked = graphics.adaptive;
+  }
+  if (targetFpsSelect) {
+    targetFpsSelect.value = `${graphics.targetFps}`;
+    targetFpsSelect.disabled = !graphics.adaptive;
+  }
+  if (postProcessingToggle) {
+    postProcessingToggle.checked = postProcessing.isEnabled();
+  }
+  if (antialiasSelect) {
+    antialiasSelect.value = postProcessing.getAntialias();
+    antialiasSelect.disabled = !postProcessing.isEnabled();
+  }
+};
+game.graphics.addListener(syncGraphicsControls);
+graphicsPresetSelect?.addEventListener('change', () => game.graphics.setPreset(graphicsPresetSelect.value));
+adaptiveResolutionToggle?.addEventListener('change', () => game.graphics.setAdaptive(adaptiveResolutionToggle.checked));
+targetFpsSelect?.addEventListener('change', () => game.graphics.setTargetFps(Number(targetFpsSelect.value)));
+postProcessingToggle?.addEventListener('change', () => {
+  game.postProcessing.setEnabled(postProcessingToggle.checked);
+  syncGraphicsControls();
+});
+antialiasSelect?.addEventListener('change', () => game.postProcessing.setAntialias(antialiasSelect.value));
+syncGraphicsControls();
+settingsInputs.forEach((input) => {
+  // Arrow keys adjust the setting; they must not also reach the game's input bindings.
+  input.addEventListener('keydown', (event) => {
+    if (event.key.startsWith('Arrow')) {
+      event.stopPropagation();
+    }
+  });
+});
+document.addEventListener('click', (event) => {
+  if (event.target.closest('.btn')) {
+    game.audio.play('uiClick');
+  }
+});
+
+const refreshMenuControls = () => {
+  if (game.stateMachine.is(GameState.MENU) && statusDescription) {
+    statusDescription.textContent = describeControls();
+  }
+};
+bindings.addListener(refreshMenuControls);
+game.inputManager.addListener(({ type }) => {
+  if (type === 'gamepadconnected' || type === 'gamepaddisconnected') {
+    refreshMenuControls();
+  }
+});
+bindings.detectLayout();
+
+game.init().catch((error) => {
+  initFailed = true;
+  console.error('Échec de l’initialisation du jeu :', error);
+  showStatusOverlay(
+    'Erreur de chargement',
+    'Impossible de démarrer le jeu. Vérifie la console pour plus de détails.',
+    { buttonLabel: 'Réessayer' },
+  );
+});
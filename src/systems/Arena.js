@@ -0,0 +1,457 @@
+import * as THREE from 'three';
+import { Validator } from '../core/Validator.js';
+
+export const ARENA_LAYOUT_VERSION = 1;
+export const OBSTACLE_KINDS = ['wall', 'cover', 'pillar'];
+
+const DEFAULT_HEIGHTS = { wall: 4, cover: 1.6, pillar: 6 };
+const BOUNDARY_THICKNESS = 2;
+const BOUNDARY_HEIGHT = 4;
+const TRIM_HEIGHT = 0.08;
+const OPEN_POSITION_SEARCH_RADIUS = 24;
+const OPEN_POSITION_SAMPLES = 16;
+const INVALID_LAYOUT_TITLE = 'Arènes invalides';
+const EPSILON = 1e-6;
+
+const parseObstacle = (validator, obstacle, path, { halfWidth, halfDepth }) => {
+  if (!validator.object(obstacle, path)) {
+    return null;
+  }
+
+  const kind = validator.oneOf(obstacle.kind, `${path}.kind`, OBSTACLE_KINDS);
+  const isPillar = kind === 'pillar';
+  validator.unknownKeys(obstacle, path, ['kind', 'x', 'z', 'height', ...(isPillar ? ['radius'] : ['width', 'depth'])]);
+
+  const x = validator.number(obstacle.x, `${path}.x`);
+  const z = validator.number(obstacle.z, `${path}.z`);
+  const height = validator.number(obstacle.height, `${path}.height`, {
+    fallback: DEFAULT_HEIGHTS[kind],
+    min: 0,
+    exclusiveMin: true,
+  });
+
+  const size = (key) => validator.number(obstacle[key], `${path}.${key}`, { min: 0, exclusiveMin: true });
+  const parsed = isPillar
+    ? { kind, shape: 'circle', x, z, height, radius: size('radius') }
+    : { kind, shape: 'box', x, z, height, halfWidth: size('width') / 2, halfDepth: size('depth') / 2 };
+
+  const extentX = isPillar ? parsed.radius : parsed.halfWidth;
+  const extentZ = isPillar ? parsed.radius : parsed.halfDepth;
+  if (Math.abs(x) + extentX > halfWidth || Math.abs(z) + extentZ > halfDepth) {
+    validator.fail(path, 'sort des limites de l’arène');
+  }
+
+  return parsed;
+};
+
+const parseLayout = (validator, layout, path) => {
+  if (!validator.object(layout, path)) {
+    return null;
+  }
+
+  validator.unknownKeys(layout, path, ['name', 'width', 'depth', 'obstacles']);
+
+  const width = validator.number(layout.width, `${path}.width`, { min: 10 });
+  const depth = validator.number(layout.depth, `${path}.depth`, { min: 10 });
+  const bounds = { halfWidth: width / 2, halfDepth: depth / 2 };
+
+  const rawObstacles = layout.obstacles ?? [];
+  if (!Array.isArray(rawObstacles)) {
+    validator.fail(`${path}.obstacles`, 'liste d’obstacles attendue');
+  }
+
+  return {
+    name: validator.string(layout.name, `${path}.name`),
+    ...bounds,
+    obstacles: (Array.isArray(rawObstacles) ? rawObstacles : [])
+      .map((obstacle, index) => parseObstacle(validator, obstacle, `${path}.obstacles[${index}]`, bounds))
+      .filter(Boolean),
+  };
+};
+
+/**
+ * Validates the arena layout file. Returns every layout keyed by id along with the id of the
+ * default one; throws a single error listing each problem with its JSON path.
+ */
+export const parseArenaLayouts = (data) => {
+  const validator = new Validator();
+
+  if (!validator.object(data, 'racine')) {
+    validator.assertValid(INVALID_LAYOUT_TITLE);
+  }
+
+  validator.unknownKeys(data, 'racine', ['version', 'default', 'arenas']);
+
+  if (data.version !== ARENA_LAYOUT_VERSION) {
+    validator.fail('version', `version ${ARENA_LAYOUT_VERSION} attendue, reçu ${JSON.stringify(data.version)}`);
+  }
+
+  const arenas = {};
+  if (validator.object(data.arenas, 'arenas')) {
+    Object.entries(data.arenas).forEach(([id, layout]) => {
+      const parsed = parseLayout(validator, layout, `arenas.${id}`);
+      if (parsed) {
+        arenas[id] = { id, ...parsed };
+      }
+    });
+  }
+
+  const ids = Object.keys(arenas);
+  if (ids.length === 0) {
+    validator.fail('arenas', 'au moins une arène attendue');
+  }
+  const defaultArena = validator.oneOf(data.default, 'default', ids, ids[0]);
+
+  validator.assertValid(INVALID_LAYOUT_TITLE);
+  return { arenas, defaultArena };
+};
+
+/**
+ * Static arena geometry on the XZ plane: obstacles plus hard bounds. Walls around the edge are
+ * regular box obstacles, so collisions and ray casts treat them like any other wall.
+ */
+export class Arena {
+  constructor({ scene, layout }) {
+    if (!scene) {
+      throw new Error('Arena requiert une scène Three.js.');
+    }
+    if (!layout) {
+      throw new Error('Arena requiert une disposition valide.');
+    }
+
+    this.scene = scene;
+    this.id = layout.id;
+    this.name = layout.name;
+    this.halfWidth = layout.halfWidth;
+    this.halfDepth = layout.halfDepth;
+    this.obstacles = [...layout.obstacles, ...this._createBoundaryWalls()];
+
+    this.group = null;
+    this.geometries = [];
+    this.materials = [];
+  }
+
+  build() {
+    this.group = new THREE.Group();
+    this.group.name = `Arena_${this.id}`;
+
+    const boxGeometry = new THREE.BoxGeometry(1, 1, 1);
+    boxGeometry.translate(0, 0.5, 0);
+    const cylinderGeometry = new THREE.CylinderGeometry(1, 1, 1, 24);
+    cylinderGeometry.translate(0, 0.5, 0);
+    this.geometries.push(boxGeometry, cylinderGeometry);
+
+    const materials = {
+      wall: this._createMaterial({ color: 0x1b2133, emissive: 0x2b3566, emissiveIntensity: 0.35 }),
+      cover: this._createMaterial({ color: 0x231d33, emissive: 0x4a2bb8, emissiveIntensity: 0.3 }),
+      pillar: this._createMaterial({ color: 0x1e2438, emissive: 0x24407a, emissiveIntensity: 0.4 }),
+    };
+    const trims = {
+      wall: new THREE.MeshBasicMaterial({ color: 0x6c7dff }),
+      cover: new THREE.MeshBasicMaterial({ color: 0xff6bd5 }),
+      pillar: new THREE.MeshBasicMaterial({ color: 0x4de0ff }),
+    };
+    this.materials.push(...Object.values(materials), ...Object.values(trims));
+
+    this.obstacles.forEach((obstacle) => {
+      const look = obstacle.kind === 'boundary' ? 'wall' : obstacle.kind;
+      const isCircle = obstacle.shape === 'circle';
+      const geometry = isCircle ? cylinderGeometry : boxGeometry;
+      const sizeX = isCircle ? obstacle.radius : obstacle.halfWidth * 2;
+      const sizeZ = isCircle ? obstacle.radius : obstacle.halfDepth * 2;
+
+      const mesh = new THREE.Mesh(geometry, materials[look]);
+      mesh.position.set(obstacle.x, 0, obstacle.z);
+      mesh.scale.set(sizeX, obstacle.height, sizeZ);
+      mesh.castShadow = true;
+      mesh.receiveShadow = true;
+
+      const trim = new THREE.Mesh(geometry, trims[look]);
+      trim.position.set(obstacle.x, obstacle.height, obstacle.z);
+      trim.scale.set(sizeX + 0.04, TRIM_HEIGHT, sizeZ + 0.04);
+
+      this.group.add(mesh, trim);
+    });
+
+    this.scene.add(this.group);
+    return this.group;
+  }
+
+  dispose() {
+    this.group?.parent?.remove(this.group);
+    this.group = null;
+    this.geometries.forEach((geometry) => geometry.dispose());
+    this.materials.forEach((material) => material.dispose());
+    this.geometries = [];
+    this.materials = [];
+  }
+
+  isInside(x, z, margin = 0) {
+    return Math.abs(x) <= this.halfWidth - margin && Math.abs(z) <= this.halfDepth - margin;
+  }
+
+  /**
+   * True when a circle of `clearance` radius at (x, z) would overlap an obstacle or leave the
+   * arena.
+   */
+  isBlocked(x, z, clearance = 0) {
+    if (!this.isInside(x, z, clearance)) {
+      return true;
+    }
+
+    return this.obstacles.some((obstacle) => {
+      if (obstacle.shape === 'circle') {
+        const reach = obstacle.radius + clearance;
+        return (x - obstacle.x) ** 2 + (z - obstacle.z) ** 2 < reach * reach;
+      }
+
+      const dx = Math.max(Math.abs(x - obstacle.x) - obstacle.halfWidth, 0);
+      const dz = Math.max(Math.abs(z - obstacle.z) - obstacle.halfDepth, 0);
+      return dx * dx + dz * dz < clearance * clearance;
+    });
+  }
+
+  /**
+   * Pushes a circle out of every obstacle it overlaps, then clamps it inside the bounds. Mutates
+   * `position` (only x and z) and returns whether anything was corrected.
+   */
+  resolveCircle(position, radius) {
+    let corrected = false;
+
+    this.obstacles.forEach((obstacle) => {
+      if (obstacle.shape === 'circle') {
+        corrected = this._pushOutOfCircle(position, radius, obstacle) || corrected;
+      } else {
+        corrected = this._pushOutOfBox(position, radius, obstacle) || corrected;
+      }
+    });
+
+    const limitX = Math.max(0, this.halfWidth - radius);
+    const limitZ = Math.max(0, this.halfDepth - radius);
+    const clampedX = THREE.MathUtils.clamp(position.x, -limitX, limitX);
+    const clampedZ = THREE.MathUtils.clamp(position.z, -limitZ, limitZ);
+    if (clampedX !== position.x || clampedZ !== position.z) {
+      position.x = clampedX;
+      position.z = clampedZ;
+      corrected = true;
+    }
+
+    return corrected;
+  }
+
+  /**
+   * Like {@link Arena#resolveCircle}, but first sweeps the step from `previous` so fast movers such
+   * as a dashing player stop at a thin wall instead of popping out on its far side.
+   */
+  constrainMovement(previous, position, radius) {
+    const stepX = position.x - previous.x;
+    const stepZ = position.z - previous.z;
+    if (stepX * stepX + stepZ * stepZ > radius * radius * 0.25) {
+      // A slightly thinner sweep keeps a body already resting against a wall free to slide along it.
+      const hit = this.raycast(previous, position, { radius: radius * 0.9 });
+      if (hit !== null) {
+        position.x = previous.x + stepX * hit;
+        position.z = previous.z + stepZ * hit;
+      }
+    }
+
+    return this.resolveCircle(position, radius);
+  }
+
+  /**
+   * Sweeps a circle of `radius` along the segment `from` → `to` and returns the fraction of the
+   * segment travelled before the first obstacle, or `null` when the path is clear. The segment's
+   * height is taken into account, so a lobbed shot can clear low cover.
+   */
+  raycast(from, to, { radius = 0 } = {}) {
+    const dx = to.x - from.x;
+    const dz = to.z - from.z;
+    let nearest = null;
+
+    this.obstacles.forEach((obstacle) => {
+      const hit =
+        obstacle.shape === 'circle'
+          ? this._intersectCircle(from.x, from.z, dx, dz, obstacle.radius + radius, obstacle)
+          : this._intersectBox(from.x, from.z, dx, dz, radius, obstacle);
+
+      if (hit === null || (nearest !== null && hit >= nearest)) {
+        return;
+      }
+
+      const y = from.y + (to.y - from.y) * hit;
+      if (y <= obstacle.height) {
+        nearest = hit;
+      }
+    });
+
+    return nearest;
+  }
+
+  hasLineOfSight(from, to, radius = 0) {
+    return this.raycast(from, to, { radius }) === null;
+  }
+
+  /**
+   * Moves `position` to the nearest spot where a body of `radius` fits, searching outwards in
+   * rings. Used for spawns, which are computed without knowing the layout.
+   */
+  findOpenPosition(position, radius) {
+    const limitX = Math.max(0, this.halfWidth - radius);
+    const limitZ = Math.max(0, this.halfDepth - radius);
+    position.x = THREE.MathUtils.clamp(position.x, -limitX, limitX);
+    position.z = THREE.MathUtils.clamp(position.z, -limitZ, limitZ);
+
+    if (!this.isBlocked(position.x, position.z, radius)) {
+      return position;
+    }
+
+    for (let distance = 1; distance <= OPEN_POSITION_SEARCH_RADIUS; distance += 1) {
+      for (let sample = 0; sample < OPEN_POSITION_SAMPLES; sample += 1) {
+        const angle = (sample / OPEN_POSITION_SAMPLES) * Math.PI * 2;
+        const x = position.x + Math.cos(angle) * distance;
+        const z = position.z + Math.sin(angle) * distance;
+        if (!this.isBlocked(x, z, radius)) {
+          position.x = x;
+          position.z = z;
+          return position;
+        }
+      }
+    }
+
+    return position;
+  }
+
+  _createBoundaryWalls() {
+    const { halfWidth, halfDepth } = this;
+    const offset = BOUNDARY_THICKNESS / 2;
+    const base = { kind: 'boundary', shape: 'box', height: BOUNDARY_HEIGHT };
+
+    return [
+      { ...base, x: 0, z: -halfDepth - offset, halfWidth: halfWidth + BOUNDARY_THICKNESS, halfDepth: offset },
+      { ...base, x: 0, z: halfDepth + offset, halfWidth: halfWidth + BOUNDARY_THICKNESS, halfDepth: offset },
+      { ...base, x: -halfWidth - offset, z: 0, halfWidth: offset, halfDepth },
+      { ...base, x: halfWidth + offset, z: 0, halfWidth: offset, halfDepth },
+    ];
+  }
+
+  _pushOutOfCircle(position, radius, obstacle) {
+    const dx = position.x - obstacle.x;
+    const dz = position.z - obstacle.z;
+    const minDistance = obstacle.radius + radius;
+    const distanceSq = dx * dx + dz * dz;
+    if (distanceSq >= minDistance * minDistance) {
+      return false;
+    }
+
+    const distance = Math.sqrt(distanceSq);
+    if (distance < EPSILON) {
+      position.x = obstacle.x + minDistance;
+      return true;
+    }
+
+    position.x = obstacle.x + (dx / distance) * minDistance;
+    position.z = obstacle.z + (dz / distance) * minDistance;
+    return true;
+  }
+
+  _pushOutOfBox(position, radius, obstacle) {
+    const localX = position.x - obstacle.x;
+    const localZ = position.z - obstacle.z;
+    const closestX = THREE.MathUtils.clamp(localX, -obstacle.halfWidth, obstacle.halfWidth);
+    const closestZ = THREE.MathUtils.clamp(localZ, -obstacle.halfDepth, obstacle.halfDepth);
+    const dx = localX - closestX;
+    const dz = localZ - closestZ;
+    const distanceSq = dx * dx + dz * dz;
+
+    if (distanceSq >= radius * radius) {
+      return false;
+    }
+
+    if (distanceSq > EPSILON) {
+      const distance = Math.sqrt(distanceSq);
+      position.x = obstacle.x + closestX + (dx / distance) * radius;
+      position.z = obstacle.z + closestZ + (dz / distance) * radius;
+      return true;
+    }
+
+    // The centre is inside the box: leave through the nearest face.
+    const exitX = obstacle.halfWidth - Math.abs(localX);
+    const exitZ = obstacle.halfDepth - Math.abs(localZ);
+    if (exitX < exitZ) {
+      position.x = obstacle.x + Math.sign(localX || 1) * (obstacle.halfWidth + radius);
+    } else {
+      position.z = obstacle.z + Math.sign(localZ || 1) * (obstacle.halfDepth + radius);
+    }
+    return true;
+  }
+
+  _intersectCircle(originX, originZ, dx, dz, reach, obstacle) {
+    const fx = originX - obstacle.x;
+    const fz = originZ - obstacle.z;
+    const c = fx * fx + fz * fz - reach * reach;
+    if (c <= 0) {
+      return 0;
+    }
+
+    const a = dx * dx + dz * dz;
+    if (a < EPSILON) {
+      return null;
+    }
+
+    const b = 2 * (fx * dx + fz * dz);
+    const discriminant = b * b - 4 * a * c;
+    if (discriminant < 0) {
+      return null;
+    }
+
+    const t = (-b - Math.sqrt(discriminant)) / (2 * a);
+    return t >= 0 && t <= 1 ? t : null;
+  }
+
+  _intersectBox(originX, originZ, dx, dz, radius, obstacle) {
+    let tMin = 0;
+    let tMax = 1;
+
+    const axes = [
+      [originX, dx, obstacle.x, obstacle.halfWidth + radius],
+      [originZ, dz, obstacle.z, obstacle.halfDepth + radius],
+    ];
+
+    for (let i = 0; i < axes.length; i += 1) {
+      const [origin, direction, center, extent] = axes[i];
+      const min = center - extent;
+      const max = center + extent;
+
+      if (Math.abs(direction) < EPSILON) {
+        if (origin < min || origin > max) {
+          return null;
+        }
+        continue;
+      }
+
+      let t1 = (min - origin) / direction;
+      let t2 = (max - origin) / direction;
+      if (t1 > t2) {
+        [t1, t2] = [t2, t1];
+      }
+
+      tMin = Math.max(tMin, t1);
+      tMax = Math.min(tMax, t2);
+      if (tMin > tMax) {
+        return null;
+      }
+    }
+
+    return tMin;
+  }
+
+  _createMaterial({ color, emissive, emissiveIntensity }) {
+    return new THREE.MeshStandardMaterial({
+      color,
+      emissive: new THREE.Color(emissive),
+      emissiveIntensity,
+      roughness: 0.55,
+      metalness: 0.45,
+    });
+  }
+}
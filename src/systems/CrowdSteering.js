@@ -0,0 +1,144 @@
+import { SpatialHash } from './SpatialHash.js';
+
+const DEFAULT_OPTIONS = {
+  neighborRadius: 4,
+  // Each enemy looks at no more than this many neighbours, which keeps a frame O(n) even when a
+  // wave packs dozens of enemies into a few cells.
+  maxNeighbors: 8,
+  separationWeight: 1.4,
+  cohesionWeight: 0.2,
+  collisionStiffness: 0.5,
+  playerRadius: 0.9,
+};
+
+export class CrowdSteering {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.hash = new SpatialHash(this.options.neighborRadius);
+    this.maxRadius = 0;
+  }
+
+  /**
+   * Stores a steering offset on each enemy's `steering` vector: separation pushes away from close
+   * neighbours, cohesion nudges towards the local group so crowds flow around each other instead of
+   * scattering. Enemies blend it with their own seek direction.
+   */
+  computeSteering(enemies) {
+    this._rebuild(enemies);
+    const { neighborRadius, maxNeighbors, separationWeight, cohesionWeight } = this.options;
+
+    enemies.forEach((enemy) => {
+      const { x, z } = enemy.group.position;
+      let separationX = 0;
+      let separationZ = 0;
+      let centerX = 0;
+      let centerZ = 0;
+      let count = 0;
+
+      this.hash.query(x, z, neighborRadius, (other) => {
+        if (other === enemy) {
+          return false;
+        }
+
+        const dx = x - other.group.position.x;
+        const dz = z - other.group.position.z;
+        const distanceSq = dx * dx + dz * dz;
+        if (distanceSq > neighborRadius * neighborRadius) {
+          return false;
+        }
+
+        const personalSpace = enemy.boundingRadius + other.boundingRadius;
+        if (distanceSq < personalSpace * personalSpace * 2.25) {
+          const distance = Math.sqrt(distanceSq) || 0.001;
+          const strength = 1 - distance / (personalSpace * 1.5);
+          separationX += (dx / distance) * strength;
+          separationZ += (dz / distance) * strength;
+        }
+
+        centerX += other.group.position.x;
+        centerZ += other.group.position.z;
+        count += 1;
+        return count >= maxNeighbors;
+      });
+
+      enemy.steering.set(separationX * separationWeight, 0, separationZ * separationWeight);
+      if (count > 0) {
+        const toCenterX = centerX / count - x;
+        const toCenterZ = centerZ / count - z;
+        const length = Math.hypot(toCenterX, toCenterZ);
+        if (length > 0.001) {
+          enemy.steering.x += (toCenterX / length) * cohesionWeight;
+          enemy.steering.z += (toCenterZ / length) * cohesionWeight;
+        }
+      }
+    });
+  }
+
+  /**
+   * Soft collision pass run after movement: overlapping enemies are pushed apart by a fraction of
+   * their overlap each frame, and enemies are kept out of the player's body.
+   */
+  resolveCollisions(enemies, playerPosition) {
+    this._rebuild(enemies);
+    const { maxNeighbors, collisionStiffness, playerRadius } = this.options;
+
+    enemies.forEach((enemy) => {
+      const position = enemy.group.position;
+      let checked = 0;
+
+      this.hash.query(position.x, position.z, enemy.boundingRadius + this.maxRadius, (other) => {
+        // Each pair is resolved once, by whichever enemy appears first in the list.
+        if (other === enemy || other.crowdIndex < enemy.crowdIndex) {
+          return false;
+        }
+
+        checked += 1;
+        const otherPosition = other.group.position;
+        const dx = otherPosition.x - position.x;
+        const dz = otherPosition.z - position.z;
+        const minDistance = enemy.boundingRadius + other.boundingRadius;
+        const distanceSq = dx * dx + dz * dz;
+        if (distanceSq >= minDistance * minDistance) {
+          return checked >= maxNeighbors;
+        }
+
+        const distance = Math.sqrt(distanceSq);
+        const nx = distance > 0.0001 ? dx / distance : Math.cos(enemy.crowdIndex);
+        const nz = distance > 0.0001 ? dz / distance : Math.sin(enemy.crowdIndex);
+        const push = (minDistance - distance) * collisionStiffness * 0.5;
+        position.x -= nx * push;
+        position.z -= nz * push;
+        otherPosition.x += nx * push;
+        otherPosition.z += nz * push;
+        return checked >= maxNeighbors;
+      });
+
+      if (!playerPosition) {
+        return;
+      }
+
+      const dx = position.x - playerPosition.x;
+      const dz = position.z - playerPosition.z;
+      // Never hold an enemy further out than its own attack reach, or melee enemies could not land a hit.
+      const reach = (enemy.config.attackRange ?? Infinity) * 0.9;
+      const minDistance = Math.min(enemy.boundingRadius + playerRadius, reach);
+      const distanceSq = dx * dx + dz * dz;
+      if (distanceSq < minDistance * minDistance && distanceSq > 0.000001) {
+        const distance = Math.sqrt(distanceSq);
+        const push = (minDistance - distance) * collisionStiffness;
+        position.x += (dx / distance) * push;
+        position.z += (dz / distance) * push;
+      }
+    });
+  }
+
+  _rebuild(enemies) {
+    this.hash.clear();
+    this.maxRadius = 0;
+    enemies.forEach((enemy, index) => {
+      enemy.crowdIndex = index;
+      this.maxRadius = Math.max(this.maxRadius, enemy.boundingRadius);
+      this.hash.insert(enemy, enemy.group.position.x, enemy.group.position.z);
+    });
+  }
+}
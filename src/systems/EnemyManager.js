@@ -1,21 +1,42 @@
 import * as THREE from 'three';
+import { Random } from '../core/Random.js';
+import { Boss } from '../entities/Boss.js';
 import { Enemy } from '../entities/Enemy.js';
+import { RangedEnemy } from '../entities/RangedEnemy.js';
+import { CrowdSteering } from './CrowdSteering.js';
+import { NavGrid } from './NavGrid.js';
+import { SpatialHash } from './SpatialHash.js';
+import { sweepCylinder } from './collision.js';
+import { POWER_UP_IDS } from './PowerUps.js';
+import { parseWaveScript } from './WaveScript.js';
 
-const DEFAULT_SPAWN_INTERVAL = 3.2;
-const DEFAULT_MAX_ACTIVE = 8;
 const DEATH_CLEANUP_DELAY = 1.8;
+const WAVE_START_DELAY = 1.2;
+const LINE_SPACING = 2.4;
+const CLUSTER_SPREAD = 0.18;
+const SIDE_SPREAD = Math.PI / 5;
+const ENEMY_INDEX_CELL_SIZE = 4;
+
+const SIDE_ANGLES = {
+  east: 0,
+  south: Math.PI / 2,
+  west: Math.PI,
+  north: -Math.PI / 2,
+};
 
 export class EnemyManager {
-  constructor({ scene, assetManager }) {
+  constructor({ scene, assetManager, waveScript, arena = null, random = new Random() }) {
     this.scene = scene;
     this.assetManager = assetManager;
+    this.random = random;
+    this.arena = arena;
+    this.navigation = arena ? new NavGrid(arena) : null;
 
     this.enemyEntries = [];
     this.elapsed = 0;
-    this.spawnTimer = 0;
     this.wave = 1;
-    this.spawnInterval = DEFAULT_SPAWN_INTERVAL;
-    this.maxActive = DEFAULT_MAX_ACTIVE;
+    this.waveTime = 0;
+    this.currentWave = null;
     this.spawnRadius = 28;
 
     this.enemyDefinitions = {
@@ -26,9 +47,16 @@ export class EnemyManager {
         speed: 5.5,
         damage: 10,
         reward: 60,
+        credits: 12,
         attackRange: 1.9,
         attackCooldown: 1.4,
         scale: 1.05,
+        drops: [
+          { type: 'coin', chance: 0.5, value: 4 },
+          { type: 'health', chance: 0.08, value: 15 },
+          { type: 'ammo', chance: 0.1, value: 0.35 },
+          { type: 'powerup', chance: 0.03, value: POWER_UP_IDS },
+        ],
       },
       runner: {
         id: 'runner',
@@ -37,9 +65,15 @@ export class EnemyManager {
         speed: 8.5,
         damage: 8,
         reward: 80,
+        credits: 16,
         attackRange: 1.6,
         attackCooldown: 1.0,
         scale: 0.95,
+        drops: [
+          { type: 'coin', chance: 0.6, value: 5 },
+          { type: 'ammo', chance: 0.12, value: 0.35 },
+          { type: 'powerup', chance: 0.04, value: POWER_UP_IDS },
+        ],
       },
       brute: {
         id: 'brute',
@@ -48,24 +82,132 @@ export class EnemyManager {
         speed: 3.6,
         damage: 18,
         reward: 150,
+        credits: 35,
         attackRange: 2.6,
         attackCooldown: 2.2,
         scale: 1.35,
+        drops: [
+          { type: 'coin', chance: 1, value: 6, count: 2 },
+          { type: 'health', chance: 0.3, value: 25 },
+          { type: 'armor', chance: 0.25, value: 15 },
+          { type: 'powerup', chance: 0.12, value: POWER_UP_IDS },
+        ],
+      },
+      spitter: {
+        id: 'spitter',
+        behavior: 'ranged',
+        modelPath: 'assets/models/enemies/spitter.glb',
+        maxHealth: 45,
+        speed: 4.2,
+        damage: 6,
+        reward: 90,
+        credits: 18,
+        attackRange: 1.6,
+        attackCooldown: 2.2,
+        scale: 0.9,
+        preferredRange: 13,
+        rangeTolerance: 3,
+        fireRange: 22,
+        strafeSpeed: 0.7,
+        spread: 0.12,
+        projectile: { speed: 15, damage: 9, maxDistance: 28, scale: 2.2, color: 0x9dff5c, lifetime: 3 },
+        drops: [
+          { type: 'coin', chance: 0.6, value: 5 },
+          { type: 'ammo', chance: 0.2, value: 0.35 },
+          { type: 'armor', chance: 0.08, value: 10 },
+          { type: 'powerup', chance: 0.06, value: POWER_UP_IDS },
+        ],
+      },
+      sniper: {
+        id: 'sniper',
+        behavior: 'ranged',
+        modelPath: 'assets/models/enemies/sniper.glb',
+        maxHealth: 35,
+        speed: 3.4,
+        damage: 6,
+        reward: 120,
+        credits: 24,
+        attackRange: 1.6,
+        attackCooldown: 4.2,
+        scale: 0.95,
+        preferredRange: 22,
+        rangeTolerance: 4,
+        fireRange: 34,
+        strafeSpeed: 0.4,
+        aimTime: 1.4,
+        projectile: { speed: 55, damage: 26, maxDistance: 40, scale: 1.3, color: 0xff2d55 },
+        drops: [
+          { type: 'coin', chance: 0.7, value: 8 },
+          { type: 'armor', chance: 0.15, value: 15 },
+          { type: 'powerup', chance: 0.08, value: POWER_UP_IDS },
+        ],
       },
     };
 
+    this.bossDefinitions = {
+      warden: {
+        id: 'warden',
+        name: 'Le Gardien',
+        modelPath: 'assets/models/enemies/warden.glb',
+        maxHealth: 2600,
+        speed: 3.2,
+        damage: 22,
+        reward: 2500,
+        credits: 450,
+        attackRange: 3.4,
+        attackCooldown: 1.6,
+        scale: 2.2,
+        drops: [
+          { type: 'coin', chance: 1, value: 12, count: 8 },
+          { type: 'health', chance: 1, value: 40, count: 2 },
+          { type: 'armor', chance: 1, value: 30 },
+          { type: 'ammo', chance: 1, value: 0.5, count: 2 },
+          { type: 'powerup', chance: 1, value: POWER_UP_IDS, count: 2 },
+        ],
+        abilities: {
+          charge: { cooldown: 7, windup: 0.8, speed: 24, duration: 0.85, damage: 30, minRange: 7 },
+          summon: { cooldown: 13, windup: 0.9, enemy: 'runner', count: 3, radius: 5 },
+          slam: { cooldown: 6, windup: 1, radius: 7.5, triggerRange: 6, damage: 34 },
+        },
+        phases: [
+          { threshold: 1, speedMultiplier: 1, abilities: ['charge'] },
+          { threshold: 0.66, speedMultiplier: 1.15, abilities: ['summon', 'charge'] },
+          { threshold: 0.33, speedMultiplier: 1.3, cooldownMultiplier: 0.75, abilities: ['slam', 'summon', 'charge'] },
+        ],
+      },
+    };
+
+    this.waveScript = parseWaveScript(waveScript, {
+      enemyTypes: [...Object.keys(this.enemyDefinitions), ...Object.keys(this.bossDefinitions)],
+    });
+    this.activeBoss = null;
+    this.crowd = new CrowdSteering();
+    this.aliveEnemies = [];
+    this.enemyIndex = new SpatialHash(ENEMY_INDEX_CELL_SIZE);
+    this.maxEnemyRadius = 0;
+
     this.spawnQueue = [];
     this.waveInProgress = false;
+    this.awaitingWaveClear = false;
 
     this.tmpPosition = new THREE.Vector3();
   }
 
-  update(delta, { playerPosition, onPlayerDamaged }) {
+  update(
+    delta,
+    { playerPosition, onPlayerDamaged, onWaveCleared, onWaveStarted, onEnemySpawning, onBossPhaseChange, onEnemyFire },
+  ) {
     this.elapsed += delta;
-    this.spawnTimer += delta;
 
-    this._maybeScheduleNewWave();
-    this._handleSpawning(playerPosition);
+    if (this._maybeScheduleNewWave()) {
+      onWaveStarted?.(this.wave);
+    }
+    this._handleSpawning(delta, playerPosition, onEnemySpawning);
+    this._collectAliveEnemies();
+    this.crowd.computeSteering(this.aliveEnemies);
+    if (playerPosition) {
+      this.navigation?.setGoal(playerPosition);
+    }
 
     for (let i = this.enemyEntries.length - 1; i >= 0; i -= 1) {
       const entry = this.enemyEntries[i];
@@ -79,9 +221,13 @@ export class EnemyManager {
       if (enemy.isAlive) {
         enemy.update(delta, {
           playerPosition,
-          onAttack: (attackingEnemy) => {
-            onPlayerDamaged?.(attackingEnemy.config.damage, attackingEnemy);
+          onAttack: (attackingEnemy, damage = attackingEnemy.config.damage) => {
+            onPlayerDamaged?.(damage, attackingEnemy);
           },
+          onSummon: (boss, settings) => this._summonAdds(boss, settings),
+          onPhaseChange: onBossPhaseChange,
+          onFire: onEnemyFire,
+          navigation: this.navigation,
         });
       } else {
         entry.deathTimer += delta;
@@ -91,61 +237,164 @@ export class EnemyManager {
         }
       }
     }
+
+    this._collectAliveEnemies();
+    this.crowd.resolveCollisions(this.aliveEnemies, playerPosition);
+    if (this.arena) {
+      this.aliveEnemies.forEach((enemy) => this.arena.resolveCircle(enemy.group.position, enemy.boundingRadius));
+    }
+    this._rebuildEnemyIndex();
+
+    if (this.awaitingWaveClear && this._countActiveEnemies() === 0) {
+      this.awaitingWaveClear = false;
+      onWaveCleared?.(this.wave - 1);
+    }
   }
 
-  async spawnEnemy(type, spawnPosition) {
-    const definition = this.enemyDefinitions[type];
+  /**
+   * Adds an enemy to the simulation right away; its model loads in the background. The body size
+   * comes from the config alone, so the run plays out the same whenever, or whether, the model loads.
+   */
+  spawnEnemy(type, spawnPosition, multipliers = null) {
+    const bossDefinition = this.bossDefinitions[type];
+    const definition = bossDefinition ?? this.enemyDefinitions[type];
     if (!definition) {
       console.warn(`Type d’ennemi inconnu : ${type}`);
       return null;
     }
 
-    const enemy = new Enemy({
+    let EnemyClass = Enemy;
+    if (bossDefinition) {
+      EnemyClass = Boss;
+    } else if (definition.behavior === 'ranged') {
+      EnemyClass = RangedEnemy;
+    }
+
+    const enemy = new EnemyClass({
       scene: this.scene,
       assetManager: this.assetManager,
+      random: this.random,
       config: {
         ...definition,
+        ...(multipliers ? this._scaleStats(definition, multipliers) : {}),
         spawnPosition: spawnPosition?.clone() ?? this._getRandomSpawnPosition(),
       },
     });
 
-    await enemy.init();
+    enemy.init().catch((error) => {
+      console.error(`Erreur lors de l’initialisation de l’ennemi ${type} :`, error);
+    });
+    // Spawn patterns ignore the layout; nudge the enemy out of any wall it landed in.
+    this.arena?.findOpenPosition(enemy.group.position, enemy.boundingRadius);
 
     this.enemyEntries.push({ enemy, deathTimer: 0 });
+    if (bossDefinition) {
+      this.activeBoss = enemy;
+    }
     return enemy;
   }
 
-  handleProjectileImpact(projectile, damage) {
-    let hitEnemy = null;
-    let minDistance = Infinity;
+  getActiveBoss() {
+    return this.activeBoss?.isAlive ? this.activeBoss : null;
+  }
 
-    this.enemyEntries.forEach(({ enemy }) => {
+  /**
+   * Visits every living enemy whose body overlaps the circle of `radius` around (x, z). Returning
+   * `true` from `visit` stops the query. Backed by a spatial index rebuilt at the end of each
+   * update, so the cost follows the local crowd rather than the size of the wave.
+   */
+  queryEnemies(x, z, radius, visit) {
+    this.enemyIndex.query(x, z, radius + this.maxEnemyRadius, (enemy) => {
       if (!enemy.isAlive) {
-        return;
+        return false;
       }
 
-      const distance = enemy.group.position.distanceToSquared(projectile.position);
-      if (distance <= enemy.boundingRadius * enemy.boundingRadius) {
-        if (distance < minDistance) {
-          minDistance = distance;
-          hitEnemy = enemy;
-        }
+      const reach = radius + enemy.boundingRadius;
+      const dx = enemy.group.position.x - x;
+      const dz = enemy.group.position.z - z;
+      if (dx * dx + dz * dz > reach * reach) {
+        return false;
       }
+
+      return visit(enemy) === true;
     });
+  }
 
-    if (!hitEnemy) {
+  /**
+   * Sweeps a sphere of `radius` along `from` → `to` against every enemy body and returns the first
+   * one touched as `{ enemy, fraction }`, where `fraction` is how far along the segment it was hit.
+   */
+  sweepEnemies(from, to, radius = 0, ignored = null) {
+    const halfLength = Math.hypot(to.x - from.x, to.z - from.z) / 2;
+    let hit = null;
+
+    this.queryEnemies((from.x + to.x) / 2, (from.z + to.z) / 2, halfLength + radius, (enemy) => {
+      if (ignored?.has(enemy)) {
+        return false;
+      }
+
+      const fraction = sweepCylinder(from, to, enemy.group.position, enemy.boundingRadius + radius, enemy.height);
+      if (fraction !== null && (!hit || fraction < hit.fraction)) {
+        hit = { enemy, fraction };
+      }
+      return false;
+    });
+
+    return hit;
+  }
+
+  /**
+   * Tests the path `projectile` travelled this frame, from `previousPosition` to `position`, so fast
+   * shots cannot skip over an enemy between two frames. Enemies in `projectile.hitEnemies` were
+   * already pierced and are skipped.
+   */
+  handleProjectileImpact(projectile, damage) {
+    const from = projectile.previousPosition ?? projectile.position;
+    const hit = this.sweepEnemies(from, projectile.position, projectile.radius ?? 0, projectile.hitEnemies);
+    if (!hit) {
       return null;
     }
 
-    const wasFatal = hitEnemy.takeDamage(damage);
+    const wasFatal = hit.enemy.takeDamage(damage);
     return {
-      enemy: hitEnemy,
+      enemy: hit.enemy,
       wasFatal,
-      reward: wasFatal ? hitEnemy.config.reward : 0,
+      reward: wasFatal ? hit.enemy.config.reward : 0,
+      credits: wasFatal ? hit.enemy.config.credits : 0,
       damage,
+      fraction: hit.fraction,
     };
   }
 
+  handleExplosion(center, radius, damage, excludedEnemy = null) {
+    const impacts = [];
+
+    this.queryEnemies(center.x, center.z, radius, (enemy) => {
+      if (enemy === excludedEnemy) {
+        return false;
+      }
+
+      const distance = enemy.group.position.distanceTo(center) - enemy.boundingRadius;
+      if (distance > radius) {
+        return false;
+      }
+
+      const falloff = 1 - Math.max(0, distance) / radius;
+      const splashDamage = damage * (0.35 + 0.65 * falloff);
+      const wasFatal = enemy.takeDamage(splashDamage);
+      impacts.push({
+        enemy,
+        wasFatal,
+        reward: wasFatal ? enemy.config.reward : 0,
+        credits: wasFatal ? enemy.config.credits : 0,
+        damage: splashDamage,
+      });
+      return false;
+    });
+
+    return impacts;
+  }
+
   getAliveEnemies() {
     return this.enemyEntries.filter(({ enemy }) => enemy.isAlive).map(({ enemy }) => enemy);
   }
@@ -153,96 +402,187 @@ export class EnemyManager {
   reset() {
     this.enemyEntries.forEach(({ enemy }) => enemy.dispose());
     this.enemyEntries = [];
+    this.aliveEnemies = [];
+    this.enemyIndex.clear();
     this.spawnQueue = [];
+    this.activeBoss = null;
     this.wave = 1;
-    this.spawnTimer = 0;
+    this.waveTime = 0;
+    this.currentWave = null;
     this.waveInProgress = false;
+    this.awaitingWaveClear = false;
   }
 
+  /**
+   * Returns whether a new wave was queued this frame.
+   */
   _maybeScheduleNewWave() {
     if (this.waveInProgress) {
-      return;
+      return false;
     }
 
     if (this.enemyEntries.length === 0 && this.spawnQueue.length === 0) {
       this.waveInProgress = true;
       this._enqueueWaveComposition();
-      this.spawnTimer = this.spawnInterval;
+      return true;
     }
+    return false;
   }
 
-  _handleSpawning(playerPosition) {
+  _handleSpawning(delta, playerPosition, onEnemySpawning) {
     if (!this.waveInProgress || this.spawnQueue.length === 0) {
       return;
     }
 
-    if (this.spawnTimer < this.spawnInterval) {
+    // The script timeline only advances while there is room on the field, so a full arena delays
+    // the following spawns instead of piling them up.
+    if (this._countActiveEnemies() >= this.currentWave.maxActive) {
       return;
     }
 
-    if (this._countActiveEnemies() >= this.maxActive) {
-      return;
+    this.waveTime += delta;
+
+    while (
+      this.spawnQueue.length > 0 &&
+      this.spawnQueue[0].time <= this.waveTime &&
+      this._countActiveEnemies() < this.currentWave.maxActive
+    ) {
+      const spawn = this.spawnQueue.shift();
+      const position = this._getPatternSpawnPosition(spawn, playerPosition);
+      onEnemySpawning?.(spawn.enemy, position);
+      this.spawnEnemy(spawn.enemy, position, this.currentWave.multipliers);
     }
 
-    this.spawnTimer = 0;
-    const nextType = this.spawnQueue.shift();
-    this.spawnEnemy(nextType, this._getSpawnPositionRelativeTo(playerPosition)).catch((error) => {
-      console.error('Erreur lors du spawn ennemi :', error);
-    });
-
     if (this.spawnQueue.length === 0) {
       this.wave += 1;
       this.waveInProgress = false;
-      this.spawnInterval = Math.max(0.9, this.spawnInterval * 0.92);
-      this.maxActive = Math.min(24, this.maxActive + 1);
+      this.awaitingWaveClear = true;
     }
   }
 
   _enqueueWaveComposition() {
-    const baseCount = 5 + this.wave * 2;
-    const composition = [];
+    this.currentWave = this.waveScript.getWave(this.wave);
+    this.waveTime = 0;
+
+    this.currentWave.groups.forEach((group) => {
+      const side = group.side === 'random' ? this.random.pick(Object.keys(SIDE_ANGLES)) : group.side;
+      const anchorAngle = group.pattern === 'side' ? SIDE_ANGLES[side] : this.random.angle();
+
+      for (let index = 0; index < group.count; index += 1) {
+        this.spawnQueue.push({
+          time: WAVE_START_DELAY + group.delay + index * group.interval,
+          enemy: group.enemy,
+          pattern: group.pattern,
+          anchorAngle,
+          index,
+          count: group.count,
+        });
+      }
+    });
 
-    for (let i = 0; i < baseCount; i += 1) {
-      composition.push('grunt');
+    this.spawnQueue.sort((a, b) => a.time - b.time);
+  }
+
+  _getPatternSpawnPosition(spawn, playerPosition) {
+    const center = playerPosition ?? this.tmpPosition.set(0, 0, 0);
+    let angle = spawn.anchorAngle;
+    let distance = this.spawnRadius;
+    let lateralOffset = 0;
+
+    switch (spawn.pattern) {
+      case 'ring':
+        angle += (spawn.index / spawn.count) * Math.PI * 2;
+        distance += this.random.range(0, 4);
+        break;
+      case 'cluster':
+        angle += this.random.spread(CLUSTER_SPREAD);
+        distance += this.random.range(0, 3);
+        break;
+      case 'line':
+        lateralOffset = (spawn.index - (spawn.count - 1) / 2) * LINE_SPACING;
+        break;
+      case 'side':
+        angle += this.random.spread(SIDE_SPREAD * 2);
+        distance += this.random.range(0, 8);
+        break;
+      default:
+        break;
     }
 
-    if (this.wave >= 3) {
-      const runnerCount = Math.floor(this.wave / 2);
-      for (let i = 0; i < runnerCount; i += 1) {
-        composition.push('runner');
-      }
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const position = new THREE.Vector3(
+      center.x + cos * distance - sin * lateralOffset,
+      0,
+      center.z + sin * distance + cos * lateralOffset,
+    );
+
+    // Clamping an off-arena spawn to the edge could drop it right next to a player standing there, so
+    // it comes in from the opposite side instead.
+    if (this.arena && !this.arena.isInside(position.x, position.z)) {
+      position.set(center.x * 2 - position.x, 0, center.z * 2 - position.z);
     }
 
-    if (this.wave % 4 === 0) {
-      const bruteCount = 1 + Math.floor(this.wave / 6);
-      for (let i = 0; i < bruteCount; i += 1) {
-        composition.push('brute');
+    return position;
+  }
+
+  _summonAdds(boss, { enemy, count, radius = 4 }) {
+    const maxActive = this.currentWave?.maxActive ?? Infinity;
+    const baseAngle = this.random.angle();
+
+    for (let index = 0; index < count; index += 1) {
+      if (this._countActiveEnemies() >= maxActive) {
+        return;
       }
+
+      const angle = baseAngle + (index / count) * Math.PI * 2;
+      const position = new THREE.Vector3(Math.cos(angle) * radius, 0, Math.sin(angle) * radius).add(
+        boss.group.position,
+      );
+
+      this.spawnEnemy(enemy, position, this.currentWave?.multipliers);
+    }
+  }
+
+  _scaleStats(definition, multipliers) {
+    const stats = {
+      maxHealth: definition.maxHealth * multipliers.health,
+      speed: definition.speed * multipliers.speed,
+      damage: definition.damage * multipliers.damage,
+      reward: Math.round(definition.reward * multipliers.reward),
+      credits: Math.round(definition.credits * multipliers.credits),
+    };
+
+    if (definition.projectile) {
+      stats.projectile = { ...definition.projectile, damage: definition.projectile.damage * multipliers.damage };
     }
 
-    composition.sort(() => Math.random() - 0.5);
-    this.spawnQueue.push(...composition);
+    return stats;
   }
 
   _getRandomSpawnPosition() {
-    const angle = Math.random() * Math.PI * 2;
-    const distance = this.spawnRadius + Math.random() * 12;
+    const angle = this.random.angle();
+    const distance = this.spawnRadius + this.random.range(0, 12);
     this.tmpPosition.set(Math.cos(angle) * distance, 0, Math.sin(angle) * distance);
     return this.tmpPosition.clone();
   }
 
-  _getSpawnPositionRelativeTo(playerPosition) {
-    if (!playerPosition) {
-      return this._getRandomSpawnPosition();
-    }
-
-    const angle = Math.random() * Math.PI * 2;
-    const distance = this.spawnRadius + Math.random() * 10;
-    this.tmpPosition
-      .set(Math.cos(angle) * distance, 0, Math.sin(angle) * distance)
-      .add(playerPosition);
+  _collectAliveEnemies() {
+    this.aliveEnemies.length = 0;
+    this.enemyEntries.forEach(({ enemy }) => {
+      if (enemy.isAlive) {
+        this.aliveEnemies.push(enemy);
+      }
+    });
+  }
 
-    return this.tmpPosition.clone();
+  _rebuildEnemyIndex() {
+    this.enemyIndex.clear();
+    this.maxEnemyRadius = 0;
+    this.aliveEnemies.forEach((enemy) => {
+      this.maxEnemyRadius = Math.max(this.maxEnemyRadius, enemy.boundingRadius);
+      this.enemyIndex.insert(enemy, enemy.group.position.x, enemy.group.position.z);
+    });
   }
 
   _countActiveEnemies() {
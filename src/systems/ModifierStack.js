@@ -0,0 +1,108 @@
+export const StackingRule = Object.freeze({
+  // Picking the buff up again restarts its timer.
+  REFRESH: 'refresh',
+  // Picking it up again adds its duration to the time left, up to `maxDuration`.
+  EXTEND: 'extend',
+  // Each pickup adds a stack (up to `maxStacks`) that compounds the effect, and restarts the timer.
+  STACK: 'stack',
+});
+
+/**
+ * Timed modifiers layered over base stats. Nothing here writes to weapon definitions or the
+ * player; callers read effective values through {@link ModifierStack#apply}, so once a modifier
+ * expires the base values are back without any bookkeeping.
+ *
+ * A definition looks like `{ id, name, icon, duration, stacking, maxStacks, maxDuration, effects,
+ * flags }`, where `effects` is a list of `{ stat, add, multiply }` and `flags` names boolean
+ * states such as `invulnerable`.
+ */
+export class ModifierStack {
+  constructor() {
+    this.active = new Map();
+  }
+
+  add(definition) {
+    const existing = this.active.get(definition.id);
+    if (!existing) {
+      const entry = {
+        id: definition.id,
+        name: definition.name,
+        icon: definition.icon,
+        definition,
+        remaining: definition.duration,
+        duration: definition.duration,
+        stacks: 1,
+      };
+      this.active.set(definition.id, entry);
+      return entry;
+    }
+
+    switch (definition.stacking ?? StackingRule.REFRESH) {
+      case StackingRule.EXTEND: {
+        const maxDuration = definition.maxDuration ?? definition.duration * 2;
+        existing.remaining = Math.min(maxDuration, existing.remaining + definition.duration);
+        existing.duration = Math.max(existing.remaining, definition.duration);
+        break;
+      }
+      case StackingRule.STACK:
+        existing.stacks = Math.min(definition.maxStacks ?? 1, existing.stacks + 1);
+        existing.remaining = definition.duration;
+        existing.duration = definition.duration;
+        break;
+      default:
+        existing.remaining = definition.duration;
+        existing.duration = definition.duration;
+        break;
+    }
+
+    return existing;
+  }
+
+  /**
+   * Counts timers down and drops expired modifiers. Returns the entries that expired this frame.
+   */
+  update(delta) {
+    const expired = [];
+    this.active.forEach((entry, id) => {
+      entry.remaining -= delta;
+      if (entry.remaining <= 0) {
+        this.active.delete(id);
+        expired.push(entry);
+      }
+    });
+    return expired;
+  }
+
+  /**
+   * Runs `base` through every active effect on `stat`: additive terms first, then multipliers.
+   * Both scale with stacks, so two stacks of ×1.5 give ×2.25.
+   */
+  apply(stat, base) {
+    let added = 0;
+    let multiplier = 1;
+
+    this.active.forEach(({ definition, stacks }) => {
+      (definition.effects ?? []).forEach((effect) => {
+        if (effect.stat !== stat) {
+          return;
+        }
+        added += (effect.add ?? 0) * stacks;
+        multiplier *= (effect.multiply ?? 1) ** stacks;
+      });
+    });
+
+    return (base + added) * multiplier;
+  }
+
+  has(flag) {
+    return this.getActive().some(({ definition }) => Boolean(definition.flags?.includes(flag)));
+  }
+
+  getActive() {
+    return [...this.active.values()];
+  }
+
+  clear() {
+    this.active.clear();
+  }
+}
@@ -0,0 +1,320 @@
+import * as THREE from 'three';
+
+const DEFAULT_OPTIONS = {
+  cellSize: 1,
+  // Obstacles are inflated by this much when the grid is generated, so routes keep bodies off walls.
+  clearance: 0.9,
+  // How many cells along the route an enemy looks ahead for a shortcut it can see.
+  lookAhead: 4,
+};
+
+const DIAGONAL_COST = Math.SQRT2;
+const NEIGHBOR_OFFSETS = [
+  [1, 0],
+  [-1, 0],
+  [0, 1],
+  [0, -1],
+  [1, 1],
+  [1, -1],
+  [-1, 1],
+  [-1, -1],
+];
+
+/**
+ * Binary min-heap of cell indices keyed by cost. A cell can be pushed once per neighbour, so the
+ * buffers are sized for eight entries per cell up front.
+ */
+class CellHeap {
+  constructor(capacity) {
+    this.cells = new Int32Array(capacity * 8);
+    this.costs = new Float32Array(capacity * 8);
+    this.size = 0;
+    this.poppedCost = 0;
+  }
+
+  clear() {
+    this.size = 0;
+  }
+
+  push(cell, cost) {
+    let index = this.size;
+    this.size += 1;
+
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (this.costs[parent] <= cost) {
+        break;
+      }
+      this.cells[index] = this.cells[parent];
+      this.costs[index] = this.costs[parent];
+      index = parent;
+    }
+
+    this.cells[index] = cell;
+    this.costs[index] = cost;
+  }
+
+  pop() {
+    const top = this.cells[0];
+    this.poppedCost = this.costs[0];
+    this.size -= 1;
+    const cell = this.cells[this.size];
+    const cost = this.costs[this.size];
+
+    let index = 0;
+    while (true) {
+      let child = index * 2 + 1;
+      if (child >= this.size) {
+        break;
+      }
+      if (child + 1 < this.size && this.costs[child + 1] < this.costs[child]) {
+        child += 1;
+      }
+      if (this.costs[child] >= cost) {
+        break;
+      }
+      this.cells[index] = this.cells[child];
+      this.costs[index] = this.costs[child];
+      index = child;
+    }
+
+    this.cells[index] = cell;
+    this.costs[index] = cost;
+    return top;
+  }
+}
+
+/**
+ * Walkability grid generated from an {@link Arena} layout, plus a flow field towards a single goal
+ * (the player). Every enemy shares the same field, so the cost of pathfinding does not grow with the
+ * number of enemies; the field is only rebuilt when the goal moves to another cell.
+ */
+export class NavGrid {
+  constructor(arena, options = {}) {
+    this.arena = arena;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+
+    const { cellSize, clearance } = this.options;
+    this.cols = Math.ceil((arena.halfWidth * 2) / cellSize);
+    this.rows = Math.ceil((arena.halfDepth * 2) / cellSize);
+    this.originX = -arena.halfWidth;
+    this.originZ = -arena.halfDepth;
+
+    const cellCount = this.cols * this.rows;
+    this.walkable = new Uint8Array(cellCount);
+    this.costs = new Float32Array(cellCount).fill(Infinity);
+    this.heap = new CellHeap(cellCount);
+
+    for (let row = 0; row < this.rows; row += 1) {
+      for (let col = 0; col < this.cols; col += 1) {
+        const x = this._cellCenterX(col);
+        const z = this._cellCenterZ(row);
+        this.walkable[row * this.cols + col] = arena.isBlocked(x, z, clearance) ? 0 : 1;
+      }
+    }
+
+    this.goal = new THREE.Vector3();
+    this.goalCell = -1;
+    this.waypoint = new THREE.Vector3();
+  }
+
+  setGoal(position) {
+    this.goal.copy(position);
+
+    const cell = this._nearestWalkableCell(this._cellAt(position.x, position.z));
+    if (cell !== this.goalCell) {
+      this.goalCell = cell;
+      this._buildFlowField();
+    }
+  }
+
+  hasLineOfSight(from, to, radius = 0) {
+    return this.arena.hasLineOfSight(from, to, radius);
+  }
+
+  /**
+   * Writes into `out` the unit XZ direction a body of `radius` at `position` should follow to reach
+   * the goal around obstacles. Callers that can already see the goal should head straight for it
+   * instead. Returns `false` when no route exists.
+   */
+  getRouteDirection(position, out, radius = 0) {
+    if (this.goalCell < 0) {
+      return false;
+    }
+
+    let cell = this._cellAt(position.x, position.z);
+    if (cell < 0) {
+      return false;
+    }
+
+    // Bodies pressed against a wall may sit in a blocked cell; route from the best neighbour instead.
+    if (!Number.isFinite(this.costs[cell])) {
+      cell = this._nextCell(cell);
+      if (cell < 0) {
+        return false;
+      }
+    }
+
+    let target = cell;
+    for (let step = 0; step < this.options.lookAhead; step += 1) {
+      const next = this._nextCell(target);
+      if (next < 0) {
+        break;
+      }
+
+      this._setWaypoint(next);
+      if (step > 0 && !this.arena.hasLineOfSight(position, this.waypoint, radius)) {
+        break;
+      }
+      target = next;
+    }
+
+    this._setWaypoint(target);
+    return this._directionTo(position, this.waypoint, out);
+  }
+
+  _buildFlowField() {
+    this.costs.fill(Infinity);
+    this.heap.clear();
+    if (this.goalCell < 0) {
+      return;
+    }
+
+    this.costs[this.goalCell] = 0;
+    this.heap.push(this.goalCell, 0);
+
+    while (this.heap.size > 0) {
+      const cell = this.heap.pop();
+      const cost = this.costs[cell];
+      if (this.heap.poppedCost > cost) {
+        // Stale entry: the cell was reached more cheaply after this one was queued.
+        continue;
+      }
+
+      const col = cell % this.cols;
+      const row = (cell - col) / this.cols;
+
+      for (let i = 0; i < NEIGHBOR_OFFSETS.length; i += 1) {
+        const [offsetCol, offsetRow] = NEIGHBOR_OFFSETS[i];
+        const neighbor = this._walkableNeighbor(col, row, offsetCol, offsetRow);
+        if (neighbor < 0) {
+          continue;
+        }
+
+        const nextCost = cost + (offsetCol !== 0 && offsetRow !== 0 ? DIAGONAL_COST : 1);
+        if (nextCost < this.costs[neighbor]) {
+          this.costs[neighbor] = nextCost;
+          this.heap.push(neighbor, nextCost);
+        }
+      }
+    }
+  }
+
+  /**
+   * Neighbour index, or -1 when it is off the grid, blocked, or a diagonal that would clip a corner.
+   */
+  _walkableNeighbor(col, row, offsetCol, offsetRow) {
+    const nextCol = col + offsetCol;
+    const nextRow = row + offsetRow;
+    if (nextCol < 0 || nextRow < 0 || nextCol >= this.cols || nextRow >= this.rows) {
+      return -1;
+    }
+
+    const index = nextRow * this.cols + nextCol;
+    if (!this.walkable[index]) {
+      return -1;
+    }
+
+    if (offsetCol !== 0 && offsetRow !== 0) {
+      if (!this.walkable[row * this.cols + nextCol] || !this.walkable[nextRow * this.cols + col]) {
+        return -1;
+      }
+    }
+
+    return index;
+  }
+
+  _nextCell(cell) {
+    const col = cell % this.cols;
+    const row = (cell - col) / this.cols;
+    let best = -1;
+    let bestCost = this.costs[cell];
+
+    for (let i = 0; i < NEIGHBOR_OFFSETS.length; i += 1) {
+      const [offsetCol, offsetRow] = NEIGHBOR_OFFSETS[i];
+      const neighbor = this._walkableNeighbor(col, row, offsetCol, offsetRow);
+      if (neighbor >= 0 && this.costs[neighbor] < bestCost) {
+        best = neighbor;
+        bestCost = this.costs[neighbor];
+      }
+    }
+
+    return best;
+  }
+
+  _nearestWalkableCell(cell) {
+    if (cell < 0 || this.walkable[cell]) {
+      return cell;
+    }
+
+    const col = cell % this.cols;
+    const row = (cell - col) / this.cols;
+    const maxRadius = Math.max(this.cols, this.rows);
+    for (let radius = 1; radius < maxRadius; radius += 1) {
+      for (let offsetRow = -radius; offsetRow <= radius; offsetRow += 1) {
+        for (let offsetCol = -radius; offsetCol <= radius; offsetCol += 1) {
+          if (Math.max(Math.abs(offsetCol), Math.abs(offsetRow)) !== radius) {
+            continue;
+          }
+
+          const nextCol = col + offsetCol;
+          const nextRow = row + offsetRow;
+          if (nextCol < 0 || nextRow < 0 || nextCol >= this.cols || nextRow >= this.rows) {
+            continue;
+          }
+
+          const index = nextRow * this.cols + nextCol;
+          if (this.walkable[index]) {
+            return index;
+          }
+        }
+      }
+    }
+
+    return -1;
+  }
+
+  _cellAt(x, z) {
+    const col = Math.floor((x - this.originX) / this.options.cellSize);
+    const row = Math.floor((z - this.originZ) / this.options.cellSize);
+    if (col < 0 || row < 0 || col >= this.cols || row >= this.rows) {
+      return -1;
+    }
+    return row * this.cols + col;
+  }
+
+  _cellCenterX(col) {
+    return this.originX + (col + 0.5) * this.options.cellSize;
+  }
+
+  _cellCenterZ(row) {
+    return this.originZ + (row + 0.5) * this.options.cellSize;
+  }
+
+  _setWaypoint(cell) {
+    const col = cell % this.cols;
+    const row = (cell - col) / this.cols;
+    this.waypoint.set(this._cellCenterX(col), 0, this._cellCenterZ(row));
+  }
+
+  _directionTo(position, target, out) {
+    out.set(target.x - position.x, 0, target.z - position.z);
+    const length = out.length();
+    if (length < 0.0001) {
+      return false;
+    }
+
+    out.divideScalar(length);
+    return true;
+  }
+}
@@ -0,0 +1,474 @@
+import * as THREE from 'three';
+import { enableBloom } from '../core/PostProcessing.js';
+import { Validator } from '../core/Validator.js';
+
+export const EFFECT_LIBRARY_VERSION = 1;
+export const EMITTER_SHAPES = ['sphere', 'cone', 'ring'];
+export const PARTICLE_BLENDINGS = ['additive', 'normal'];
+
+const INHERIT_COLOR = 'inherit';
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const INVALID_LIBRARY_TITLE = 'Effets visuels invalides';
+const EMITTER_KEYS = [
+  'count',
+  'rate',
+  'duration',
+  'shape',
+  'spread',
+  'radius',
+  'lifetime',
+  'speed',
+  'size',
+  'sizeEnd',
+  'color',
+  'colorEnd',
+  'gravity',
+  'drag',
+  'blending',
+];
+
+const parseColor = (validator, value, path, fallback) => {
+  if (value === undefined && fallback !== undefined) {
+    return fallback;
+  }
+  if (value === INHERIT_COLOR) {
+    return INHERIT_COLOR;
+  }
+  if (typeof value !== 'string' || !COLOR_PATTERN.test(value)) {
+    validator.fail(path, `couleur « #rrggbb » ou « ${INHERIT_COLOR} » attendue, reçu ${JSON.stringify(value)}`);
+    return new THREE.Color(0xffffff);
+  }
+  return new THREE.Color(value);
+};
+
+// A range is either a single number or a `[min, max]` pair.
+const parseRange = (validator, value, path, { fallback, min = 0 } = {}) => {
+  if (value === undefined && fallback !== undefined) {
+    return [fallback, fallback];
+  }
+  if (Array.isArray(value) && value.length === 2) {
+    const low = validator.number(value[0], `${path}[0]`, { min });
+    const high = validator.number(value[1], `${path}[1]`, { min: low });
+    return [low, high];
+  }
+  if (typeof value === 'number') {
+    const single = validator.number(value, path, { min });
+    return [single, single];
+  }
+  validator.fail(path, `nombre ou intervalle [min, max] attendu, reçu ${JSON.stringify(value)}`);
+  return [0, 0];
+};
+
+const parseEmitter = (validator, emitter, path) => {
+  if (!validator.object(emitter, path)) {
+    return null;
+  }
+
+  validator.unknownKeys(emitter, path, EMITTER_KEYS);
+
+  const rate = validator.number(emitter.rate, `${path}.rate`, { fallback: 0, min: 0 });
+  const count = validator.number(emitter.count, `${path}.count`, { fallback: 0, min: 0, integer: true });
+  if (rate === 0 && count === 0) {
+    validator.fail(path, '« count » ou « rate » attendu');
+  }
+
+  const color = parseColor(validator, emitter.color, `${path}.color`);
+  return {
+    count,
+    rate,
+    duration: validator.number(emitter.duration, `${path}.duration`, { fallback: rate > 0 ? 1 : 0, min: 0 }),
+    shape: validator.oneOf(emitter.shape, `${path}.shape`, EMITTER_SHAPES, 'sphere'),
+    spread: validator.number(emitter.spread, `${path}.spread`, { fallback: 0.3, min: 0, max: Math.PI }),
+    radius: validator.number(emitter.radius, `${path}.radius`, { fallback: 0, min: 0 }),
+    lifetime: parseRange(validator, emitter.lifetime, `${path}.lifetime`, { min: 0.01 }),
+    speed: parseRange(validator, emitter.speed, `${path}.speed`, { fallback: 0 }),
+    size: parseRange(validator, emitter.size, `${path}.size`, { min: 0.01 }),
+    sizeEnd: validator.number(emitter.sizeEnd, `${path}.sizeEnd`, { fallback: 1, min: 0 }),
+    color,
+    colorEnd: parseColor(validator, emitter.colorEnd, `${path}.colorEnd`, color),
+    gravity: validator.number(emitter.gravity, `${path}.gravity`, { fallback: 0 }),
+    drag: validator.number(emitter.drag, `${path}.drag`, { fallback: 0, min: 0 }),
+    blending: validator.oneOf(emitter.blending, `${path}.blending`, PARTICLE_BLENDINGS, 'additive'),
+  };
+};
+
+/**
+ * Validates the effect library. Each effect is a list of emitters played together; an emitter
+ * either bursts `count` particles at once or emits `rate` particles per second for `duration`.
+ * Colours set to `inherit` take the colour passed by the caller, e.g. the enemy type's colour.
+ */
+export const parseEffectLibrary = (data) => {
+  const validator = new Validator();
+
+  if (!validator.object(data, 'racine')) {
+    validator.assertValid(INVALID_LIBRARY_TITLE);
+  }
+
+  validator.unknownKeys(data, 'racine', ['version', 'budget', 'enemyColors', 'effects']);
+
+  if (data.version !== EFFECT_LIBRARY_VERSION) {
+    validator.fail('version', `version ${EFFECT_LIBRARY_VERSION} attendue, reçu ${JSON.stringify(data.version)}`);
+  }
+
+  const budget = validator.number(data.budget, 'budget', { min: 1, integer: true });
+
+  const enemyColors = {};
+  if (validator.object(data.enemyColors ?? {}, 'enemyColors')) {
+    Object.entries(data.enemyColors ?? {}).forEach(([id, value]) => {
+      const color = parseColor(validator, value, `enemyColors.${id}`);
+      enemyColors[id] = color === INHERIT_COLOR ? new THREE.Color(0xffffff) : color;
+    });
+  }
+
+  const effects = {};
+  if (validator.object(data.effects, 'effects')) {
+    Object.entries(data.effects).forEach(([id, emitters]) => {
+      const path = `effects.${id}`;
+      if (!Array.isArray(emitters) || emitters.length === 0) {
+        validator.fail(path, 'liste d’émetteurs non vide attendue');
+        return;
+      }
+      effects[id] = emitters
+        .map((emitter, index) => parseEmitter(validator, emitter, `${path}[${index}]`))
+        .filter(Boolean);
+    });
+  }
+
+  validator.assertValid(INVALID_LIBRARY_TITLE);
+  return { budget, enemyColors, effects };
+};
+
+const randomInRange = ([min, max]) => min + Math.random() * (max - min);
+
+const VERTEX_SHADER = /* glsl */ `
+  attribute float size;
+  attribute vec4 color;
+  uniform float pointScale;
+  varying vec4 vColor;
+
+  void main() {
+    vColor = color;
+    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+    gl_PointSize = size * pointScale / -mvPosition.z;
+    gl_Position = projectionMatrix * mvPosition;
+  }
+`;
+
+const FRAGMENT_SHADER = /* glsl */ `
+  varying vec4 vColor;
+
+  void main() {
+    float falloff = 1.0 - smoothstep(0.0, 1.0, length(gl_PointCoord - 0.5) * 2.0);
+    float alpha = vColor.a * falloff;
+    if (alpha < 0.01) discard;
+    gl_FragColor = vec4(vColor.rgb, alpha);
+  }
+`;
+
+/**
+ * One draw call's worth of particles sharing a blending mode. State lives in flat typed arrays and
+ * dead particles are swapped with the last live one, so the live range is always `[0, count)`.
+ */
+class ParticleLayer {
+  constructor(capacity, blending, uniforms) {
+    this.capacity = capacity;
+    this.count = 0;
+
+    this.positions = new Float32Array(capacity * 3);
+    this.colors = new Float32Array(capacity * 4);
+    this.sizes = new Float32Array(capacity);
+    this.velocities = new Float32Array(capacity * 3);
+    this.startColors = new Float32Array(capacity * 3);
+    this.endColors = new Float32Array(capacity * 3);
+    this.ages = new Float32Array(capacity);
+    this.lifetimes = new Float32Array(capacity);
+    this.startSizes = new Float32Array(capacity);
+    this.endSizes = new Float32Array(capacity);
+    this.gravities = new Float32Array(capacity);
+    this.drags = new Float32Array(capacity);
+
+    this.geometry = new THREE.BufferGeometry();
+    this.positionAttribute = new THREE.BufferAttribute(this.positions, 3).setUsage(THREE.DynamicDrawUsage);
+    this.colorAttribute = new THREE.BufferAttribute(this.colors, 4).setUsage(THREE.DynamicDrawUsage);
+    this.sizeAttribute = new THREE.BufferAttribute(this.sizes, 1).setUsage(THREE.DynamicDrawUsage);
+    this.geometry.setAttribute('position', this.positionAttribute);
+    this.geometry.setAttribute('color', this.colorAttribute);
+    this.geometry.setAttribute('size', this.sizeAttribute);
+    this.geometry.setDrawRange(0, 0);
+
+    this.material = new THREE.ShaderMaterial({
+      uniforms,
+      vertexShader: VERTEX_SHADER,
+      fragmentShader: FRAGMENT_SHADER,
+      transparent: true,
+      depthWrite: false,
+      blending: blending === 'additive' ? THREE.AdditiveBlending : THREE.NormalBlending,
+    });
+
+    this.points = new THREE.Points(this.geometry, this.material);
+    this.points.name = `Particles:${blending}`;
+    // Particles fly all over the arena; a bounding sphere computed once would cull them wrongly.
+    this.points.frustumCulled = false;
+    this.points.renderOrder = 10;
+  }
+
+  spawn(emitter, position, velocity, tint) {
+    if (this.count >= this.capacity) {
+      return;
+    }
+
+    const i = this.count;
+    this.count += 1;
+
+    const startColor = emitter.color === INHERIT_COLOR ? tint : emitter.color;
+    const endColor = emitter.colorEnd === INHERIT_COLOR ? tint : emitter.colorEnd;
+    const size = randomInRange(emitter.size);
+
+    this.positions.set([position.x, position.y, position.z], i * 3);
+    this.velocities.set([velocity.x, velocity.y, velocity.z], i * 3);
+    this.startColors.set([startColor.r, startColor.g, startColor.b], i * 3);
+    this.endColors.set([endColor.r, endColor.g, endColor.b], i * 3);
+    this.ages[i] = 0;
+    this.lifetimes[i] = randomInRange(emitter.lifetime);
+    this.startSizes[i] = size;
+    this.endSizes[i] = size * emitter.sizeEnd;
+    this.gravities[i] = emitter.gravity;
+    this.drags[i] = emitter.drag;
+  }
+
+  update(delta) {
+    let i = 0;
+    while (i < this.count) {
+      this.ages[i] += delta;
+      if (this.ages[i] >= this.lifetimes[i]) {
+        this._moveParticle(this.count - 1, i);
+        this.count -= 1;
+        continue;
+      }
+
+      const v = i * 3;
+      const damping = Math.max(0, 1 - this.drags[i] * delta);
+      this.velocities[v + 1] -= this.gravities[i] * delta;
+      this.velocities[v] *= damping;
+      this.velocities[v + 1] *= damping;
+      this.velocities[v + 2] *= damping;
+      this.positions[v] += this.velocities[v] * delta;
+      this.positions[v + 1] += this.velocities[v + 1] * delta;
+      this.positions[v + 2] += this.velocities[v + 2] * delta;
+
+      const t = this.ages[i] / this.lifetimes[i];
+      const c = i * 4;
+      this.colors[c] = this.startColors[v] + (this.endColors[v] - this.startColors[v]) * t;
+      this.colors[c + 1] = this.startColors[v + 1] + (this.endColors[v + 1] - this.startColors[v + 1]) * t;
+      this.colors[c + 2] = this.startColors[v + 2] + (this.endColors[v + 2] - this.startColors[v + 2]) * t;
+      this.colors[c + 3] = 1 - t * t;
+      this.sizes[i] = this.startSizes[i] + (this.endSizes[i] - this.startSizes[i]) * t;
+      i += 1;
+    }
+
+    this.geometry.setDrawRange(0, this.count);
+    this.positionAttribute.needsUpdate = true;
+    this.colorAttribute.needsUpdate = true;
+    this.sizeAttribute.needsUpdate = true;
+  }
+
+  clear() {
+    this.count = 0;
+    this.geometry.setDrawRange(0, 0);
+  }
+
+  dispose() {
+    this.geometry.dispose();
+    this.material.dispose();
+  }
+
+  _moveParticle(from, to) {
+    if (from === to) {
+      return;
+    }
+
+    [this.positions, this.velocities, this.startColors, this.endColors].forEach((array) => {
+      array.copyWithin(to * 3, from * 3, from * 3 + 3);
+    });
+    this.colors.copyWithin(to * 4, from * 4, from * 4 + 4);
+    [this.sizes, this.ages, this.lifetimes, this.startSizes, this.endSizes, this.gravities, this.drags].forEach(
+      (array) => {
+        array[to] = array[from];
+      },
+    );
+  }
+}
+
+/**
+ * Pooled particle effects rendered as point sprites, one draw call per blending mode. Effects come
+ * from the library parsed by {@link parseEffectLibrary}; `budget` caps the number of live particles
+ * across all effects, and emitters simply stop spawning while the budget is used up.
+ */
+export class ParticleSystem {
+  constructor({ scene, library }) {
+    if (!scene) {
+      throw new Error('ParticleSystem requiert une scène Three.js.');
+    }
+    if (!library) {
+      throw new Error('ParticleSystem requiert une bibliothèque d’effets.');
+    }
+
+    this.scene = scene;
+    this.budget = library.budget;
+    this.effects = library.effects;
+    this.enemyColors = library.enemyColors;
+
+    this.uniforms = { pointScale: { value: 500 } };
+    this.layers = {};
+    PARTICLE_BLENDINGS.forEach((blending) => {
+      const layer = new ParticleLayer(this.budget, blending, this.uniforms);
+      this.layers[blending] = layer;
+      // Additive sparks and flashes glow; normal-blended debris and smoke would only smear.
+      if (blending === 'additive') {
+        enableBloom(layer.points);
+      }
+      scene.add(layer.points);
+    });
+
+    this.emitters = [];
+    this.density = 1;
+    this.defaultTint = new THREE.Color(0xffffff);
+    this.tmpColor = new THREE.Color();
+    this.tmpPosition = new THREE.Vector3();
+    this.tmpVelocity = new THREE.Vector3();
+    this.tmpAxis = new THREE.Vector3();
+    this.tmpQuaternion = new THREE.Quaternion();
+    this.upVector = new THREE.Vector3(0, 1, 0);
+  }
+
+  /**
+   * Plays effect `id` at `position`. `direction` aims cone emitters, `color` fills `inherit`
+   * colours, and `scale` multiplies particle counts and rates.
+   */
+  emit(id, position, { direction = null, color = null, scale = 1 } = {}) {
+    const effect = this.effects[id];
+    if (!effect) {
+      console.warn(`Effet visuel inconnu : ${id}`);
+      return;
+    }
+
+    const density = scale * this.density;
+    const tint = color === null ? this.defaultTint : this.tmpColor.set(color);
+    effect.forEach((emitter) => {
+      if (emitter.count > 0) {
+        this._spawnParticles(emitter, position, direction, tint, Math.round(emitter.count * density));
+      }
+      if (emitter.rate > 0 && emitter.duration > 0) {
+        this.emitters.push({
+          emitter,
+          position: position.clone(),
+          direction: direction?.clone() ?? null,
+          tint: tint.clone(),
+          rate: emitter.rate * density,
+          remaining: emitter.duration,
+          pending: 0,
+        });
+      }
+    });
+  }
+
+  /**
+   * Scales every effect's particle count and rate, e.g. for lower graphics presets.
+   */
+  setDensity(density) {
+    this.density = Math.max(0, density);
+  }
+
+  getEnemyColor(typeId) {
+    return this.enemyColors[typeId] ?? this.enemyColors.default ?? this.defaultTint;
+  }
+
+  getParticleCount() {
+    return PARTICLE_BLENDINGS.reduce((total, blending) => total + this.layers[blending].count, 0);
+  }
+
+  update(delta) {
+    for (let i = this.emitters.length - 1; i >= 0; i -= 1) {
+      const active = this.emitters[i];
+      const step = Math.min(delta, active.remaining);
+      active.remaining -= delta;
+      active.pending += active.rate * step;
+
+      const count = Math.floor(active.pending);
+      active.pending -= count;
+      this._spawnParticles(active.emitter, active.position, active.direction, active.tint, count);
+
+      if (active.remaining <= 0) {
+        this.emitters.splice(i, 1);
+      }
+    }
+
+    PARTICLE_BLENDINGS.forEach((blending) => this.layers[blending].update(delta));
+  }
+
+  /**
+   * Point sizes are in world units; this converts them to pixels for the current viewport.
+   */
+  setViewport(heightInPixels, camera) {
+    this.uniforms.pointScale.value = heightInPixels / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2));
+  }
+
+  reset() {
+    this.emitters.length = 0;
+    PARTICLE_BLENDINGS.forEach((blending) => this.layers[blending].clear());
+  }
+
+  dispose() {
+    PARTICLE_BLENDINGS.forEach((blending) => {
+      const layer = this.layers[blending];
+      this.scene.remove(layer.points);
+      layer.dispose();
+    });
+  }
+
+  _spawnParticles(emitter, origin, direction, tint, count) {
+    const layer = this.layers[emitter.blending];
+    const available = Math.min(count, this.budget - this.getParticleCount());
+
+    for (let n = 0; n < available; n += 1) {
+      this._sampleParticle(emitter, origin, direction);
+      layer.spawn(emitter, this.tmpPosition, this.tmpVelocity, tint);
+    }
+  }
+
+  /**
+   * Fills `tmpPosition` and `tmpVelocity` with a start point and velocity for `emitter`'s shape.
+   */
+  _sampleParticle(emitter, origin, direction) {
+    const speed = randomInRange(emitter.speed);
+    this.tmpPosition.copy(origin);
+
+    if (emitter.shape === 'ring') {
+      // Rises from a horizontal ring around the origin, drifting slightly outwards.
+      const angle = Math.random() * Math.PI * 2;
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      this.tmpPosition.x += cos * emitter.radius;
+      this.tmpPosition.z += sin * emitter.radius;
+      this.tmpVelocity.set(cos * speed * 0.15, speed, sin * speed * 0.15);
+      return;
+    }
+
+    this.tmpVelocity.randomDirection();
+    if (emitter.radius > 0) {
+      this.tmpPosition.addScaledVector(this.tmpVelocity, Math.random() * emitter.radius);
+    }
+
+    if (emitter.shape === 'cone' && direction) {
+      // Pick a direction inside the cone around +Y, then rotate the cone onto `direction`.
+      const cosAngle = 1 - Math.random() * (1 - Math.cos(emitter.spread));
+      const sinAngle = Math.sqrt(1 - cosAngle * cosAngle);
+      const azimuth = Math.random() * Math.PI * 2;
+      this.tmpVelocity.set(Math.cos(azimuth) * sinAngle, cosAngle, Math.sin(azimuth) * sinAngle);
+      this.tmpQuaternion.setFromUnitVectors(this.upVector, this.tmpAxis.copy(direction).normalize());
+      this.tmpVelocity.applyQuaternion(this.tmpQuaternion);
+    }
+
+    this.tmpVelocity.multiplyScalar(speed);
+  }
+}
@@ -0,0 +1,253 @@
+import * as THREE from 'three';
+import { enableBloom } from '../core/PostProcessing.js';
+import { Random } from '../core/Random.js';
+
+export const PickupType = Object.freeze({
+  HEALTH: 'health',
+  AMMO: 'ammo',
+  COIN: 'coin',
+  ARMOR: 'armor',
+  POWER_UP: 'powerup',
+});
+
+const PICKUP_LIFETIME = 14;
+const BLINK_DURATION = 3;
+const MAGNET_RADIUS = 5;
+const MAGNET_ACCELERATION = 60;
+const COLLECT_RADIUS = 1.1;
+const HOVER_HEIGHT = 0.6;
+const BOB_HEIGHT = 0.15;
+const SCATTER_SPEED = 4;
+const SCATTER_DRAG = 5;
+const BODY_RADIUS = 0.3;
+const MAX_PICKUPS = 80;
+
+const PICKUP_STYLES = {
+  [PickupType.HEALTH]: { color: 0x5cff9d, emissive: 0x1fd66b, geometry: () => new THREE.IcosahedronGeometry(0.3, 0) },
+  [PickupType.AMMO]: { color: 0xffc75f, emissive: 0xff9d1f, geometry: () => new THREE.BoxGeometry(0.55, 0.35, 0.35) },
+  [PickupType.COIN]: {
+    color: 0xffe27a,
+    emissive: 0xffb800,
+    geometry: () => new THREE.CylinderGeometry(0.26, 0.26, 0.07, 20).rotateX(Math.PI / 2),
+  },
+  [PickupType.ARMOR]: { color: 0x7ad8ff, emissive: 0x1f9dff, geometry: () => new THREE.OctahedronGeometry(0.32, 0) },
+  [PickupType.POWER_UP]: {
+    color: 0xff8ae2,
+    emissive: 0xff2fb0,
+    geometry: () => new THREE.TorusGeometry(0.24, 0.08, 10, 24),
+  },
+};
+
+/**
+ * World pickups dropped by dead enemies. Each one bobs and glows, is pulled towards the player once
+ * close enough, and blinks before it despawns. The system only decides when a pickup is collected;
+ * what it does is up to the `onCollect` callback.
+ */
+export class PickupSystem {
+  constructor({ scene, arena = null, random = new Random() }) {
+    this.scene = scene;
+    this.arena = arena;
+    this.random = random;
+
+    this.haloGeometry = new THREE.SphereGeometry(0.5, 16, 12);
+    this.styles = {};
+    Object.entries(PICKUP_STYLES).forEach(([type, style]) => {
+      this.styles[type] = {
+        geometry: style.geometry(),
+        material: new THREE.MeshStandardMaterial({
+          color: style.color,
+          emissive: style.emissive,
+          emissiveIntensity: 1.2,
+          roughness: 0.3,
+          metalness: 0.4,
+        }),
+        haloMaterial: new THREE.MeshBasicMaterial({
+          color: style.emissive,
+          transparent: true,
+          opacity: 0.25,
+          blending: THREE.AdditiveBlending,
+          depthWrite: false,
+        }),
+      };
+    });
+
+    this.pickups = [];
+    this.pools = {};
+    this.elapsed = 0;
+    this.toPlayer = new THREE.Vector3();
+  }
+
+  /**
+   * Rolls each entry of an enemy's drop table (`{ type, chance, value, count }`) and scatters the
+   * resulting pickups around `position`. An array `value` drops one of its items at random.
+   */
+  spawnDrops(position, drops = []) {
+    drops.forEach(({ type, chance = 1, value, count = 1 }) => {
+      for (let i = 0; i < count; i += 1) {
+        if (this.random.chance(chance)) {
+          const rolled = Array.isArray(value) ? this.random.pick(value) : value;
+          this.spawnPickup({ type, value: rolled, position });
+        }
+      }
+    });
+  }
+
+  spawnPickup({ type, value, position }) {
+    if (!this.styles[type]) {
+      console.warn(`Type de butin inconnu : ${type}`);
+      return null;
+    }
+
+    if (this.pickups.length >= MAX_PICKUPS) {
+      this._removePickupAtIndex(0);
+    }
+
+    const pickup = this._getPickup(type);
+    const angle = this.random.angle();
+    const speed = SCATTER_SPEED * this.random.range(0.4, 1);
+
+    pickup.value = value;
+    pickup.age = 0;
+    pickup.phase = this.random.angle();
+    pickup.isMagnetized = false;
+    pickup.position.set(position.x, 0, position.z);
+    pickup.velocity.set(Math.cos(angle) * speed, 0, Math.sin(angle) * speed);
+    pickup.mesh.visible = true;
+    this._syncMesh(pickup);
+
+    if (!pickup.mesh.parent) {
+      this.scene.add(pickup.mesh);
+    }
+
+    this.pickups.push(pickup);
+    return pickup;
+  }
+
+  /**
+   * `isCollectible(pickup)` lets the game refuse pickups that would be wasted, such as health at
+   * full health; those are neither pulled in nor collected.
+   */
+  update(delta, { playerPosition, isCollectible, onCollect } = {}) {
+    this.elapsed += delta;
+
+    const pulse = 0.5 + 0.5 * Math.sin(this.elapsed * 4);
+    Object.values(this.styles).forEach(({ material, haloMaterial }) => {
+      material.emissiveIntensity = 0.9 + pulse * 0.8;
+      haloMaterial.opacity = 0.15 + pulse * 0.2;
+    });
+
+    for (let i = this.pickups.length - 1; i >= 0; i -= 1) {
+      const pickup = this.pickups[i];
+      pickup.age += delta;
+
+      if (pickup.age >= PICKUP_LIFETIME) {
+        this._removePickupAtIndex(i);
+        continue;
+      }
+
+      if (playerPosition && this._updateMagnet(pickup, delta, playerPosition, isCollectible)) {
+        onCollect?.(pickup);
+        this._removePickupAtIndex(i);
+        continue;
+      }
+
+      if (!pickup.isMagnetized) {
+        pickup.velocity.multiplyScalar(Math.max(0, 1 - SCATTER_DRAG * delta));
+      }
+      pickup.position.addScaledVector(pickup.velocity, delta);
+      this.arena?.resolveCircle(pickup.position, BODY_RADIUS);
+
+      // Blink faster and faster over the last seconds as a warning that the pickup is about to vanish.
+      const remaining = PICKUP_LIFETIME - pickup.age;
+      pickup.mesh.visible = remaining > BLINK_DURATION || Math.sin(pickup.age * (30 - remaining * 6)) > 0;
+      this._syncMesh(pickup);
+    }
+  }
+
+  reset() {
+    while (this.pickups.length > 0) {
+      this._removePickupAtIndex(this.pickups.length - 1);
+    }
+  }
+
+  dispose() {
+    this.reset();
+    this.pools = {};
+    this.haloGeometry.dispose();
+    Object.values(this.styles).forEach(({ geometry, material, haloMaterial }) => {
+      geometry.dispose();
+      material.dispose();
+      haloMaterial.dispose();
+    });
+  }
+
+  /**
+   * Returns whether the pickup reached the player this frame.
+   */
+  _updateMagnet(pickup, delta, playerPosition, isCollectible) {
+    this.toPlayer.set(playerPosition.x - pickup.position.x, 0, playerPosition.z - pickup.position.z);
+    const distance = this.toPlayer.length();
+    if (distance > MAGNET_RADIUS || (isCollectible && !isCollectible(pickup))) {
+      pickup.isMagnetized = false;
+      return false;
+    }
+
+    if (distance <= COLLECT_RADIUS) {
+      return true;
+    }
+
+    pickup.isMagnetized = true;
+    const pull = MAGNET_ACCELERATION * (1 - distance / (MAGNET_RADIUS * 1.5));
+    pickup.velocity.addScaledVector(this.toPlayer.divideScalar(distance), pull * delta);
+
+    // Keep the pickup from orbiting: drop any velocity that is not heading towards the player.
+    const speed = Math.max(0, pickup.velocity.dot(this.toPlayer));
+    pickup.velocity.copy(this.toPlayer).multiplyScalar(speed);
+    return false;
+  }
+
+  _syncMesh(pickup) {
+    const bob = Math.sin(this.elapsed * 3 + pickup.phase) * BOB_HEIGHT;
+    pickup.mesh.position.set(pickup.position.x, HOVER_HEIGHT + bob, pickup.position.z);
+    pickup.mesh.rotation.y = this.elapsed * 2 + pickup.phase;
+  }
+
+  _getPickup(type) {
+    const pool = this.pools[type] ?? (this.pools[type] = []);
+    if (pool.length > 0) {
+      return pool.pop();
+    }
+
+    const { geometry, material, haloMaterial } = this.styles[type];
+    const mesh = new THREE.Group();
+    const body = new THREE.Mesh(geometry, material);
+    body.castShadow = true;
+    mesh.add(body, new THREE.Mesh(this.haloGeometry, haloMaterial));
+    enableBloom(mesh);
+
+    return {
+      type,
+      mesh,
+      value: 0,
+      age: 0,
+      phase: 0,
+      isMagnetized: false,
+      position: new THREE.Vector3(),
+      velocity: new THREE.Vector3(),
+    };
+  }
+
+  _removePickupAtIndex(index) {
+    const pickup = this.pickups[index];
+    if (!pickup) {
+      return;
+    }
+
+    if (pickup.mesh.parent) {
+      pickup.mesh.parent.remove(pickup.mesh);
+    }
+
+    this.pickups.splice(index, 1);
+    this.pools[pickup.type].push(pickup);
+  }
+}
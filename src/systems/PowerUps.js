@@ -0,0 +1,64 @@
+import { StackingRule } from './ModifierStack.js';
+
+/**
+ * Timed buffs dropped as pickups. Stats read through the modifier pipeline: `damage`, `fireRate`,
+ * `multishot` (extra projectiles fanned around each shot), `pierce` (enemies a projectile passes
+ * through) and `moveSpeed`.
+ */
+export const POWER_UPS = {
+  doubleDamage: {
+    id: 'doubleDamage',
+    name: 'Double dégâts',
+    icon: '2×',
+    duration: 10,
+    stacking: StackingRule.EXTEND,
+    maxDuration: 20,
+    effects: [{ stat: 'damage', multiply: 2 }],
+  },
+  rapidFire: {
+    id: 'rapidFire',
+    name: 'Tir rapide',
+    icon: '⚡',
+    duration: 8,
+    stacking: StackingRule.STACK,
+    maxStacks: 2,
+    effects: [{ stat: 'fireRate', multiply: 1.5 }],
+  },
+  tripleShot: {
+    id: 'tripleShot',
+    name: 'Triple tir',
+    icon: '⋔',
+    duration: 10,
+    stacking: StackingRule.REFRESH,
+    effects: [{ stat: 'multishot', add: 2 }],
+  },
+  speedBoost: {
+    id: 'speedBoost',
+    name: 'Surcharge',
+    icon: '»',
+    duration: 8,
+    stacking: StackingRule.STACK,
+    maxStacks: 3,
+    effects: [{ stat: 'moveSpeed', multiply: 1.2 }],
+  },
+  invulnerability: {
+    id: 'invulnerability',
+    name: 'Invulnérable',
+    icon: '◈',
+    duration: 5,
+    // Refresh rather than extend, so chaining pickups cannot keep the player untouchable for long.
+    stacking: StackingRule.REFRESH,
+    flags: ['invulnerable'],
+  },
+  piercing: {
+    id: 'piercing',
+    name: 'Perforation',
+    icon: '➶',
+    duration: 10,
+    stacking: StackingRule.EXTEND,
+    maxDuration: 20,
+    effects: [{ stat: 'pierce', add: 3 }],
+  },
+};
+
+export const POWER_UP_IDS = Object.keys(POWER_UPS);
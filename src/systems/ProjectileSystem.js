@@ -1,12 +1,23 @@
 import * as THREE from 'three';
+import { enableBloom } from '../core/PostProcessing.js';
+import { sweepCylinder } from './collision.js';
 
 const DEFAULT_PROJECTILE_LIFETIME = 2.5;
+const PROJECTILE_RADIUS = 0.12;
+const LOB_LANDING_HEIGHT = 0.2;
+const PLAYER_HIT_RADIUS = 0.8;
+const PLAYER_HIT_HEIGHT = 2.6;
+
+export const Faction = Object.freeze({
+  PLAYER: 'player',
+  ENEMY: 'enemy',
+});
 
 export class ProjectileSystem {
   constructor({ scene }) {
     this.scene = scene;
 
-    this.projectileGeometry = new THREE.SphereGeometry(0.12, 12, 12);
+    this.projectileGeometry = new THREE.SphereGeometry(PROJECTILE_RADIUS, 12, 12);
     this.projectileMaterial = new THREE.MeshStandardMaterial({
       color: 0xfff1a8,
       emissive: 0xffc75f,
@@ -17,20 +28,47 @@ export class ProjectileSystem {
 
     this.projectiles = [];
     this.pool = [];
+    this.playerBase = new THREE.Vector3();
   }
 
-  spawnProjectile({ position, direction, speed, damage, maxDistance = 60, color }) {
+  spawnProjectile({
+    position,
+    direction,
+    speed,
+    damage,
+    maxDistance = 60,
+    color,
+    scale = 1,
+    explosionRadius = 0,
+    arcHeight = 0,
+    collides = true,
+    pierce = 0,
+    faction = Faction.PLAYER,
+    source = null,
+    lifetime = DEFAULT_PROJECTILE_LIFETIME,
+  }) {
     const projectile = this._getProjectile();
 
     projectile.position.copy(position);
+    projectile.previousPosition.copy(position);
     projectile.mesh.position.copy(position);
     projectile.direction.copy(direction).normalize();
     projectile.speed = speed;
     projectile.damage = damage;
     projectile.maxDistance = maxDistance;
     projectile.distanceTravelled = 0;
-    projectile.timeToLive = DEFAULT_PROJECTILE_LIFETIME;
+    projectile.timeToLive = lifetime;
+    projectile.explosionRadius = explosionRadius;
+    projectile.arcHeight = arcHeight;
+    projectile.launchHeight = position.y;
+    projectile.collides = collides;
+    projectile.pierceRemaining = pierce;
+    projectile.hitEnemies.clear();
+    projectile.faction = faction;
+    projectile.source = source;
     projectile.active = true;
+    projectile.radius = PROJECTILE_RADIUS * scale;
+    projectile.mesh.scale.setScalar(scale);
 
     if (color) {
       projectile.mesh.material.color.set(color);
@@ -48,7 +86,15 @@ export class ProjectileSystem {
     return projectile;
   }
 
-  update(delta, enemyManager, callbacks = {}) {
+  /**
+   * Player projectiles are tested against `enemyManager`, hostile ones against `player`. A dashing
+   * player lets hostile projectiles pass through instead of absorbing them. Every projectile,
+   * including lobbed ones, stops at the first `arena` obstacle it reaches. Hit tests sweep the whole
+   * path travelled this frame, so low frame rates do not let shots tunnel through targets.
+   * `callbacks.onExplode(projectile)` fires for every splash-damage detonation and
+   * `callbacks.onImpact(projectile)` whenever a projectile stops against a target or a wall.
+   */
+  update(delta, { enemyManager, player, arena } = {}, callbacks = {}) {
     for (let i = this.projectiles.length - 1; i >= 0; i -= 1) {
       const projectile = this.projectiles[i];
       if (!projectile.active) {
@@ -56,21 +102,35 @@ export class ProjectileSystem {
         continue;
       }
 
-      const travelDistance = projectile.speed * delta;
+      const travelDistance = Math.min(projectile.speed * delta, projectile.maxDistance - projectile.distanceTravelled);
+      projectile.previousPosition.copy(projectile.position);
       projectile.position.addScaledVector(projectile.direction, travelDistance);
-      projectile.mesh.position.copy(projectile.position);
-
       projectile.distanceTravelled += travelDistance;
       projectile.timeToLive -= delta;
 
-      if (projectile.distanceTravelled >= projectile.maxDistance || projectile.timeToLive <= 0) {
+      if (projectile.arcHeight > 0) {
+        const progress = Math.min(1, projectile.distanceTravelled / projectile.maxDistance);
+        projectile.position.y =
+          THREE.MathUtils.lerp(projectile.launchHeight, LOB_LANDING_HEIGHT, progress) +
+          Math.sin(Math.PI * progress) * projectile.arcHeight;
+      }
+
+      // A wall cuts the swept path short, so nothing standing behind it can be hit this frame.
+      const hitWall = Boolean(arena) && this._stopAtObstacle(projectile, arena);
+
+      if (projectile.collides && this._resolveHit(projectile, enemyManager, player, callbacks)) {
+        callbacks.onImpact?.(projectile);
         this._deactivateProjectileAtIndex(i);
         continue;
       }
 
-      const impact = enemyManager?.handleProjectileImpact(projectile, projectile.damage);
-      if (impact && impact.enemy) {
-        callbacks.onEnemyHit?.(impact);
+      projectile.mesh.position.copy(projectile.position);
+
+      if (hitWall || projectile.distanceTravelled >= projectile.maxDistance || projectile.timeToLive <= 0) {
+        if (hitWall) {
+          callbacks.onImpact?.(projectile);
+        }
+        this._explode(projectile, enemyManager, callbacks);
         this._deactivateProjectileAtIndex(i);
       }
     }
@@ -82,6 +142,74 @@ export class ProjectileSystem {
     }
   }
 
+  _stopAtObstacle(projectile, arena) {
+    const hit = arena.raycast(projectile.previousPosition, projectile.position);
+    if (hit === null) {
+      return false;
+    }
+
+    projectile.position.lerpVectors(projectile.previousPosition, projectile.position, hit);
+    return true;
+  }
+
+  _resolveHit(projectile, enemyManager, player, callbacks) {
+    if (projectile.faction === Faction.ENEMY) {
+      if (!player || player.isInvulnerable() || !this._hitsPlayer(projectile, player)) {
+        return false;
+      }
+
+      callbacks.onPlayerHit?.(projectile);
+      return true;
+    }
+
+    // A piercing shot keeps sweeping the same step past each enemy it goes through, so it can hit
+    // several enemies in one frame.
+    let impact = enemyManager?.handleProjectileImpact(projectile, projectile.damage);
+    while (impact?.enemy) {
+      callbacks.onEnemyHit?.(impact);
+      if (projectile.pierceRemaining <= 0) {
+        // Explode where the shot met the enemy rather than at the end of this frame's step.
+        projectile.position.lerpVectors(projectile.previousPosition, projectile.position, impact.fraction);
+        this._explode(projectile, enemyManager, callbacks, impact.enemy);
+        return true;
+      }
+
+      projectile.pierceRemaining -= 1;
+      projectile.hitEnemies.add(impact.enemy);
+      impact = enemyManager.handleProjectileImpact(projectile, projectile.damage);
+    }
+
+    return false;
+  }
+
+  _hitsPlayer(projectile, player) {
+    const { position } = player.group;
+    this.playerBase.set(position.x, position.y - 0.2, position.z);
+    const hit = sweepCylinder(
+      projectile.previousPosition,
+      projectile.position,
+      this.playerBase,
+      PLAYER_HIT_RADIUS + projectile.radius,
+      PLAYER_HIT_HEIGHT + 0.2,
+    );
+    return hit !== null;
+  }
+
+  _explode(projectile, enemyManager, callbacks, directHitEnemy = null) {
+    if (!projectile.explosionRadius || !enemyManager || projectile.faction !== Faction.PLAYER) {
+      return;
+    }
+
+    callbacks.onExplode?.(projectile);
+    const impacts = enemyManager.handleExplosion(
+      projectile.position,
+      projectile.explosionRadius,
+      projectile.damage,
+      directHitEnemy,
+    );
+    impacts.forEach((impact) => callbacks.onEnemyHit?.(impact));
+  }
+
   _getProjectile() {
     if (this.pool.length > 0) {
       return this.pool.pop();
@@ -89,16 +217,27 @@ export class ProjectileSystem {
 
     const mesh = new THREE.Mesh(this.projectileGeometry, this.projectileMaterial.clone());
     mesh.castShadow = true;
+    enableBloom(mesh);
 
     return {
       mesh,
       position: new THREE.Vector3(),
+      previousPosition: new THREE.Vector3(),
       direction: new THREE.Vector3(0, 0, 1),
+      radius: PROJECTILE_RADIUS,
       speed: 40,
       damage: 10,
       maxDistance: 50,
       distanceTravelled: 0,
       timeToLive: DEFAULT_PROJECTILE_LIFETIME,
+      explosionRadius: 0,
+      arcHeight: 0,
+      launchHeight: 0,
+      collides: true,
+      pierceRemaining: 0,
+      hitEnemies: new Set(),
+      faction: Faction.PLAYER,
+      source: null,
       active: false,
     };
   }
@@ -112,6 +251,8 @@ export class ProjectileSystem {
     projectile.active = false;
     projectile.distanceTravelled = 0;
     projectile.timeToLive = 0;
+    projectile.source = null;
+    projectile.hitEnemies.clear();
 
     if (projectile.mesh.parent) {
       projectile.mesh.parent.remove(projectile.mesh);
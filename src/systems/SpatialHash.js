@@ -0,0 +1,69 @@
+const CELL_OFFSET = 32768;
+
+/**
+ * Uniform grid over the XZ plane. Items are re-inserted every frame, so cell arrays are kept and
+ * truncated on `clear()` rather than reallocated.
+ */
+export class SpatialHash {
+  constructor(cellSize = 4) {
+    this.cellSize = cellSize;
+    this.cells = new Map();
+    this.usedCells = [];
+  }
+
+  clear() {
+    this.usedCells.forEach((cell) => {
+      cell.length = 0;
+    });
+    this.usedCells.length = 0;
+  }
+
+  insert(item, x, z) {
+    const key = this._key(this._cell(x), this._cell(z));
+    let cell = this.cells.get(key);
+    if (!cell) {
+      cell = [];
+      this.cells.set(key, cell);
+    }
+
+    if (cell.length === 0) {
+      this.usedCells.push(cell);
+    }
+    cell.push(item);
+  }
+
+  /**
+   * Calls `visit(item)` for every item in the cells overlapping the square around (x, z). Items may
+   * lie outside `radius`; callers do the exact distance test. Returning `true` from `visit` stops
+   * the query early.
+   */
+  query(x, z, radius, visit) {
+    const minX = this._cell(x - radius);
+    const maxX = this._cell(x + radius);
+    const minZ = this._cell(z - radius);
+    const maxZ = this._cell(z + radius);
+
+    for (let cx = minX; cx <= maxX; cx += 1) {
+      for (let cz = minZ; cz <= maxZ; cz += 1) {
+        const cell = this.cells.get(this._key(cx, cz));
+        if (!cell) {
+          continue;
+        }
+
+        for (let i = 0; i < cell.length; i += 1) {
+          if (visit(cell[i]) === true) {
+            return;
+          }
+        }
+      }
+    }
+  }
+
+  _cell(value) {
+    return Math.floor(value / this.cellSize);
+  }
+
+  _key(cx, cz) {
+    return (cx + CELL_OFFSET) * 65536 + (cz + CELL_OFFSET);
+  }
+}
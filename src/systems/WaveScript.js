@@ -0,0 +1,251 @@
+import { Validator } from '../core/Validator.js';
+
+export const WAVE_SCRIPT_VERSION = 1;
+
+export const SPAWN_PATTERNS = ['ring', 'cluster', 'line', 'side'];
+export const SPAWN_SIDES = ['north', 'south', 'east', 'west', 'random'];
+export const STAT_MULTIPLIERS = ['health', 'speed', 'damage', 'reward', 'credits'];
+
+const DEFAULT_INTERVAL = 1.2;
+const DEFAULT_MAX_ACTIVE = 8;
+const DEFAULT_MIN_INTERVAL = 0.3;
+const DEFAULT_MAX_ACTIVE_CAP = 24;
+const INVALID_SCRIPT_TITLE = 'Script de vagues invalide';
+
+const parseMultipliers = (validator, value, path, { fallback = 1, min = 0, exclusiveMin = true } = {}) => {
+  const multipliers = Object.fromEntries(STAT_MULTIPLIERS.map((stat) => [stat, fallback]));
+  if (value === undefined || !validator.object(value, path)) {
+    return multipliers;
+  }
+
+  validator.unknownKeys(value, path, STAT_MULTIPLIERS);
+  STAT_MULTIPLIERS.forEach((stat) => {
+    multipliers[stat] = validator.number(value[stat], `${path}.${stat}`, { fallback, min, exclusiveMin });
+  });
+  return multipliers;
+};
+
+const parseGroup = (validator, group, path, { enemyTypes, defaults }) => {
+  if (!validator.object(group, path)) {
+    return null;
+  }
+
+  validator.unknownKeys(group, path, ['enemy', 'count', 'pattern', 'side', 'delay', 'interval']);
+
+  if (!enemyTypes.includes(group.enemy)) {
+    validator.fail(`${path}.enemy`, `type d’ennemi inconnu « ${group.enemy} » (attendu : ${enemyTypes.join(', ')})`);
+  }
+
+  const pattern = validator.oneOf(group.pattern, `${path}.pattern`, SPAWN_PATTERNS, 'ring');
+  if (group.side !== undefined && pattern !== 'side') {
+    validator.fail(`${path}.side`, 'réservé au motif « side »');
+  }
+
+  return {
+    enemy: group.enemy,
+    count: validator.number(group.count, `${path}.count`, { min: 1, integer: true }),
+    pattern,
+    side: validator.oneOf(group.side, `${path}.side`, SPAWN_SIDES, 'random'),
+    delay: validator.number(group.delay, `${path}.delay`, { fallback: 0, min: 0 }),
+    interval: validator.number(group.interval, `${path}.interval`, {
+      fallback: defaults.interval,
+      min: 0,
+      exclusiveMin: true,
+    }),
+  };
+};
+
+const parseWave = (validator, wave, path, context, extraKeys = []) => {
+  if (!validator.object(wave, path)) {
+    return null;
+  }
+
+  validator.unknownKeys(wave, path, ['maxActive', 'multipliers', 'groups', ...extraKeys]);
+
+  if (!Array.isArray(wave.groups) || wave.groups.length === 0) {
+    validator.fail(`${path}.groups`, 'liste non vide de groupes attendue');
+  }
+
+  const groups = (Array.isArray(wave.groups) ? wave.groups : [])
+    .map((group, index) => parseGroup(validator, group, `${path}.groups[${index}]`, context))
+    .filter(Boolean);
+
+  return {
+    maxActive: validator.number(wave.maxActive, `${path}.maxActive`, {
+      fallback: context.defaults.maxActive,
+      min: 1,
+      integer: true,
+    }),
+    multipliers: parseMultipliers(validator, wave.multipliers, `${path}.multipliers`),
+    groups,
+  };
+};
+
+const parseBossWaves = (validator, bossWaves, path, context) => {
+  const wave = parseWave(validator, bossWaves, path, context, ['every']);
+  if (!wave) {
+    return null;
+  }
+
+  return {
+    ...wave,
+    every: validator.number(bossWaves.every, `${path}.every`, { min: 1, integer: true }),
+  };
+};
+
+const parseEndless = (validator, endless, path, waveCount) => {
+  if (!validator.object(endless, path)) {
+    return null;
+  }
+
+  validator.unknownKeys(endless, path, [
+    'repeatFrom',
+    'countGrowth',
+    'multiplierGrowth',
+    'intervalFactor',
+    'minInterval',
+    'maxActiveGrowth',
+    'maxActiveCap',
+  ]);
+
+  return {
+    repeatFrom: validator.number(endless.repeatFrom, `${path}.repeatFrom`, {
+      fallback: 1,
+      min: 1,
+      max: Math.max(1, waveCount),
+      integer: true,
+    }),
+    countGrowth: validator.number(endless.countGrowth, `${path}.countGrowth`, { fallback: 0, min: 0 }),
+    multiplierGrowth: parseMultipliers(validator, endless.multiplierGrowth, `${path}.multiplierGrowth`, {
+      fallback: 0,
+      exclusiveMin: false,
+    }),
+    intervalFactor: validator.number(endless.intervalFactor, `${path}.intervalFactor`, {
+      fallback: 1,
+      min: 0,
+      max: 1,
+      exclusiveMin: true,
+    }),
+    minInterval: validator.number(endless.minInterval, `${path}.minInterval`, {
+      fallback: DEFAULT_MIN_INTERVAL,
+      min: 0,
+      exclusiveMin: true,
+    }),
+    maxActiveGrowth: validator.number(endless.maxActiveGrowth, `${path}.maxActiveGrowth`, {
+      fallback: 0,
+      min: 0,
+      integer: true,
+    }),
+    maxActiveCap: validator.number(endless.maxActiveCap, `${path}.maxActiveCap`, {
+      fallback: DEFAULT_MAX_ACTIVE_CAP,
+      min: 1,
+      integer: true,
+    }),
+  };
+};
+
+/**
+ * Validates raw wave script JSON and returns a {@link WaveScript}. Throws a single error listing
+ * every problem with its JSON path, e.g. `waves[2].groups[0].count : entier attendu, reçu 2.5`.
+ */
+export const parseWaveScript = (data, { enemyTypes = [] } = {}) => {
+  const validator = new Validator();
+
+  if (!validator.object(data, 'racine')) {
+    validator.assertValid(INVALID_SCRIPT_TITLE);
+  }
+
+  validator.unknownKeys(data, 'racine', ['version', 'defaults', 'waves', 'bossWaves', 'endless']);
+
+  if (data.version !== WAVE_SCRIPT_VERSION) {
+    validator.fail('version', `version ${WAVE_SCRIPT_VERSION} attendue, reçu ${JSON.stringify(data.version)}`);
+  }
+
+  const defaults = { interval: DEFAULT_INTERVAL, maxActive: DEFAULT_MAX_ACTIVE };
+  if (data.defaults !== undefined && validator.object(data.defaults, 'defaults')) {
+    validator.unknownKeys(data.defaults, 'defaults', ['interval', 'maxActive']);
+    defaults.interval = validator.number(data.defaults.interval, 'defaults.interval', {
+      fallback: DEFAULT_INTERVAL,
+      min: 0,
+      exclusiveMin: true,
+    });
+    defaults.maxActive = validator.number(data.defaults.maxActive, 'defaults.maxActive', {
+      fallback: DEFAULT_MAX_ACTIVE,
+      min: 1,
+      integer: true,
+    });
+  }
+
+  if (!Array.isArray(data.waves) || data.waves.length === 0) {
+    validator.fail('waves', 'liste non vide de vagues attendue');
+  }
+
+  const rawWaves = Array.isArray(data.waves) ? data.waves : [];
+  const waves = rawWaves
+    .map((wave, index) => parseWave(validator, wave, `waves[${index}]`, { enemyTypes, defaults }))
+    .filter(Boolean);
+  const endless = parseEndless(validator, data.endless, 'endless', rawWaves.length);
+  const bossWaves =
+    data.bossWaves === undefined
+      ? null
+      : parseBossWaves(validator, data.bossWaves, 'bossWaves', { enemyTypes, defaults });
+
+  validator.assertValid(INVALID_SCRIPT_TITLE);
+
+  return new WaveScript({ waves, bossWaves, endless });
+};
+
+export class WaveScript {
+  constructor({ waves, bossWaves = null, endless }) {
+    this.waves = waves;
+    this.bossWaves = bossWaves;
+    this.endless = endless;
+  }
+
+  isBossWave(waveNumber) {
+    return Boolean(this.bossWaves) && waveNumber % this.bossWaves.every === 0;
+  }
+
+  /**
+   * Resolves the plan for a 1-based wave number. Every `bossWaves.every` waves the boss wave takes
+   * the slot, growing with each encounter. Past the scripted waves, the endless rule replays waves
+   * from `repeatFrom` onwards, scaling counts, stats and pacing with each completed loop.
+   */
+  getWave(waveNumber) {
+    if (this.isBossWave(waveNumber)) {
+      const encounter = waveNumber / this.bossWaves.every;
+      return { ...this._resolve(this.bossWaves, encounter - 1), isBoss: true };
+    }
+
+    const scriptedCount = this.waves.length;
+    if (waveNumber <= scriptedCount) {
+      return this._resolve(this.waves[waveNumber - 1], 0);
+    }
+
+    const loopStart = this.endless.repeatFrom - 1;
+    const loopLength = scriptedCount - loopStart;
+    const offset = waveNumber - scriptedCount - 1;
+    const loop = Math.floor(offset / loopLength) + 1;
+    return this._resolve(this.waves[loopStart + (offset % loopLength)], loop);
+  }
+
+  _resolve(wave, loop) {
+    const { countGrowth, multiplierGrowth, intervalFactor, minInterval, maxActiveGrowth, maxActiveCap } =
+      this.endless;
+
+    const multipliers = {};
+    STAT_MULTIPLIERS.forEach((stat) => {
+      multipliers[stat] = wave.multipliers[stat] * (1 + multiplierGrowth[stat] * loop);
+    });
+
+    return {
+      maxActive: loop > 0 ? Math.min(maxActiveCap, wave.maxActive + maxActiveGrowth * loop) : wave.maxActive,
+      multipliers,
+      groups: wave.groups.map((group) => ({
+        ...group,
+        count: Math.round(group.count * (1 + countGrowth * loop)),
+        interval: loop > 0 ? Math.max(minInterval, group.interval * intervalFactor ** loop) : group.interval,
+      })),
+    };
+  }
+}
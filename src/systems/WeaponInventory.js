@@ -0,0 +1,82 @@
+const MAX_SLOTS = 9;
+
+export class WeaponInventory {
+  constructor() {
+    this.weapons = [];
+    this.activeIndex = 0;
+  }
+
+  reset(definitions = []) {
+    this.weapons = [];
+    this.activeIndex = 0;
+    definitions.forEach((definition) => this.add(definition));
+  }
+
+  add(definition) {
+    if (!definition || this.has(definition.id)) {
+      return null;
+    }
+
+    if (this.weapons.length >= MAX_SLOTS) {
+      console.warn(`Inventaire plein, impossible d’ajouter : ${definition.id}`);
+      return null;
+    }
+
+    const active = this.getActive();
+    const entry = {
+      id: definition.id,
+      definition,
+      magazine: definition.magazineSize ?? Infinity,
+      reserve: definition.reserveAmmo ?? Infinity,
+      altCooldown: 0,
+    };
+
+    this.weapons.push(entry);
+    this.weapons.sort((a, b) => (a.definition.slot ?? MAX_SLOTS) - (b.definition.slot ?? MAX_SLOTS));
+
+    if (active) {
+      this.activeIndex = this.weapons.indexOf(active);
+    }
+
+    return entry;
+  }
+
+  has(id) {
+    return this.weapons.some((entry) => entry.id === id);
+  }
+
+  get(id) {
+    return this.weapons.find((entry) => entry.id === id) ?? null;
+  }
+
+  getActive() {
+    return this.weapons[this.activeIndex] ?? null;
+  }
+
+  getOwned() {
+    return this.weapons.slice();
+  }
+
+  select(index) {
+    if (index < 0 || index >= this.weapons.length || index === this.activeIndex) {
+      return false;
+    }
+
+    this.activeIndex = index;
+    return true;
+  }
+
+  selectSlot(slot) {
+    return this.select(this.weapons.findIndex((entry) => entry.definition.slot === slot));
+  }
+
+  cycle(step) {
+    if (this.weapons.length < 2 || step === 0) {
+      return false;
+    }
+
+    const count = this.weapons.length;
+    const nextIndex = (((this.activeIndex + Math.sign(step)) % count) + count) % count;
+    return this.select(nextIndex);
+  }
+}
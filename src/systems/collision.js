@@ -0,0 +1,36 @@
+const EPSILON = 1e-9;
+
+/**
+ * Sweeps a point along `from` → `to` against an upright cylinder standing on `base` and returns the
+ * fraction of the segment travelled before it enters the cylinder, or `null` when it misses. A
+ * segment starting inside the cylinder hits at 0.
+ */
+export const sweepCylinder = (from, to, base, radius, height) => {
+  const dx = to.x - from.x;
+  const dz = to.z - from.z;
+  const fx = from.x - base.x;
+  const fz = from.z - base.z;
+  const c = fx * fx + fz * fz - radius * radius;
+
+  let t = 0;
+  if (c > 0) {
+    const a = dx * dx + dz * dz;
+    if (a < EPSILON) {
+      return null;
+    }
+
+    const b = 2 * (fx * dx + fz * dz);
+    const discriminant = b * b - 4 * a * c;
+    if (discriminant < 0) {
+      return null;
+    }
+
+    t = (-b - Math.sqrt(discriminant)) / (2 * a);
+    if (t < 0 || t > 1) {
+      return null;
+    }
+  }
+
+  const y = from.y + (to.y - from.y) * t;
+  return y >= base.y && y <= base.y + height ? t : null;
+};
@@ -0,0 +1,308 @@
+import { BINDING_SLOTS, INPUT_ACTIONS, KEYBOARD_LAYOUTS, getWheelCode } from '../core/InputBindings.js';
+
+const actionLabels = new Map(INPUT_ACTIONS.map(({ id, label }) => [id, label]));
+const CONTROL_KEYS = new Set(['ControlLeft', 'ControlRight']);
+
+export class ControlsMenuController {
+  constructor({ bindings, onClose } = {}) {
+    if (!bindings) {
+      throw new Error('ControlsMenuController requiert des raccourcis.');
+    }
+
+    this.bindings = bindings;
+    this.onClose = onClose;
+
+    this.overlayElement = document.getElementById('controls-overlay');
+    this.listElement = document.getElementById('controls-list');
+    this.layoutsElement = document.getElementById('controls-layouts');
+    this.statusElement = document.getElementById('controls-status');
+    this.resetButton = document.getElementById('controls-reset');
+    this.closeButton = document.getElementById('close-controls');
+    this.gamepadSliders = document.querySelectorAll('[data-gamepad-option]');
+
+    this.isOpen = false;
+    this.capture = null;
+    this.pendingControlKey = null;
+    this.swallowNextClick = false;
+
+    this._handleListClick = this._handleListClick.bind(this);
+    this._handleLayoutClick = this._handleLayoutClick.bind(this);
+    this._handleResetClick = this._handleResetClick.bind(this);
+    this._handleCaptureKey = this._handleCaptureKey.bind(this);
+    this._handleCaptureKeyUp = this._handleCaptureKeyUp.bind(this);
+    this._handleCapturePointer = this._handleCapturePointer.bind(this);
+    this._handleCaptureWheel = this._handleCaptureWheel.bind(this);
+    this._handleCaptureClick = this._handleCaptureClick.bind(this);
+    this.close = this.close.bind(this);
+
+    this.listElement?.addEventListener('click', this._handleListClick);
+    this.layoutsElement?.addEventListener('click', this._handleLayoutClick);
+    this.resetButton?.addEventListener('click', this._handleResetClick);
+    this.closeButton?.addEventListener('click', this.close);
+    this.gamepadSliders.forEach((slider) => {
+      slider.addEventListener('input', () =>
+        this.bindings.setGamepadOption(slider.dataset.gamepadOption, Number(slider.value)),
+      );
+    });
+    this.bindings.addListener(() => {
+      if (this.isOpen) {
+        this._render();
+      }
+    });
+  }
+
+  open() {
+    this.isOpen = true;
+    this._render();
+    this.overlayElement?.classList.remove('overlay--hidden');
+
+    // Capture phase on window runs before the InputManager, so menu keys never reach the game.
+    window.addEventListener('keydown', this._handleCaptureKey, true);
+    window.addEventListener('keyup', this._handleCaptureKeyUp, true);
+    window.addEventListener('pointerdown', this._handleCapturePointer, true);
+    window.addEventListener('wheel', this._handleCaptureWheel, { capture: true, passive: false });
+    window.addEventListener('click', this._handleCaptureClick, true);
+    window.addEventListener('contextmenu', this._handleCaptureClick, true);
+  }
+
+  close() {
+    if (!this.isOpen) {
+      return;
+    }
+
+    this.isOpen = false;
+    this.capture = null;
+    this.pendingControlKey = null;
+    this.overlayElement?.classList.add('overlay--hidden');
+
+    window.removeEventListener('keydown', this._handleCaptureKey, true);
+    window.removeEventListener('keyup', this._handleCaptureKeyUp, true);
+    window.removeEventListener('pointerdown', this._handleCapturePointer, true);
+    window.removeEventListener('wheel', this._handleCaptureWheel, { capture: true });
+    window.removeEventListener('click', this._handleCaptureClick, true);
+    window.removeEventListener('contextmenu', this._handleCaptureClick, true);
+
+    this.onClose?.();
+  }
+
+  _handleListClick(event) {
+    const button = event.target.closest('[data-action]');
+    if (!button || this.capture) {
+      return;
+    }
+
+    const slot = Number(button.dataset.slot);
+    if (event.target.closest('[data-clear]')) {
+      this.bindings.clearBinding(button.dataset.action, slot);
+      return;
+    }
+
+    this.capture = { action: button.dataset.action, slot };
+    this._render();
+  }
+
+  _handleLayoutClick(event) {
+    const button = event.target.closest('[data-layout]');
+    if (button) {
+      this.bindings.setLayout(button.dataset.layout);
+    }
+  }
+
+  _handleResetClick() {
+    this.bindings.resetGamepadOptions();
+    this.bindings.resetBindings();
+  }
+
+  _handleCaptureKey(event) {
+    event.stopPropagation();
+
+    if (!this.capture) {
+      if (event.code === 'Escape') {
+        event.preventDefault();
+        this.close();
+      }
+      return;
+    }
+
+    event.preventDefault();
+    if (event.code === 'Escape') {
+      this.capture = null;
+      this._render();
+      return;
+    }
+
+    // Control may be the start of a Ctrl + wheel binding, so it is only bound once released alone.
+    if (CONTROL_KEYS.has(event.code)) {
+      this.pendingControlKey = event.code;
+      return;
+    }
+
+    this._commitCapture(event.code);
+  }
+
+  _handleCaptureKeyUp(event) {
+    if (this.capture && event.code === this.pendingControlKey) {
+      this._commitCapture(event.code);
+    }
+    this.pendingControlKey = null;
+  }
+
+  _handleCapturePointer(event) {
+    this.swallowNextClick = false;
+    if (!this.capture) {
+      // Clicks inside the menu must not count as shots once the game resumes.
+      event.stopPropagation();
+      return;
+    }
+
+    event.preventDefault();
+    event.stopPropagation();
+    // The click or context menu that follows this press would otherwise restart a capture.
+    this.swallowNextClick = true;
+    this._commitCapture(`Mouse${event.button}`);
+  }
+
+  _handleCaptureClick(event) {
+    if (!this.swallowNextClick) {
+      return;
+    }
+
+    this.swallowNextClick = false;
+    event.preventDefault();
+    event.stopPropagation();
+  }
+
+  _handleCaptureWheel(event) {
+    event.stopPropagation();
+    const code = getWheelCode(event);
+    if (!this.capture || !code) {
+      return;
+    }
+
+    event.preventDefault();
+    this._commitCapture(code);
+  }
+
+  _commitCapture(code) {
+    const { action, slot } = this.capture;
+    this.capture = null;
+    this.pendingControlKey = null;
+    this.bindings.setBinding(action, slot, code);
+  }
+
+  _render() {
+    this._renderLayouts();
+    this._renderStatus();
+    this._renderGamepadOptions();
+
+    if (!this.listElement) {
+      return;
+    }
+
+    const conflicts = this.bindings.getConflicts();
+    const rows = INPUT_ACTIONS.map(({ id, label }) => {
+      const row = document.createElement('div');
+      row.className = 'controls__row';
+
+      const name = document.createElement('span');
+      name.className = 'controls__action';
+      name.textContent = label;
+      row.appendChild(name);
+
+      const codes = this.bindings.getCodes(id);
+      for (let slot = 0; slot < BINDING_SLOTS; slot += 1) {
+        row.appendChild(this._createBindingButton(id, slot, codes[slot], conflicts));
+      }
+
+      return row;
+    });
+
+    this.listElement.replaceChildren(...rows);
+  }
+
+  _renderGamepadOptions() {
+    const options = this.bindings.getGamepadOptions();
+    this.gamepadSliders.forEach((slider) => {
+      slider.value = `${options[slider.dataset.gamepadOption]}`;
+    });
+  }
+
+  _createBindingButton(action, slot, code, conflicts) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'controls__binding';
+    button.dataset.action = action;
+    button.dataset.slot = `${slot}`;
+
+    const isCapturing = this.capture?.action === action && this.capture.slot === slot;
+    if (isCapturing) {
+      button.classList.add('controls__binding--capturing');
+      button.textContent = 'Appuie sur une touche…';
+      return button;
+    }
+
+    button.textContent = code ? this.bindings.getKeyLabel(code) : '—';
+
+    if (code && conflicts.has(code)) {
+      const others = conflicts
+        .get(code)
+        .filter((other) => other !== action)
+        .map((other) => actionLabels.get(other));
+      button.classList.add('controls__binding--conflict');
+      button.title = `Aussi utilisé par : ${others.join(', ')}`;
+    }
+
+    if (code) {
+      const clear = document.createElement('span');
+      clear.className = 'controls__clear';
+      clear.dataset.clear = 'true';
+      clear.textContent = '×';
+      clear.title = 'Retirer ce raccourci';
+      button.appendChild(clear);
+    }
+
+    return button;
+  }
+
+  /**
+   * The layout only picks key labels, so the choice is offered only when the browser cannot tell.
+   */
+  _renderLayouts() {
+    if (!this.layoutsElement) {
+      return;
+    }
+
+    this.layoutsElement.hidden = this.bindings.hasDetectedLayout();
+    const buttons = Object.values(KEYBOARD_LAYOUTS).map((layout) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'btn btn--ghost';
+      button.classList.toggle('btn--selected', layout.id === this.bindings.layoutId);
+      button.dataset.layout = layout.id;
+      button.textContent = layout.name;
+      return button;
+    });
+
+    this.layoutsElement.replaceChildren(...buttons);
+  }
+
+  _renderStatus() {
+    if (!this.statusElement) {
+      return;
+    }
+
+    const conflicts = this.bindings.getConflicts();
+    if (conflicts.size === 0) {
+      this.statusElement.textContent = 'Clique sur un raccourci pour le modifier · Échap pour annuler';
+      this.statusElement.classList.remove('controls__status--warning');
+      return;
+    }
+
+    const details = Array.from(conflicts, ([code, actions]) => {
+      const names = actions.map((action) => actionLabels.get(action)).join(' et ');
+      return `${this.bindings.getKeyLabel(code)} (${names})`;
+    });
+    this.statusElement.textContent = `Conflits : ${details.join(' · ')}`;
+    this.statusElement.classList.add('controls__status--warning');
+  }
+}
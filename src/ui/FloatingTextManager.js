@@ -6,10 +6,18 @@ export class FloatingTextManager {
     this.pool = [];
     this.active = new Map();
     this.tempVector = new THREE.Vector3();
+    this.isEnabled = true;
+  }
+
+  /**
+   * While disabled, new texts are dropped; a replay skipping ahead would otherwise spawn hundreds.
+   */
+  setEnabled(enabled) {
+    this.isEnabled = Boolean(enabled);
   }
 
   spawnFromWorldPosition(worldPosition, camera, { text, color = '#ffffff', duration = 1200 }) {
-    if (!this.container || !worldPosition || !camera) {
+    if (!this.isEnabled || !this.container || !worldPosition || !camera) {
       return;
     }
 
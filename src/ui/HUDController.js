@@ -1,15 +1,36 @@
 export class HUDController {
   constructor() {
     this.scoreElement = document.getElementById('score');
+    this.creditsElement = document.getElementById('credits');
     this.healthBarFill = document.getElementById('health-fill');
+    this.shieldFill = document.getElementById('shield-fill');
+    this.dashElement = document.getElementById('dash-charges');
+    this.powerUpsElement = document.getElementById('powerups');
+    this.weaponDisplayElement = document.getElementById('weapon-display');
     this.weaponNameElement = document.getElementById('weapon-name');
     this.ammoCountElement = document.getElementById('ammo-count');
+    this.weaponSlotsElement = document.getElementById('weapon-slots');
+    this.reloadBarElement = document.getElementById('reload-bar');
+    this.reloadFillElement = document.getElementById('reload-fill');
+    this.altFireElement = document.getElementById('alt-fire');
+    this.altFireNameElement = document.getElementById('alt-fire-name');
+    this.altFireFillElement = document.getElementById('alt-fire-fill');
+    this.bossBarElement = document.getElementById('boss-bar');
+    this.bossNameElement = document.getElementById('boss-name');
+    this.bossPhaseElement = document.getElementById('boss-phase');
+    this.bossFillElement = document.getElementById('boss-fill');
+    this.bossMarkersElement = document.getElementById('boss-markers');
 
     this.currentScore = 0;
+    this.currentCredits = 0;
     this.maxHealth = 100;
     this.currentHealth = 100;
+    this.dashPips = [];
+    this.powerUpChips = new Map();
     this.weaponName = 'Pistolet';
-    this.ammoDisplay = '∞';
+    this.ammoDisplay = '12 / ∞';
+    this.ammoState = 'ready';
+    this.bossKey = null;
   }
 
   setScore(score) {
@@ -19,6 +40,13 @@ export class HUDController {
     }
   }
 
+  setCredits(credits) {
+    this.currentCredits = Math.max(0, Math.floor(credits));
+    if (this.creditsElement) {
+      this.creditsElement.textContent = this.currentCredits.toString();
+    }
+  }
+
   setHealth(current, max) {
     this.currentHealth = Math.max(0, current);
     this.maxHealth = Math.max(1, max);
@@ -37,7 +65,84 @@ export class HUDController {
     }
   }
 
-  setWeapon({ name, ammoDisplay }) {
+  setShield(current, max) {
+    if (this.shieldFill) {
+      const ratio = max > 0 ? Math.min(1, Math.max(0, current / max)) : 0;
+      this.shieldFill.style.width = `${ratio * 100}%`;
+    }
+  }
+
+  setDash({ charges, maxCharges, progress }) {
+    if (!this.dashElement) {
+      return;
+    }
+
+    if (this.dashPips.length !== maxCharges) {
+      this.dashPips = Array.from({ length: maxCharges }, () => {
+        const pip = document.createElement('span');
+        pip.className = 'hud__dash-pip';
+        pip.appendChild(document.createElement('span'));
+        return pip;
+      });
+      this.dashElement.replaceChildren(...this.dashPips);
+    }
+
+    this.dashPips.forEach((pip, index) => {
+      let fill = 0;
+      if (index < charges) {
+        fill = 1;
+      } else if (index === charges) {
+        fill = progress;
+      }
+
+      pip.classList.toggle('hud__dash-pip--ready', index < charges);
+      pip.firstChild.style.width = `${Math.min(1, Math.max(0, fill)) * 100}%`;
+    });
+  }
+
+  /**
+   * Shows one chip per active power-up (`{ id, name, icon, remaining, duration, stacks }`) with its
+   * seconds left and a draining bar. Chips are kept between frames and only touched when they change.
+   */
+  setPowerUps(powerUps) {
+    if (!this.powerUpsElement) {
+      return;
+    }
+
+    const activeIds = new Set();
+    powerUps.forEach(({ id, name, icon, remaining, duration, stacks }) => {
+      activeIds.add(id);
+
+      let chip = this.powerUpChips.get(id);
+      if (!chip) {
+        chip = this._createPowerUpChip(name, icon);
+        this.powerUpChips.set(id, chip);
+        this.powerUpsElement.appendChild(chip.element);
+      }
+
+      const seconds = Math.max(0, Math.ceil(remaining));
+      if (chip.seconds !== seconds) {
+        chip.seconds = seconds;
+        chip.time.textContent = `${seconds}s`;
+      }
+      if (chip.stackCount !== stacks) {
+        chip.stackCount = stacks;
+        chip.stacks.textContent = stacks > 1 ? `×${stacks}` : '';
+      }
+
+      chip.bar.style.width = `${Math.min(1, Math.max(0, remaining / duration)) * 100}%`;
+      chip.element.classList.toggle('hud__powerup--expiring', remaining <= 2);
+    });
+
+    this.powerUpChips.forEach((chip, id) => {
+      if (!activeIds.has(id)) {
+        chip.element.remove();
+        this.powerUpChips.delete(id);
+      }
+    });
+  }
+
+  setWeapon({ name, ammoDisplay, ammoState, slots, activeId }) {
     if (name) {
       this.weaponName = name;
       if (this.weaponNameElement) {
@@ -51,5 +156,134 @@ export class HUDController {
         this.ammoCountElement.textContent = ammoDisplay;
       }
     }
+
+    if (ammoState) {
+      this.ammoState = ammoState;
+      if (this.weaponDisplayElement) {
+        this.weaponDisplayElement.dataset.ammoState = ammoState;
+      }
+    }
+
+    if (Array.isArray(slots)) {
+      this._renderWeaponSlots(slots, activeId);
+    }
+  }
+
+  setReloadProgress(progress) {
+    if (!this.reloadBarElement || !this.reloadFillElement) {
+      return;
+    }
+
+    const isReloading = typeof progress === 'number';
+    this.reloadBarElement.classList.toggle('hud__reload--hidden', !isReloading);
+    this.reloadFillElement.style.width = `${isReloading ? Math.min(1, Math.max(0, progress)) * 100 : 0}%`;
+  }
+
+  setAltFire(altFire) {
+    if (!this.altFireElement) {
+      return;
+    }
+
+    this.altFireElement.classList.toggle('hud__alt--hidden', !altFire);
+    if (!altFire) {
+      return;
+    }
+
+    const { name, progress, state } = altFire;
+    if (this.altFireNameElement && this.altFireNameElement.textContent !== name) {
+      this.altFireNameElement.textContent = name;
+    }
+
+    this.altFireElement.dataset.state = state;
+    if (this.altFireFillElement) {
+      this.altFireFillElement.style.width = `${Math.min(1, Math.max(0, progress)) * 100}%`;
+    }
+  }
+
+  setBoss(boss) {
+    if (!this.bossBarElement) {
+      return;
+    }
+
+    this.bossBarElement.classList.toggle('boss-bar--hidden', !boss);
+    if (!boss) {
+      this.bossKey = null;
+      return;
+    }
+
+    const { name, health, maxHealth, phase, phaseCount, thresholds = [] } = boss;
+    const key = `${name}:${thresholds.join(',')}`;
+    if (key !== this.bossKey) {
+      this.bossKey = key;
+      if (this.bossNameElement) {
+        this.bossNameElement.textContent = name;
+      }
+      this._renderBossMarkers(thresholds);
+    }
+
+    if (this.bossPhaseElement) {
+      const label = `Phase ${phase + 1} / ${phaseCount}`;
+      if (this.bossPhaseElement.textContent !== label) {
+        this.bossPhaseElement.textContent = label;
+      }
+    }
+
+    if (this.bossFillElement) {
+      const ratio = maxHealth > 0 ? Math.min(1, Math.max(0, health / maxHealth)) : 0;
+      this.bossFillElement.style.width = `${ratio * 100}%`;
+    }
+  }
+
+  _renderBossMarkers(thresholds) {
+    if (!this.bossMarkersElement) {
+      return;
+    }
+
+    const markers = thresholds.map((threshold) => {
+      const marker = document.createElement('span');
+      marker.className = 'boss-bar__marker';
+      marker.style.left = `${threshold * 100}%`;
+      return marker;
+    });
+    this.bossMarkersElement.replaceChildren(...markers);
+  }
+
+  _renderWeaponSlots(slots, activeId) {
+    if (!this.weaponSlotsElement) {
+      return;
+    }
+
+    const elements = slots.map(({ id, slot, name }) => {
+      const element = document.createElement('span');
+      element.className = 'hud__slot';
+      element.classList.toggle('hud__slot--active', id === activeId);
+      element.textContent = `${slot}`;
+      element.title = name;
+      return element;
+    });
+
+    this.weaponSlotsElement.replaceChildren(...elements);
+  }
+
+  _createPowerUpChip(name, icon) {
+    const element = document.createElement('div');
+    element.className = 'hud__powerup';
+    element.title = name;
+
+    const iconElement = document.createElement('span');
+    iconElement.className = 'hud__powerup-icon';
+    iconElement.textContent = icon;
+
+    const stacks = document.createElement('span');
+    stacks.className = 'hud__powerup-stacks';
+
+    const time = document.createElement('span');
+    time.className = 'hud__powerup-time';
+
+    const bar = document.createElement('span');
+    bar.className = 'hud__powerup-bar';
+
+    element.append(iconElement, stacks, time, bar);
+    return { element, stacks, time, bar, seconds: null, stackCount: null };
   }
 }
@@ -0,0 +1,200 @@
+import { downloadTextFile } from './files.js';
+import { formatDate, formatTime } from './format.js';
+
+const EXPORT_FILE_NAME = 'meilleurs-scores.json';
+
+/**
+ * Renders the local leaderboard in two places: a compact table on the game-over overlay, where the
+ * player can name the run they just finished, and a full high-scores screen with the recent run
+ * history and JSON export/import.
+ */
+export class LeaderboardController {
+  constructor({ leaderboard, onClose } = {}) {
+    if (!leaderboard) {
+      throw new Error('LeaderboardController requiert un tableau des scores.');
+    }
+
+    this.leaderboard = leaderboard;
+    this.onClose = onClose;
+
+    this.runPanelElement = document.getElementById('run-scores');
+    this.runRowsElement = document.getElementById('run-scores-rows');
+    this.nameInput = document.getElementById('player-name');
+    this.overlayElement = document.getElementById('scores-overlay');
+    this.rowsElement = document.getElementById('scores-rows');
+    this.historyRowsElement = document.getElementById('scores-history-rows');
+    this.statusElement = document.getElementById('scores-status');
+    this.exportButton = document.getElementById('scores-export');
+    this.importButton = document.getElementById('scores-import');
+    this.importInput = document.getElementById('scores-import-file');
+    this.closeButton = document.getElementById('close-scores');
+
+    this.lastRunId = null;
+    this.isOpen = false;
+
+    this._handleNameChange = this._handleNameChange.bind(this);
+    this._handleImportFile = this._handleImportFile.bind(this);
+    this.close = this.close.bind(this);
+
+    this.nameInput?.addEventListener('change', this._handleNameChange);
+    // Typing a name must not move the player or trigger shortcuts bound on window.
+    this.nameInput?.addEventListener('keydown', (event) => {
+      event.stopPropagation();
+      if (event.key === 'Enter') {
+        this.nameInput.blur();
+      }
+    });
+    this.exportButton?.addEventListener('click', () => this._export());
+    this.importButton?.addEventListener('click', () => this.importInput?.click());
+    this.importInput?.addEventListener('change', this._handleImportFile);
+    this.closeButton?.addEventListener('click', this.close);
+  }
+
+  /**
+   * Records a finished run and shows it, highlighted, in the game-over table.
+   */
+  showRun({ score, wave, timeSurvived, weapon }) {
+    const { entry } = this.leaderboard.recordRun({ score, wave, time: timeSurvived, weapon });
+    this.lastRunId = entry.id;
+
+    if (this.nameInput) {
+      this.nameInput.value = entry.name;
+    }
+    this._renderRunTable();
+    if (this.runPanelElement) {
+      this.runPanelElement.hidden = false;
+    }
+  }
+
+  hideRun() {
+    this.nameInput?.blur();
+    if (this.runPanelElement) {
+      this.runPanelElement.hidden = true;
+    }
+  }
+
+  open() {
+    this.isOpen = true;
+    this._setStatus('');
+    this._renderOverlay();
+    this.overlayElement?.classList.remove('overlay--hidden');
+  }
+
+  close() {
+    if (!this.isOpen) {
+      return;
+    }
+
+    this.isOpen = false;
+    this.overlayElement?.classList.add('overlay--hidden');
+    this.onClose?.();
+  }
+
+  _handleNameChange() {
+    if (!this.lastRunId) {
+      return;
+    }
+
+    this.leaderboard.renameRun(this.lastRunId, this.nameInput.value);
+    this.nameInput.value = this.leaderboard.playerName;
+    this._renderRunTable();
+  }
+
+  _export() {
+    downloadTextFile(EXPORT_FILE_NAME, this.leaderboard.exportJSON());
+    this._setStatus('Tableau exporté.');
+  }
+
+  async _handleImportFile() {
+    const file = this.importInput.files?.[0];
+    // Clear the input so importing the same file twice still fires `change`.
+    this.importInput.value = '';
+    if (!file) {
+      return;
+    }
+
+    try {
+      const added = this.leaderboard.importJSON(await file.text());
+      this._setStatus(added > 0 ? `${added} partie(s) importée(s).` : 'Aucune nouvelle partie à importer.');
+      this._renderOverlay();
+    } catch (error) {
+      console.warn(error);
+      // Validation errors list every problem; the first one is enough for the status line.
+      const [title, firstProblem] = error.message.split('\n- ');
+      this._setStatus(firstProblem ? `${title} ${firstProblem}` : title, { isError: true });
+    }
+  }
+
+  _setStatus(message, { isError = false } = {}) {
+    if (!this.statusElement) {
+      return;
+    }
+
+    this.statusElement.textContent = message;
+    this.statusElement.classList.toggle('scores__status--error', isError);
+  }
+
+  _renderRunTable() {
+    if (!this.runRowsElement) {
+      return;
+    }
+
+    const entries = this.leaderboard.getEntries();
+    const rows = entries.map((entry, index) => this._createRow(entry, index + 1));
+
+    // A run that missed the table is still listed under it so the player sees how it compares.
+    if (!entries.some(({ id }) => id === this.lastRunId)) {
+      const lastRun = this.leaderboard.getHistory().find(({ id }) => id === this.lastRunId);
+      if (lastRun) {
+        rows.push(this._createRow(lastRun, null));
+      }
+    }
+
+    this.runRowsElement.replaceChildren(...rows);
+  }
+
+  _renderOverlay() {
+    if (this.rowsElement) {
+      const rows = this.leaderboard.getEntries().map((entry, index) => this._createRow(entry, index + 1));
+      this.rowsElement.replaceChildren(...(rows.length > 0 ? rows : [this._createEmptyRow()]));
+    }
+
+    if (this.historyRowsElement) {
+      const rows = this.leaderboard
+        .getHistory()
+        .map((entry) => this._createRow(entry, this.leaderboard.getRank(entry.id)));
+      this.historyRowsElement.replaceChildren(...(rows.length > 0 ? rows : [this._createEmptyRow()]));
+    }
+  }
+
+  _createRow(entry, rank) {
+    const row = document.createElement('tr');
+    row.classList.toggle('scores__row--highlight', entry.id === this.lastRunId);
+
+    [
+      rank === null ? '—' : `${rank}`,
+      entry.name,
+      `${entry.score}`,
+      `${entry.wave}`,
+      formatTime(entry.time),
+      entry.weapon,
+      formatDate(entry.date),
+    ].forEach((value) => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+
+    return row;
+  }
+
+  _createEmptyRow() {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 7;
+    cell.className = 'scores__empty';
+    cell.textContent = 'Aucune partie enregistrée';
+    row.appendChild(cell);
+    return row;
+  }
+}
@@ -0,0 +1,122 @@
+import { REPLAY_SPEEDS } from '../core/Replay.js';
+import { formatTime } from './format.js';
+
+const formatSpeed = (speed) => `${speed.toLocaleString('fr-FR')}×`;
+
+/**
+ * Playback bar shown while a replay runs: play/pause, speed and a scrub bar. Seeking is requested
+ * once the handle is released, since jumping back replays the run from its first tick.
+ */
+export class ReplayController {
+  constructor({ onTogglePlay, onSpeedChange, onSeek, onExit } = {}) {
+    this.barElement = document.getElementById('replay-bar');
+    this.toggleButton = document.getElementById('replay-toggle');
+    this.timeElement = document.getElementById('replay-time');
+    this.seekInput = document.getElementById('replay-seek');
+    this.speedSelect = document.getElementById('replay-speed');
+    this.exitButton = document.getElementById('replay-exit');
+
+    this.onTogglePlay = onTogglePlay;
+    this.onSpeedChange = onSpeedChange;
+    this.onSeek = onSeek;
+    this.onExit = onExit;
+
+    this.tickRate = 60;
+    this.ticks = 0;
+    this.tick = -1;
+    this.isPlaying = null;
+    this.isScrubbing = false;
+
+    if (this.speedSelect) {
+      this.speedSelect.replaceChildren(
+        ...REPLAY_SPEEDS.map((speed) => {
+          const option = document.createElement('option');
+          option.value = `${speed}`;
+          option.textContent = formatSpeed(speed);
+          return option;
+        }),
+      );
+    }
+
+    this._handleToggleClick = () => this.onTogglePlay?.();
+    this._handleSpeedChange = () => this.onSpeedChange?.(Number(this.speedSelect.value));
+    this._handleExitClick = () => this.onExit?.();
+    this._handleSeekInput = this._handleSeekInput.bind(this);
+    this._handleSeekChange = this._handleSeekChange.bind(this);
+
+    this.toggleButton?.addEventListener('click', this._handleToggleClick);
+    this.speedSelect?.addEventListener('change', this._handleSpeedChange);
+    this.exitButton?.addEventListener('click', this._handleExitClick);
+    this.seekInput?.addEventListener('input', this._handleSeekInput);
+    this.seekInput?.addEventListener('change', this._handleSeekChange);
+  }
+
+  show({ ticks, tickRate, speed = 1 }) {
+    this.ticks = ticks;
+    this.tickRate = tickRate;
+    this.tick = -1;
+    this.isPlaying = null;
+    this.isScrubbing = false;
+
+    if (this.seekInput) {
+      this.seekInput.max = `${ticks}`;
+    }
+    if (this.speedSelect) {
+      this.speedSelect.value = `${speed}`;
+    }
+    if (this.barElement) {
+      this.barElement.hidden = false;
+    }
+  }
+
+  hide() {
+    if (this.barElement) {
+      this.barElement.hidden = true;
+    }
+  }
+
+  update({ tick, isPlaying }) {
+    if (isPlaying !== this.isPlaying) {
+      this.isPlaying = isPlaying;
+      if (this.toggleButton) {
+        this.toggleButton.textContent = isPlaying ? '❚❚' : '▶';
+        this.toggleButton.setAttribute('aria-label', isPlaying ? 'Pause' : 'Lecture');
+      }
+    }
+
+    // The handle follows playback unless the player is dragging it.
+    if (tick === this.tick || this.isScrubbing) {
+      return;
+    }
+
+    this.tick = tick;
+    if (this.seekInput) {
+      this.seekInput.value = `${tick}`;
+    }
+    this._renderTime(tick);
+  }
+
+  destroy() {
+    this.toggleButton?.removeEventListener('click', this._handleToggleClick);
+    this.speedSelect?.removeEventListener('change', this._handleSpeedChange);
+    this.exitButton?.removeEventListener('click', this._handleExitClick);
+    this.seekInput?.removeEventListener('input', this._handleSeekInput);
+    this.seekInput?.removeEventListener('change', this._handleSeekChange);
+  }
+
+  _handleSeekInput() {
+    this.isScrubbing = true;
+    this._renderTime(Number(this.seekInput.value));
+  }
+
+  _handleSeekChange() {
+    this.isScrubbing = false;
+    this.onSeek?.(Number(this.seekInput.value));
+  }
+
+  _renderTime(tick) {
+    if (this.timeElement) {
+      this.timeElement.textContent = `${formatTime(tick / this.tickRate)} / ${formatTime(this.ticks / this.tickRate)}`;
+    }
+  }
+}
@@ -0,0 +1,254 @@
+export class ShopController {
+  constructor({ onPurchase, onClose, isItemAvailable } = {}) {
+    this.overlayElement = document.getElementById('shop-overlay');
+    this.itemsElement = document.getElementById('shop-items');
+    this.balanceElement = document.getElementById('shop-balance');
+    this.subtitleElement = document.getElementById('shop-subtitle');
+    this.closeButton = document.getElementById('close-shop');
+
+    this.onPurchase = onPurchase;
+    this.onClose = onClose;
+    this.isItemAvailable = isItemAvailable;
+
+    this.catalog = [
+      {
+        id: 'weapon-shotgun',
+        type: 'weapon',
+        name: 'Fusil à pompe',
+        description: 'Huit plombs en éventail, redoutable au contact',
+        cost: 300,
+        weaponId: 'shotgun',
+        maxPurchases: 1,
+      },
+      {
+        id: 'weapon-smg',
+        type: 'weapon',
+        name: 'Mitraillette',
+        description: 'Cadence infernale, précision approximative',
+        cost: 340,
+        weaponId: 'smg',
+        maxPurchases: 1,
+      },
+      {
+        id: 'weapon-rifle',
+        type: 'weapon',
+        name: 'Fusil de précision',
+        description: 'Tirs lents et dévastateurs à longue portée',
+        cost: 420,
+        weaponId: 'rifle',
+        maxPurchases: 1,
+      },
+      {
+        id: 'weapon-rocket',
+        type: 'weapon',
+        name: 'Lance-roquettes',
+        description: 'Roquettes explosives à dégâts de zone',
+        cost: 600,
+        weaponId: 'rocket',
+        maxPurchases: 1,
+      },
+      {
+        id: 'pistol-damage',
+        type: 'weaponUpgrade',
+        name: 'Calibre renforcé',
+        description: '+20 % de dégâts au pistolet',
+        cost: 120,
+        weaponId: 'pistol',
+        stat: 'damage',
+        multiplier: 1.2,
+        maxPurchases: 5,
+      },
+      {
+        id: 'pistol-fire-rate',
+        type: 'weaponUpgrade',
+        name: 'Détente allégée',
+        description: '+15 % de cadence de tir au pistolet',
+        cost: 140,
+        weaponId: 'pistol',
+        stat: 'fireRate',
+        multiplier: 1.15,
+        maxPurchases: 4,
+      },
+      {
+        id: 'armor-plate',
+        type: 'armor',
+        name: 'Plaque d’armure',
+        description: 'Réduit chaque coup reçu de 2 points',
+        cost: 160,
+        amount: 2,
+        maxPurchases: 5,
+      },
+      {
+        id: 'max-health',
+        type: 'maxHealth',
+        name: 'Cœur synthétique',
+        description: '+20 santé maximale',
+        cost: 150,
+        amount: 20,
+        maxPurchases: 6,
+      },
+      {
+        id: 'dash-charge',
+        type: 'dashUpgrade',
+        name: 'Propulseurs jumelés',
+        description: '+1 charge de ruée',
+        cost: 260,
+        stat: 'charges',
+        amount: 1,
+        maxPurchases: 2,
+      },
+      {
+        id: 'dash-cooldown',
+        type: 'dashUpgrade',
+        name: 'Condensateur rapide',
+        description: '-15 % de temps de recharge de la ruée',
+        cost: 180,
+        stat: 'cooldown',
+        multiplier: 0.85,
+        maxPurchases: 3,
+      },
+      {
+        id: 'ammo-crate',
+        type: 'ammo',
+        name: 'Caisse de munitions',
+        description: 'Un pack de munitions de réserve pour chaque arme à munitions limitées',
+        cost: 80,
+        maxPurchases: Infinity,
+      },
+    ];
+
+    this.credits = 0;
+    this.isOpen = false;
+    this.purchaseCounts = new Map();
+
+    this._handleItemClick = this._handleItemClick.bind(this);
+    this._handleCloseClick = this._handleCloseClick.bind(this);
+
+    this.itemsElement?.addEventListener('click', this._handleItemClick);
+    this.closeButton?.addEventListener('click', this._handleCloseClick);
+  }
+
+  open({ credits = 0, wave } = {}) {
+    this.credits = credits;
+    this.isOpen = true;
+
+    if (this.subtitleElement) {
+      this.subtitleElement.textContent =
+        typeof wave === 'number' ? `Vague ${wave} terminée · Prépare la suivante` : 'Prépare la prochaine vague';
+    }
+
+    this._render();
+    this.overlayElement?.classList.remove('overlay--hidden');
+  }
+
+  close() {
+    this.isOpen = false;
+    this.overlayElement?.classList.add('overlay--hidden');
+  }
+
+  reset() {
+    this.close();
+    this.credits = 0;
+    this.purchaseCounts.clear();
+  }
+
+  /**
+   * Buys the item with `itemId` as if its button had been clicked. Returns whether it was bought.
+   */
+  purchase(itemId) {
+    const item = this.catalog.find(({ id }) => id === itemId);
+    if (!item || !this._isPurchasable(item) || !this.onPurchase?.(item)) {
+      return false;
+    }
+
+    this.credits -= item.cost;
+    this.purchaseCounts.set(item.id, this.getPurchaseCount(item.id) + 1);
+    this._render();
+    return true;
+  }
+
+  getPurchaseCount(itemId) {
+    return this.purchaseCounts.get(itemId) ?? 0;
+  }
+
+  destroy() {
+    this.itemsElement?.removeEventListener('click', this._handleItemClick);
+    this.closeButton?.removeEventListener('click', this._handleCloseClick);
+  }
+
+  _handleItemClick(event) {
+    const button = event.target.closest('[data-item-id]');
+    if (!button || button.disabled) {
+      return;
+    }
+
+    this.purchase(button.dataset.itemId);
+  }
+
+  _handleCloseClick() {
+    this.onClose?.();
+  }
+
+  _isSoldOut(item) {
+    return this.getPurchaseCount(item.id) >= (item.maxPurchases ?? Infinity);
+  }
+
+  _isPurchasable(item) {
+    if (this._isSoldOut(item) || this.credits < item.cost) {
+      return false;
+    }
+
+    return this.isItemAvailable ? this.isItemAvailable(item) : true;
+  }
+
+  _render() {
+    if (this.balanceElement) {
+      this.balanceElement.textContent = `${this.credits} crédits`;
+    }
+
+    if (!this.itemsElement) {
+      return;
+    }
+
+    const fragment = document.createDocumentFragment();
+
+    this.catalog.forEach((item) => {
+      const card = document.createElement('div');
+      card.className = 'overlay__card shop__item';
+
+      const title = document.createElement('h3');
+      title.textContent = item.name;
+
+      const description = document.createElement('p');
+      description.textContent = item.description;
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'btn btn--primary shop__buy';
+      button.dataset.itemId = item.id;
+
+      if (this._isSoldOut(item)) {
+        button.textContent = item.type === 'weapon' ? 'Acquis' : 'Épuisé';
+      } else {
+        button.textContent = `${item.cost} cr`;
+      }
+
+      button.disabled = !this._isPurchasable(item);
+      card.classList.toggle('overlay__card--disabled', button.disabled);
+
+      const count = this.getPurchaseCount(item.id);
+      if (count > 0 && Number.isFinite(item.maxPurchases)) {
+        const progress = document.createElement('span');
+        progress.className = 'shop__progress';
+        progress.textContent = `${count} / ${item.maxPurchases}`;
+        card.append(title, description, progress, button);
+      } else {
+        card.append(title, description, button);
+      }
+
+      fragment.appendChild(card);
+    });
+
+    this.itemsElement.replaceChildren(fragment);
+  }
+}
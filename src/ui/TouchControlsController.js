@@ -0,0 +1,214 @@
+const STICK_RADIUS = 56;
+const MOVE_DEAD_ZONE = 0.12;
+const AIM_DEAD_ZONE = 0.2;
+const AIM_FIRE_THRESHOLD = 0.45;
+const COARSE_POINTER_QUERY = '(pointer: coarse)';
+
+export class TouchControlsController {
+  constructor({ input } = {}) {
+    if (!input) {
+      throw new Error('TouchControlsController requiert un InputManager.');
+    }
+
+    this.input = input;
+    this.rootElement = document.getElementById('touch-controls');
+    this.sticks = {
+      move: this._createStickState('move', document.getElementById('touch-move')),
+      aim: this._createStickState('aim', document.getElementById('touch-aim')),
+    };
+
+    // Each finger is tracked separately so moving, aiming and tapping a button can happen together.
+    this.pointers = new Map();
+    this.isEnabled = false;
+    this.mediaQuery = window.matchMedia?.(COARSE_POINTER_QUERY) ?? null;
+
+    this._handlePointerDown = this._handlePointerDown.bind(this);
+    this._handlePointerMove = this._handlePointerMove.bind(this);
+    this._handlePointerUp = this._handlePointerUp.bind(this);
+    this._handlePointerChange = this._handlePointerChange.bind(this);
+    this._releaseAll = this._releaseAll.bind(this);
+
+    this.rootElement?.addEventListener('pointerdown', this._handlePointerDown);
+    this.rootElement?.addEventListener('pointermove', this._handlePointerMove);
+    this.rootElement?.addEventListener('pointerup', this._handlePointerUp);
+    this.rootElement?.addEventListener('pointercancel', this._handlePointerUp);
+    this.mediaQuery?.addEventListener('change', this._handlePointerChange);
+    window.addEventListener('blur', this._releaseAll);
+
+    this.setEnabled(Boolean(this.mediaQuery?.matches));
+  }
+
+  setEnabled(enabled) {
+    if (!this.rootElement) {
+      return;
+    }
+
+    this.isEnabled = enabled;
+    if (!enabled) {
+      this._releaseAll();
+    }
+
+    this.rootElement.hidden = !enabled;
+    this.input.setTouchMode(enabled);
+  }
+
+  destroy() {
+    this.setEnabled(false);
+    this.rootElement?.removeEventListener('pointerdown', this._handlePointerDown);
+    this.rootElement?.removeEventListener('pointermove', this._handlePointerMove);
+    this.rootElement?.removeEventListener('pointerup', this._handlePointerUp);
+    this.rootElement?.removeEventListener('pointercancel', this._handlePointerUp);
+    this.mediaQuery?.removeEventListener('change', this._handlePointerChange);
+    window.removeEventListener('blur', this._releaseAll);
+  }
+
+  _createStickState(id, element) {
+    return {
+      id,
+      element,
+      knobElement: element?.querySelector('.touch__knob') ?? null,
+      pointerId: null,
+      originX: 0,
+      originY: 0,
+      isFiring: false,
+    };
+  }
+
+  _handlePointerChange(event) {
+    this.setEnabled(event.matches);
+  }
+
+  _handlePointerDown(event) {
+    if (!this.isEnabled || event.pointerType !== 'touch') {
+      return;
+    }
+
+    event.preventDefault();
+    this.rootElement.setPointerCapture?.(event.pointerId);
+
+    const button = event.target.closest('[data-touch-code]');
+    if (button) {
+      const code = button.dataset.touchCode;
+      this.pointers.set(event.pointerId, { type: 'button', code, element: button });
+      button.classList.add('touch__button--active');
+      this.input.pressTouch(code);
+      return;
+    }
+
+    // The screen is split in half: the left thumb moves, the right thumb aims and fires.
+    const stick = event.clientX < window.innerWidth / 2 ? this.sticks.move : this.sticks.aim;
+    if (stick.pointerId !== null) {
+      return;
+    }
+
+    stick.pointerId = event.pointerId;
+    stick.originX = event.clientX;
+    stick.originY = event.clientY;
+    this.pointers.set(event.pointerId, { type: 'stick', stick });
+    this._placeStick(stick);
+  }
+
+  _handlePointerMove(event) {
+    const pointer = this.pointers.get(event.pointerId);
+    if (pointer?.type !== 'stick') {
+      return;
+    }
+
+    event.preventDefault();
+    const { stick } = pointer;
+    let offsetX = event.clientX - stick.originX;
+    let offsetY = event.clientY - stick.originY;
+    const distance = Math.hypot(offsetX, offsetY);
+    if (distance > STICK_RADIUS) {
+      offsetX *= STICK_RADIUS / distance;
+      offsetY *= STICK_RADIUS / distance;
+    }
+
+    if (stick.knobElement) {
+      stick.knobElement.style.transform = `translate(${offsetX}px, ${offsetY}px)`;
+    }
+
+    const magnitude = Math.min(distance / STICK_RADIUS, 1);
+    const x = offsetX / STICK_RADIUS;
+    const y = offsetY / STICK_RADIUS;
+
+    if (stick === this.sticks.move) {
+      const isActive = magnitude > MOVE_DEAD_ZONE;
+      this.input.setTouchStick('move', isActive ? x : 0, isActive ? y : 0);
+      return;
+    }
+
+    if (magnitude > AIM_DEAD_ZONE) {
+      this.input.setTouchStick('aim', x, y);
+    }
+    this._setAimFiring(stick, magnitude > AIM_FIRE_THRESHOLD);
+  }
+
+  _handlePointerUp(event) {
+    const pointer = this.pointers.get(event.pointerId);
+    if (!pointer) {
+      return;
+    }
+
+    this.pointers.delete(event.pointerId);
+    this.rootElement.releasePointerCapture?.(event.pointerId);
+
+    if (pointer.type === 'button') {
+      pointer.element.classList.remove('touch__button--active');
+      this.input.releaseTouch(pointer.code);
+      return;
+    }
+
+    this._resetStick(pointer.stick);
+  }
+
+  _setAimFiring(stick, isFiring) {
+    if (stick.isFiring === isFiring) {
+      return;
+    }
+
+    stick.isFiring = isFiring;
+    if (isFiring) {
+      this.input.pressTouch('TouchFire');
+    } else {
+      this.input.releaseTouch('TouchFire');
+    }
+  }
+
+  _placeStick(stick) {
+    if (!stick.element) {
+      return;
+    }
+
+    const bounds = this.rootElement.getBoundingClientRect();
+    stick.element.style.left = `${stick.originX - bounds.left}px`;
+    stick.element.style.top = `${stick.originY - bounds.top}px`;
+    stick.element.classList.add('touch__stick--active');
+  }
+
+  _resetStick(stick) {
+    stick.pointerId = null;
+    if (stick === this.sticks.move) {
+      this.input.setTouchStick('move', 0, 0);
+    }
+    this._setAimFiring(stick, false);
+
+    stick.element?.classList.remove('touch__stick--active');
+    stick.element?.style.removeProperty('left');
+    stick.element?.style.removeProperty('top');
+    if (stick.knobElement) {
+      stick.knobElement.style.transform = '';
+    }
+  }
+
+  _releaseAll() {
+    this.pointers.forEach((pointer) => {
+      if (pointer.type === 'button') {
+        pointer.element.classList.remove('touch__button--active');
+        this.input.releaseTouch(pointer.code);
+      }
+    });
+    this.pointers.clear();
+    Object.values(this.sticks).forEach((stick) => this._resetStick(stick));
+  }
+}
@@ -0,0 +1,16 @@
+// Firefox and Safari start the download after `click()` returns; revoking the URL straight away can
+// cancel it.
+const REVOKE_DELAY_MS = 1000;
+
+/**
+ * Offers `text` to the player as a file download.
+ */
+export const downloadTextFile = (fileName, text, type = 'application/json') => {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  window.setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS);
+};
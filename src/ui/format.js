@@ -0,0 +1,11 @@
+export const formatTime = (seconds) => {
+  const totalSeconds = Math.max(0, Math.floor(seconds));
+  const minutes = Math.floor(totalSeconds / 60)
+    .toString()
+    .padStart(2, '0');
+  const secs = (totalSeconds % 60).toString().padStart(2, '0');
+  return `${minutes}:${secs}`;
+};
+
+export const formatDate = (isoDate) =>
+  new Date(isoDate).toLocaleDateString('fr-FR', { day: '2-digit', month: '2-digit', year: '2-digit' });